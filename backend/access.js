@@ -0,0 +1,234 @@
+/**
+ * access.js — Who may join a session, and what the staff learn about them
+ *
+ * Sessions are anonymous and open to anyone with the code by default. The
+ * teacher can add, when creating the session:
+ *   passcode        a second secret students type in (e.g. shown only in the room)
+ *   roster          student IDs or emails; only those may join, under their ID
+ *   askName         students enter their name when joining
+ *   showIndividual  staff see each identified student's current level
+ *
+ * With a roster or names the staff see who has joined (and who on the
+ * roster hasn't), but feedback stays anonymous unless showIndividual was
+ * chosen — students are told which applies when they join.
+ *
+ * Data model:
+ *   session.access = {
+ *     passcode: string | null,
+ *     roster: string[] | null,     // normalized IDs (trimmed, lower case)
+ *     askName: boolean,
+ *     showIndividual: boolean
+ *   }
+ *   session.clients entries carry { rosterId: string | null, name: string | null }
+ *
+ * Rejoining students (reconnect, refresh) are let back in without asking
+ * again; see sessions.addStudent.
+ */
+
+const crypto = require("crypto");
+const { fail } = require("./errors");
+
+const MIN_PASSCODE_LENGTH = 4;
+const MAX_PASSCODE_LENGTH = 32;
+const MAX_ROSTER_SIZE = 2000;
+const MAX_ROSTER_ID_LENGTH = 100;
+const MAX_NAME_LENGTH = 60;
+// First-row cells that mark a CSV header rather than a student
+const HEADER_CELLS = ["id", "student id", "studentid", "email", "e-mail", "username", "student"];
+
+function defaultAccess() {
+  return { passcode: null, roster: null, askName: false, showIndividual: false };
+}
+
+function normalizeRosterId(id) {
+  return typeof id === "string" ? id.trim().toLowerCase() : "";
+}
+
+/**
+ * Roster entries from an uploaded CSV (first column of each row) or an
+ * array of IDs. An ID listed twice (after normalizing) is refused, as it
+ * usually means two students were given the same ID by mistake.
+ * Returns { roster } or { error }.
+ */
+function parseRoster(input) {
+  let ids;
+  if (Array.isArray(input)) {
+    ids = input.map(normalizeRosterId);
+  } else if (typeof input === "string") {
+    const rows = input.split(/\r?\n/).map((line) => {
+      const first = line.split(/[,;\t]/)[0] || "";
+      return normalizeRosterId(first.replace(/^"|"$/g, ""));
+    });
+    if (HEADER_CELLS.includes(rows[0])) rows.shift();
+    ids = rows;
+  } else {
+    return fail("rosterFormat");
+  }
+
+  const roster = ids.filter((id) => id.length > 0);
+  if (roster.length === 0) return fail("rosterEmpty");
+  const duplicate = roster.find((id, i) => roster.indexOf(id) !== i);
+  if (duplicate !== undefined) return fail("rosterDuplicateId", { id: duplicate });
+  if (roster.length > MAX_ROSTER_SIZE) {
+    return fail("rosterTooLarge", { max: MAX_ROSTER_SIZE });
+  }
+  if (roster.some((id) => id.length > MAX_ROSTER_ID_LENGTH)) {
+    return fail("rosterIdTooLong", { max: MAX_ROSTER_ID_LENGTH });
+  }
+  return { roster };
+}
+
+/**
+ * Validate the access options a teacher sent with a new session. Omitted
+ * options keep the anonymous default.
+ * Returns { access } or { error }.
+ */
+function resolveAccess(input) {
+  const access = defaultAccess();
+  if (input === undefined || input === null) return { access };
+  if (typeof input !== "object") return fail("invalidAccess");
+
+  const { passcode, roster, askName, showIndividual } = input;
+
+  if (passcode !== undefined && passcode !== null && passcode !== "") {
+    if (
+      typeof passcode !== "string" ||
+      passcode.trim().length < MIN_PASSCODE_LENGTH ||
+      passcode.trim().length > MAX_PASSCODE_LENGTH
+    ) {
+      return fail("passcodeLength", { min: MIN_PASSCODE_LENGTH, max: MAX_PASSCODE_LENGTH });
+    }
+    access.passcode = passcode.trim();
+  }
+
+  if (roster !== undefined && roster !== null && roster !== "") {
+    const parsed = parseRoster(roster);
+    if (parsed.error) return parsed;
+    access.roster = parsed.roster;
+  }
+
+  access.askName = askName === true;
+  if (showIndividual === true) {
+    if (!identifies(access)) {
+      return fail("individualNeedsIdentity");
+    }
+    access.showIndividual = true;
+  }
+  return { access };
+}
+
+/** True if students in the session are known by roster ID or name. */
+function identifies(access) {
+  return access.roster !== null || access.askName;
+}
+
+/**
+ * What the staff can see of a student, for the join screen:
+ *   "anonymous"   nothing (the default)
+ *   "attendance"  that they joined, by roster ID or name; feedback stays anonymous
+ *   "individual"  who they are and their current level
+ */
+function visibility(access) {
+  if (!identifies(access)) return "anonymous";
+  return access.showIndividual ? "individual" : "attendance";
+}
+
+/**
+ * What a student must send to join: { passcode, rosterId, name } flags, for
+ * the join form. All false for an open, anonymous session.
+ */
+function joinRequirements(access) {
+  return {
+    passcode: access.passcode !== null,
+    rosterId: access.roster !== null,
+    name: access.askName,
+  };
+}
+
+function sameSecret(expected, given) {
+  if (typeof given !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given.trim());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a new student's join details against the session's access options.
+ * Returns { identity: { rosterId, name } } or { error }.
+ */
+function checkJoin(access, { passcode, rosterId, name } = {}) {
+  if (access.passcode !== null && !sameSecret(access.passcode, passcode)) {
+    return fail(passcode ? "wrongPasscode" : "passcodeRequired");
+  }
+
+  const identity = { rosterId: null, name: null };
+  if (access.roster !== null) {
+    const id = normalizeRosterId(rosterId);
+    if (!access.roster.includes(id)) {
+      return fail(id ? "notOnRoster" : "rosterIdRequired");
+    }
+    identity.rosterId = id;
+  }
+
+  if (access.askName) {
+    const trimmed = typeof name === "string" ? name.trim().slice(0, MAX_NAME_LENGTH) : "";
+    if (trimmed.length === 0) return fail("nameRequired");
+    identity.name = trimmed;
+  }
+  return { identity };
+}
+
+/**
+ * Joined vs. missing students for the staff, or null for anonymous sessions:
+ *   {
+ *     joined: Array<{ rosterId, name, level?, stale? }>,  // levels only with showIndividual
+ *     missing: rosterId[] | null                   // null without a roster
+ *   }
+ */
+function rosterView(session) {
+  const { access } = session;
+  if (!identifies(access)) return null;
+
+  const joined = [];
+  const present = new Set();
+  for (const client of session.clients.values()) {
+    const entry = { rosterId: client.rosterId || null, name: client.name || null };
+    if (access.showIndividual) {
+      entry.level = client.level;
+      entry.stale = client.stale; // see freshness.js
+    }
+    joined.push(entry);
+    if (entry.rosterId) present.add(entry.rosterId);
+  }
+  joined.sort((a, b) => (a.name || a.rosterId || "").localeCompare(b.name || b.rosterId || ""));
+
+  return {
+    joined,
+    missing: access.roster ? access.roster.filter((id) => !present.has(id)) : null,
+  };
+}
+
+/**
+ * The access options as the staff see them (the roster itself is in
+ * rosterView):
+ *   { passcode, rosterSize, askName, showIndividual }
+ */
+function accessView(access) {
+  return {
+    passcode: access.passcode,
+    rosterSize: access.roster ? access.roster.length : 0,
+    askName: access.askName,
+    showIndividual: access.showIndividual,
+  };
+}
+
+module.exports = {
+  defaultAccess,
+  resolveAccess,
+  identifies,
+  visibility,
+  joinRequirements,
+  checkJoin,
+  rosterView,
+  accessView,
+};
@@ -0,0 +1,207 @@
+/**
+ * alerts.js — Confusion alert engine, kept on the session object
+ *
+ * The "confused share" is the share of students on one of the scale's alert
+ * levels (see scales.js), among those whose feedback isn't stale (see
+ * freshness.js). Two kinds of alert fire:
+ *   "threshold"  the share stayed above `threshold` for `sustainMs`
+ *   "rise"       the share rose by at least `riseShare` within `riseWindowMs`
+ * Neither fires with fewer than `minParticipants` fresh students, so one confused
+ * student in a tiny class doesn't set off the dashboard. A threshold alert
+ * fires once per excursion above the threshold; a rise alert at most once
+ * per rise window.
+ *
+ * Data model:
+ *   session.alertSettings = {
+ *     threshold, minParticipants, sustainMs, riseShare, riseWindowMs
+ *   }
+ *   session.alertState = {
+ *     aboveSince: number | null,   // when the share last went above threshold
+ *     thresholdFired: boolean,     // already alerted for this excursion
+ *     lastRiseAt: number | null,
+ *     snoozedUntil: number | null  // alerts are recorded but not sent until then
+ *   }
+ *   session.alerts = Array<{
+ *     id, reason: "threshold" | "rise", share, fromShare?, participants,
+ *     at, snoozed: boolean, dismissedAt: number | null
+ *   }>
+ *
+ * These functions only touch the session object — callers persist it.
+ */
+
+const crypto = require("crypto");
+const { fail } = require("./errors");
+const { freshTotal } = require("./freshness");
+
+const DEFAULT_SETTINGS = {
+  threshold: 0.3,
+  minParticipants: 5,
+  sustainMs: 15 * 1000,
+  riseShare: 0.25,
+  riseWindowMs: 30 * 1000,
+};
+
+// [min, max] per setting; anything else in an update is ignored
+const SETTING_LIMITS = {
+  threshold: [0.05, 1],
+  minParticipants: [1, 1000],
+  sustainMs: [0, 10 * 60 * 1000],
+  riseShare: [0.05, 1],
+  riseWindowMs: [5 * 1000, 10 * 60 * 1000],
+};
+
+const MAX_SNOOZE_MS = 60 * 60 * 1000;
+const MAX_ALERTS = 200;
+
+function defaultSettings() {
+  return { ...DEFAULT_SETTINGS };
+}
+
+function initialState() {
+  return {
+    aboveSince: null,
+    thresholdFired: false,
+    lastRiseAt: null,
+    snoozedUntil: null,
+  };
+}
+
+function confusedShare(counts, alertLevels) {
+  const total = freshTotal(counts);
+  if (!total) return 0;
+  return alertLevels.reduce((sum, key) => sum + (counts[key] || 0), 0) / total;
+}
+
+/**
+ * Merge a partial settings update from the teacher into the session.
+ * Returns { settings } or { error }.
+ */
+function updateSettings(session, changes) {
+  if (!changes || typeof changes !== "object") return fail("invalidAlertSettings");
+
+  const next = { ...session.alertSettings };
+  for (const [name, value] of Object.entries(changes)) {
+    if (!Object.hasOwn(SETTING_LIMITS, name)) continue;
+    const limits = SETTING_LIMITS[name];
+    if (typeof value !== "number" || value < limits[0] || value > limits[1]) {
+      return fail("alertSettingRange", { name, min: limits[0], max: limits[1] });
+    }
+    next[name] = name === "minParticipants" ? Math.round(value) : value;
+  }
+
+  session.alertSettings = next;
+  return { settings: next };
+}
+
+// Lowest share in the rise window, from history points with enough students
+function windowLowShare(session, now) {
+  const { minParticipants, riseWindowMs } = session.alertSettings;
+  let low = null;
+  for (let i = session.history.length - 1; i >= 0; i--) {
+    const point = session.history[i];
+    // A point holds until the next one, so the one straddling the window
+    // start still counts
+    const next = session.history[i + 1];
+    if (next && next.t <= now - riseWindowMs) break;
+    if (freshTotal(point) < minParticipants) continue;
+
+    const share = confusedShare(point, session.scale.alertLevels);
+    low = low === null ? share : Math.min(low, share);
+  }
+  return low;
+}
+
+function recordAlert(session, alert) {
+  session.alerts.push(alert);
+  if (session.alerts.length > MAX_ALERTS) session.alerts.shift();
+  return alert;
+}
+
+/**
+ * Check the current aggregate against the session's alert settings. Call
+ * after every aggregate change and periodically (sustained alerts fire on
+ * time passing, not on feedback). Returns the new alert, or null.
+ */
+function evaluate(session, aggregate, now = Date.now()) {
+  const settings = session.alertSettings;
+  const state = session.alertState;
+  const share = confusedShare(aggregate, session.scale.alertLevels);
+  const participants = freshTotal(aggregate);
+
+  if (participants < settings.minParticipants) {
+    state.aboveSince = null;
+    state.thresholdFired = false;
+    return null;
+  }
+
+  const base = {
+    id: crypto.randomBytes(6).toString("hex"),
+    share,
+    participants,
+    at: now,
+    snoozed: state.snoozedUntil !== null && now < state.snoozedUntil,
+    dismissedAt: null,
+  };
+
+  if (share > settings.threshold) {
+    if (state.aboveSince === null) state.aboveSince = now;
+    if (!state.thresholdFired && now - state.aboveSince >= settings.sustainMs) {
+      state.thresholdFired = true;
+      return recordAlert(session, { ...base, reason: "threshold" });
+    }
+  } else {
+    state.aboveSince = null;
+    state.thresholdFired = false;
+  }
+
+  const low = windowLowShare(session, now);
+  const riseReady =
+    state.lastRiseAt === null || now - state.lastRiseAt >= settings.riseWindowMs;
+  if (low !== null && riseReady && share - low >= settings.riseShare) {
+    state.lastRiseAt = now;
+    return recordAlert(session, { ...base, reason: "rise", fromShare: low });
+  }
+
+  return null;
+}
+
+/** Dismiss an alert. Returns true on success. */
+function dismissAlert(session, alertId) {
+  const alert = session.alerts.find((a) => a.id === alertId);
+  if (!alert || alert.dismissedAt !== null) return false;
+
+  alert.dismissedAt = Date.now();
+  return true;
+}
+
+/**
+ * Hold back alerts for `durationMs` (0 cancels a snooze). Returns true if
+ * the duration was valid.
+ */
+function snooze(session, durationMs) {
+  if (!Number.isFinite(durationMs) || durationMs < 0 || durationMs > MAX_SNOOZE_MS) {
+    return false;
+  }
+  session.alertState.snoozedUntil = durationMs > 0 ? Date.now() + durationMs : null;
+  return true;
+}
+
+/** Alert settings, snooze and history as sent to the teacher. */
+function alertsView(session) {
+  return {
+    settings: session.alertSettings,
+    snoozedUntil: session.alertState.snoozedUntil,
+    alerts: session.alerts,
+  };
+}
+
+module.exports = {
+  defaultSettings,
+  initialState,
+  confusedShare,
+  updateSettings,
+  evaluate,
+  dismissAlert,
+  snooze,
+  alertsView,
+};
@@ -0,0 +1,268 @@
+/**
+ * api.js — JSON REST API under /api, for scripts and LMS integrations
+ *
+ * Routes:
+ *   GET    /api/health                  → { status: "ok", uptimeS, activeSessions }
+ *   GET    /api/scales                  → feedback scale presets
+ *   POST   /api/sessions { scale?, webhooks?, access?, course? }
+ *                                       → 201 { code, teacherToken, staffToken, displayToken,
+ *                                               scale, course, teacherUrl, staffUrl, displayUrl,
+ *                                               webhookSecret? }
+ *   GET    /api/sessions                → active sessions (admin token, see config.js)
+ *   GET    /api/sessions/:code          → status and current aggregate
+ *   DELETE /api/sessions/:code          → ends the session, { report }
+ *   GET    /api/sessions/:code/report[?format=csv|download=1]  → live or final report
+ *   POST   /api/courses { name, scale? }
+ *                                       → 201 { id, name, courseToken, scale, joinUrl,
+ *                                               dashboardUrl }
+ *   GET    /api/courses/:id             → lecture comparison (course token, see courses.js)
+ *   GET    /api/courses/:id/active      → { course: { id, name }, code } of the running lecture
+ *
+ * Teacher-only routes take the teacher token as `Authorization: Bearer <token>`
+ * or `?token=`, the course dashboard its course token. Listing sessions takes
+ * ADMIN_TOKEN the same way and is off when no admin token is configured.
+ * Errors are { error, errorCode, params? } (see errors.js) with a 4xx status;
+ * unknown codes and wrong tokens get the same 404. A session whose server
+ * instance has just gone away answers 503 until another one adopts it.
+ *
+ * Creating and ending sessions goes through the same actions as the socket
+ * handlers (passed in from index.js), so connected clients hear about it.
+ * Everything about an existing session runs on the instance that owns it,
+ * and the session list is gathered from all instances (see cluster.js);
+ * health is per instance.
+ */
+
+const express = require("express");
+const sessions = require("./sessions");
+const scales = require("./scales");
+const courses = require("./courses");
+const { reportToCsv } = require("./report");
+const { admin } = require("./config");
+const { fail } = require("./errors");
+
+const startedAt = Date.now();
+
+// Token from the Authorization header, falling back to ?token= so plain
+// download links work
+function requestToken(req) {
+  const match = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+  return match ? match[1] : req.query.token;
+}
+
+function normalizeCode(code) {
+  return typeof code === "string" ? code.toUpperCase().trim() : "";
+}
+
+function notFound(res) {
+  res.status(404).json(fail("sessionNotFound"));
+}
+
+// Result of a cluster command: undefined while the session waits to be
+// adopted by another instance (see cluster.js)
+function sendLookup(res, result, send) {
+  if (result === undefined) {
+    res.status(503).json(fail("sessionMoving"));
+  } else if (!result) {
+    notFound(res);
+  } else {
+    send(result);
+  }
+}
+
+// Express 4 doesn't catch rejected promises from handlers
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res).catch(next);
+}
+
+/**
+ * Build the /api router from the session actions shared with the socket
+ * handlers: startSession(teacherSocketId, { scale, webhooks, access }),
+ * finishSession(code, reason) and the cluster they run in.
+ */
+function createApiRouter({ startSession, finishSession, cluster }) {
+  const byCode = ({ code }) => ({ code });
+  cluster.command("api:status", {
+    route: byCode,
+    run: ({ code }) => sessions.getSessionStatus(code),
+    fallback: true,
+  });
+  cluster.command("api:endSession", {
+    route: byCode,
+    run: ({ code, token }) =>
+      sessions.verifyTeacher(code, token) ? finishSession(code, "ended") : null,
+    fallback: true,
+  });
+  // Reports of sessions that ended on an instance that has since gone away
+  // come from the shared store
+  cluster.command("api:report", {
+    route: byCode,
+    run: ({ code, token }) =>
+      sessions.holdsSession(code)
+        ? sessions.getReport(code, token)
+        : sessions.loadReport(code, token),
+    fallback: true,
+  });
+  cluster.command("api:listSessions", {
+    route: () => null,
+    run: () => sessions.listSessions(),
+  });
+
+  const router = express.Router();
+  router.use(express.json({ limit: "256kb" })); // room for a class roster
+
+  router.get("/health", (_req, res) => {
+    res.json({
+      status: "ok",
+      uptimeS: Math.round((Date.now() - startedAt) / 1000),
+      activeSessions: sessions.sessionCodes().length, // on this instance
+    });
+  });
+
+  router.get("/scales", (_req, res) => {
+    res.json({ presets: scales.listPresets(), defaultPreset: scales.DEFAULT_PRESET });
+  });
+
+  router.post(
+    "/sessions",
+    asyncRoute(async (req, res) => {
+      // No teacher socket yet: the dashboard attaches with resumeSession
+      const { scale, webhooks, access, course } = req.body || {};
+      const result = await startSession(null, { scale, webhooks, access, course });
+      if (result.error) {
+        res.status(400).json(result);
+        return;
+      }
+
+      const { code, teacherToken, staffToken, displayToken } = result;
+      res.status(201).json({
+        ...result,
+        teacherUrl: `/teach/${code}?token=${encodeURIComponent(teacherToken)}`,
+        // Co-instructors open the same dashboard with the staff token
+        staffUrl: `/teach/${code}?token=${encodeURIComponent(staffToken)}`,
+        displayUrl: `/display/${code}?token=${encodeURIComponent(displayToken)}`,
+      });
+    })
+  );
+
+  router.get(
+    "/sessions",
+    asyncRoute(async (req, res) => {
+      if (!admin.token || !sessions.tokensMatch(admin.token, requestToken(req))) {
+        res.status(403).json(fail("adminTokenRequired"));
+        return;
+      }
+
+      const perInstance = await cluster.runEverywhere("api:listSessions");
+      const all = perInstance.flat().sort((a, b) => a.createdAt - b.createdAt);
+      res.json({ sessions: all });
+    })
+  );
+
+  router.get(
+    "/sessions/:code",
+    asyncRoute(async (req, res) => {
+      const code = normalizeCode(req.params.code);
+      const status = await cluster.run("api:status", { code });
+      sendLookup(res, status, (found) => res.json(found));
+    })
+  );
+
+  router.delete(
+    "/sessions/:code",
+    asyncRoute(async (req, res) => {
+      const code = normalizeCode(req.params.code);
+      const report = await cluster.run("api:endSession", { code, token: requestToken(req) });
+      sendLookup(res, report, (found) => res.json({ report: found }));
+    })
+  );
+
+  router.get(
+    "/sessions/:code/report",
+    asyncRoute(async (req, res) => {
+      const code = normalizeCode(req.params.code);
+      const report = await cluster.run("api:report", { code, token: requestToken(req) });
+      sendLookup(res, report, (found) => {
+        if (req.query.format === "csv") {
+          res.attachment(`session-${code}-report.csv`);
+          res.type("text/csv").send(reportToCsv(found));
+          return;
+        }
+
+        if (req.query.download) {
+          res.attachment(`session-${code}-report.json`);
+        }
+        res.json(found);
+      });
+    })
+  );
+
+  router.post("/courses", (req, res) => {
+    const { name, scale } = req.body || {};
+    const result = courses.createCourse({ name, scale });
+    if (result.error) {
+      res.status(400).json(result);
+      return;
+    }
+
+    const { course } = result;
+    const { id, courseToken } = course;
+    res.status(201).json({
+      id,
+      name: course.name,
+      courseToken,
+      scale: course.scale,
+      // The stable link for students; the dashboard link is the teacher's
+      joinUrl: `/c/${id}`,
+      dashboardUrl: `/courses/${id}?token=${encodeURIComponent(courseToken)}`,
+    });
+  });
+
+  router.get(
+    "/courses/:id",
+    asyncRoute(async (req, res) => {
+      const course = await courses.verifyCourse(req.params.id, requestToken(req));
+      if (!course) {
+        res.status(404).json(fail("courseNotFound"));
+        return;
+      }
+      res.json(courses.courseSummary(course));
+    })
+  );
+
+  // Public: where the course's join link should send students right now
+  router.get(
+    "/courses/:id/active",
+    asyncRoute(async (req, res) => {
+      const course = await courses.getCourse(req.params.id);
+      if (!course) {
+        res.status(404).json(fail("courseNotFound"));
+        return;
+      }
+
+      // A lecture moving between instances (undefined) is still running
+      const code = course.activeCode;
+      const running = code && (await cluster.run("api:status", { code })) !== null;
+      if (!running) {
+        res.status(404).json(fail("noActiveLecture"));
+        return;
+      }
+      res.json({ course: { id: course.id, name: course.name }, code });
+    })
+  );
+
+  // Unknown /api routes get JSON, not the SPA's index.html
+  router.use((_req, res) => {
+    res.status(404).json(fail("notFound"));
+  });
+
+  // Malformed JSON bodies and other request errors (Express needs all four
+  // arguments to treat this as an error handler)
+  router.use((err, _req, res, _next) => {
+    const failure = err.expose ? fail("badRequest") : fail("serverError");
+    res.status(err.status || 500).json(failure);
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
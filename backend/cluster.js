@@ -0,0 +1,262 @@
+/**
+ * cluster.js — Running several server instances behind a load balancer
+ *
+ * Each live session is owned by exactly one instance: the one it was created
+ * on, or the one that adopted it (see below). Only the owner keeps the
+ * session in memory (sessions.js), so every change to a session happens in
+ * one place and aggregates can't drift apart between instances.
+ *
+ * Socket events and REST calls are handled as commands. A command that
+ * arrives at an instance that doesn't own its session is forwarded to the
+ * other instances with serverSideEmit; the owner runs it and replies, the
+ * others decline. The owner reaches sockets connected elsewhere through the
+ * Socket.io adapter, which delivers room and socket-id emits (and joins /
+ * leaves) on every instance. If no instance owns the session, the command
+ * runs locally, which gives the usual "Invalid session code".
+ *
+ * Ownership is a lease in the shared store (see store/redisStore.js) that
+ * the owner renews every LEASE_RENEW_MS. An instance shutting down hands its
+ * sessions over straight away (close()); after a crash its leases run out
+ * and another instance adopts the sessions. Adopting restores a session
+ * like after a restart and makes everyone in it reconnect, so they rejoin /
+ * resume through the new owner. Until then, events for the session are
+ * dropped.
+ *
+ * Configuration (see config.js):
+ *   SOCKET_ADAPTER=memory  one instance: Socket.io's in-process adapter, and
+ *                          every command runs locally
+ *   SOCKET_ADAPTER=redis   several instances: @socket.io/redis-adapter; use
+ *                          with SESSION_STORE=redis so codes are unique and
+ *                          sessions survive an instance going away
+ * The memory adapter and store are the in-process stand-ins for Redis.
+ */
+
+const { createClient } = require("redis");
+const { createAdapter } = require("@socket.io/redis-adapter");
+const sessions = require("./sessions");
+const config = require("./config");
+
+const COMMAND_EVENT = "cluster:command";
+const HANDOFF_EVENT = "cluster:handoff";
+const ADOPTED_EVENT = "cluster:adopted";
+const FORWARD_TIMEOUT_MS = 5 * 1000; // also for the shutdown hand-off
+const LEASE_RENEW_MS = 10 * 1000; // well within the store's lease time
+
+/**
+ * Connect the Socket.io adapter selected by SOCKET_ADAPTER. Resolves once
+ * `io` broadcasts to every instance; start listening after that.
+ */
+async function attachAdapter(io) {
+  if (config.cluster.adapter === "memory") return; // Socket.io's default
+
+  const pubClient = createClient({ url: config.cluster.redisUrl });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on("error", (err) => console.error("Redis adapter:", err.message));
+  }
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(
+    createAdapter(pubClient, subClient, {
+      key: "lecture-feedback",
+      requestsTimeout: FORWARD_TIMEOUT_MS,
+    })
+  );
+}
+
+/**
+ * Create the command router for this instance. Commands are registered with
+ *   command(name, { route(args), run(args), fallback })
+ * where route(args) names what the command acts on:
+ *   { code }            a session (live or ended)
+ *   { participantId }   whichever session the student is in
+ *   { socketId }        whichever session the socket belongs to
+ *   null                nothing in particular: always runs locally
+ * and `fallback` says whether to run it locally when no instance owns it.
+ * Arguments and results must survive JSON, as they may cross instances.
+ *
+ * Sockets must carry their participant id in socket.data.participantId so
+ * an adopted session's students can be found on any instance.
+ */
+function createCluster(io, store) {
+  const enabled = config.cluster.adapter !== "memory";
+  const commands = new Map();
+  // socket id → session code, for sockets whose events were dropped while
+  // their session was waiting to be adopted
+  const stranded = new Map();
+
+  function command(name, spec) {
+    commands.set(name, spec);
+  }
+
+  function owns(route) {
+    if (!route) return true;
+    if (route.code !== undefined) return sessions.holdsSession(route.code);
+    if (route.participantId !== undefined) {
+      return sessions.getParticipantSession(route.participantId) !== null;
+    }
+    return sessions.hasSocket(route.socketId);
+  }
+
+  // Ask every other instance to run a command; resolves to their replies
+  function forward(name, args) {
+    return new Promise((resolve) => {
+      io.serverSideEmit(COMMAND_EVENT, name, args, (err, replies) => {
+        if (err) console.warn(`Forwarding ${name}: ${err.message}`);
+        resolve(replies || []);
+      });
+    });
+  }
+
+  /**
+   * Run a command on the instance that owns its session. Resolves to the
+   * command's result, or undefined if nobody ran it (no owner and no
+   * fallback, or a session waiting to be adopted); rejects if it threw,
+   * wherever it ran.
+   */
+  async function run(name, args) {
+    const spec = commands.get(name);
+    const route = spec.route(args);
+    // Runs synchronously, so a single instance handles events in order
+    if (owns(route)) return spec.run(args);
+
+    if (enabled) {
+      const reply = (await forward(name, args)).find((r) => r.handled);
+      if (reply && reply.failed) throw new Error(`${name} failed on the owning instance`);
+      if (reply) return reply.result;
+    }
+
+    if (route && route.code && (await orphaned(route.code))) {
+      if (args.socketId) stranded.set(args.socketId, route.code);
+      return undefined;
+    }
+    return spec.fallback ? spec.run(args) : undefined;
+  }
+
+  /** Run a command on every instance; resolves to all their results. */
+  async function runEverywhere(name, args = {}) {
+    const results = [await commands.get(name).run(args)];
+    if (!enabled) return results;
+
+    const replies = await forward(name, args);
+    return results.concat(replies.filter((r) => r.handled && !r.failed).map((r) => r.result));
+  }
+
+  // A live session nobody answered for: its owner has stopped. Adopt it
+  // now if its lease is free, otherwise it's unavailable for the moment.
+  async function orphaned(code) {
+    if (!(await store.listSessionCodes()).includes(code)) return false;
+    return !(await adopt(code));
+  }
+
+  /**
+   * A fresh session code, unique across instances and not used by a report
+   * that is still kept.
+   */
+  async function claimCode() {
+    for (;;) {
+      const code = sessions.generateCode();
+      if (await store.claimNewSession(code)) return code;
+    }
+  }
+
+  async function adopt(code) {
+    if (sessions.holdsSession(code)) return true;
+    if (!(await store.claimSession(code))) return false;
+
+    const session = await store.loadSession(code);
+    if (!session) {
+      store.deleteSession(code); // ended before it was ever saved
+      return false;
+    }
+    sessions.restoreSession(code, session);
+    console.log(`Adopted session ${code}`);
+
+    const participantIds = [...session.clients.keys()];
+    reconnectClients(code, participantIds);
+    if (enabled) io.serverSideEmit(ADOPTED_EVENT, code, participantIds);
+    return true;
+  }
+
+  // Make this instance's sockets of an adopted session reconnect, so they
+  // rejoin / resume through the new owner: sockets still in its room, its
+  // students wherever they reconnected to, and sockets whose events were
+  // dropped meanwhile. Closing the connection (rather than disconnecting
+  // the socket) is what makes the client reconnect by itself.
+  function reconnectClients(code, participantIds) {
+    const students = new Set(participantIds);
+    for (const socket of io.of("/").sockets.values()) {
+      if (
+        socket.rooms.has(code) ||
+        students.has(socket.data.participantId) ||
+        stranded.get(socket.id) === code
+      ) {
+        stranded.delete(socket.id);
+        socket.conn.close();
+      }
+    }
+  }
+
+  /** Adopt every session whose owner has gone away (also at startup). */
+  async function adoptOrphans() {
+    for (const code of await store.listSessionCodes()) {
+      if (!sessions.holdsSession(code)) await adopt(code);
+    }
+  }
+
+  // Keep our leases and drop sessions another instance took over because
+  // we were unreachable for too long
+  async function maintainLeases() {
+    for (const code of await store.renewClaims(sessions.sessionCodes())) {
+      sessions.forgetSession(code);
+      console.warn(`Session ${code} was taken over by another instance`);
+    }
+    for (const socketId of stranded.keys()) {
+      if (!io.of("/").sockets.has(socketId)) stranded.delete(socketId);
+    }
+    await adoptOrphans();
+  }
+
+  /**
+   * Shut down: flush and release our sessions (see store.close()) and ask
+   * the other instances to adopt them before our sockets drop.
+   */
+  async function close() {
+    const codes = sessions.sessionCodes();
+    await store.close();
+    if (!enabled || codes.length === 0) return;
+
+    // Whatever isn't adopted in time is picked up on the next lease renewal
+    await io.serverSideEmitWithAck(HANDOFF_EVENT, codes).catch(() => {});
+  }
+
+  io.on(COMMAND_EVENT, async (name, args, reply) => {
+    const spec = commands.get(name);
+    if (!spec || !owns(spec.route(args))) {
+      reply({ handled: false });
+      return;
+    }
+    try {
+      reply({ handled: true, result: await spec.run(args) });
+    } catch (err) {
+      // Still answer, so the requesting instance doesn't wait for a timeout
+      console.error(`Failed to run forwarded ${name}:`, err);
+      reply({ handled: true, failed: true });
+    }
+  });
+
+  io.on(ADOPTED_EVENT, reconnectClients);
+
+  // The first instance to claim each session adopts it
+  io.on(HANDOFF_EVENT, async (codes, reply) => {
+    for (const code of codes) await adopt(code);
+    reply(true);
+  });
+
+  setInterval(() => {
+    maintainLeases().catch((err) => console.error("Failed to maintain session leases:", err));
+  }, LEASE_RENEW_MS).unref();
+
+  return { enabled, command, run, runEverywhere, claimCode, adoptOrphans, close };
+}
+
+module.exports = { attachAdapter, createCluster };
@@ -0,0 +1,77 @@
+/**
+ * config.js — Server settings read from environment variables
+ *
+ * Durations are in milliseconds; setting one to 0 disables that limit.
+ *   TEACHER_GRACE_MS  how long a session survives without a connected teacher (default 10 min)
+ *   MAX_SESSION_MS    maximum session length (default 4 h)
+ *   IDLE_TIMEOUT_MS   end a session after this long without joins or feedback (default 30 min)
+ *
+ *   ADMIN_TOKEN       secret for admin-only REST routes such as listing all
+ *                     sessions (see api.js); unset disables those routes
+ *
+ * Webhooks (see webhooks.js):
+ *   WEBHOOK_URLS         comma-separated URLs that receive every session's events
+ *   WEBHOOK_SECRET       HMAC key the deliveries to WEBHOOK_URLS are signed with
+ *   WEBHOOK_MAX_ATTEMPTS delivery attempts per event and URL (default 5)
+ *   WEBHOOK_TIMEOUT_MS   per-attempt timeout (default 5 s)
+ *   SESSION_WEBHOOKS     "on" lets teachers register their own URLs per session
+ *                        (off by default: the server would POST to any URL)
+ *
+ * Running several instances behind a load balancer (see cluster.js):
+ *   SOCKET_ADAPTER  "memory" (default, a single instance) | "redis"
+ *   REDIS_URL       Redis for the adapter and SESSION_STORE=redis
+ *                   (default redis://localhost:6379)
+ */
+
+function envMs(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number of milliseconds`);
+  }
+  return value;
+}
+
+const expiry = {
+  teacherGraceMs: envMs("TEACHER_GRACE_MS", 10 * 60 * 1000),
+  maxSessionMs: envMs("MAX_SESSION_MS", 4 * 60 * 60 * 1000),
+  idleTimeoutMs: envMs("IDLE_TIMEOUT_MS", 30 * 60 * 1000),
+};
+
+function envList(name) {
+  return (process.env[name] || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+const webhooks = {
+  urls: envList("WEBHOOK_URLS"),
+  secret: process.env.WEBHOOK_SECRET || "",
+  maxAttempts: Math.max(1, Math.floor(Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5)),
+  timeoutMs: envMs("WEBHOOK_TIMEOUT_MS", 5 * 1000),
+  allowSessionUrls: process.env.SESSION_WEBHOOKS === "on",
+};
+
+if (webhooks.urls.length > 0 && !webhooks.secret) {
+  throw new Error("WEBHOOK_SECRET must be set when WEBHOOK_URLS is");
+}
+
+const admin = {
+  token: process.env.ADMIN_TOKEN || "",
+};
+
+const SOCKET_ADAPTERS = ["memory", "redis"];
+
+const cluster = {
+  adapter: process.env.SOCKET_ADAPTER || "memory",
+  redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+};
+
+if (!SOCKET_ADAPTERS.includes(cluster.adapter)) {
+  throw new Error(`Unknown SOCKET_ADAPTER "${cluster.adapter}" (expected memory or redis)`);
+}
+
+module.exports = { expiry, admin, webhooks, cluster };
@@ -0,0 +1,284 @@
+/**
+ * courses.js — Recurring courses: the lectures of a semester grouped so
+ * they can be compared
+ *
+ * A course has a stable join link (/c/<id>) that sends students to whichever
+ * of its lectures is running, and a dashboard comparing its lectures (see
+ * courseSummary). Lectures are ordinary sessions started with
+ * { course: { id, courseToken, title? } }; when one ends, a compact record
+ * of its report is added to the course, which keeps it after the day-long
+ * session report is gone.
+ *
+ * Data model:
+ *   course = {
+ *     id: string,                    // COURSE_ID_LENGTH chars, part of the join link
+ *     name: string,
+ *     courseToken: string,           // secret for the dashboard and starting lectures
+ *     scale: scale,                  // lectures use it unless they ask for another
+ *     createdAt: number,
+ *     activeCode: string | null,     // the lecture started last, until it ends
+ *     lectureCount: number,          // lectures started, for numbering
+ *     lectures: Array<lectureRecord> // ended lectures, oldest first
+ *   }
+ *   lectureRecord = {
+ *     code, number, title, startedAt, endedAt, durationMs,
+ *     attendance,                    // peak participants
+ *     averageConfusedShare, peakConfusedShare, timeAboveThresholdMs,
+ *     worstSegments: Array<{ kind, label, title, slide, averageConfusedShare }>
+ *                                    // up to WORST_SEGMENTS, see segments.js
+ *   }
+ *
+ * Courses live in the configured store (see store/index.js). Single-instance
+ * stores are loaded into `courses` by init(); a shared store is read on
+ * every lookup instead, since other instances change courses too (the last
+ * write wins).
+ */
+
+const crypto = require("crypto");
+const { fail } = require("./errors");
+const scales = require("./scales");
+const { tokensMatch } = require("./sessions");
+const { createMemoryStore } = require("./store/memoryStore");
+
+const COURSE_ID_LENGTH = 8;
+const MAX_NAME_LENGTH = 80;
+const MAX_TITLE_LENGTH = 80;
+const MAX_LECTURES = 500; // per course; the oldest records are dropped beyond
+const WORST_SEGMENTS = 3; // per lecture on the dashboard
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const courses = new Map();
+
+// Persistence backend; replaced by init()
+let store = createMemoryStore();
+
+/** Attach a store and load the courses it holds (single-instance stores). */
+function init(newStore) {
+  store = newStore;
+  for (const course of store.load().courses || []) {
+    courses.set(course.id, course);
+  }
+  return courses.size;
+}
+
+function generateId() {
+  const chars = "abcdefghjkmnpqrstuvwxyz23456789"; // omit ambiguous l/1, o/0, i
+  let id;
+  do {
+    id = "";
+    for (let i = 0; i < COURSE_ID_LENGTH; i++) {
+      id += chars[crypto.randomInt(chars.length)];
+    }
+  } while (courses.has(id));
+  return id;
+}
+
+function normalizeId(id) {
+  return typeof id === "string" ? id.trim().toLowerCase() : "";
+}
+
+function cleanText(text, maxLength) {
+  return typeof text === "string" ? text.trim().slice(0, maxLength) : "";
+}
+
+function save(course) {
+  courses.set(course.id, course);
+  store.saveCourse(course.id, course);
+}
+
+// ── Courses ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create a course with a name and the scale its lectures use (preset id or
+ * custom scale, see scales.resolveScale). Returns { course } or { error }.
+ */
+function createCourse({ name, scale } = {}) {
+  const cleanName = cleanText(name, MAX_NAME_LENGTH);
+  if (!cleanName) return fail("courseNameRequired");
+
+  const resolved = scales.resolveScale(scale);
+  if (resolved.error) return resolved;
+
+  const course = {
+    id: generateId(),
+    name: cleanName,
+    courseToken: crypto.randomBytes(24).toString("base64url"),
+    scale: resolved.scale,
+    createdAt: Date.now(),
+    activeCode: null,
+    lectureCount: 0,
+    lectures: [],
+  };
+  save(course);
+  return { course };
+}
+
+/** A course by id, or null. */
+async function getCourse(id) {
+  const courseId = normalizeId(id);
+  if (!courseId) return null;
+  return (await store.loadCourse(courseId)) || courses.get(courseId) || null;
+}
+
+/** The course if `token` is its course token, otherwise null. */
+async function verifyCourse(id, token) {
+  const course = await getCourse(id);
+  return course && tokensMatch(course.courseToken, token) ? course : null;
+}
+
+// ── Lectures ─────────────────────────────────────────────────────────────────
+
+/**
+ * Check the course a new session was asked to belong to:
+ * { id, courseToken, title? }. Returns { course, title } or { error }.
+ */
+async function resolveLecture(input) {
+  if (typeof input !== "object" || input === null) {
+    return fail("invalidCourse");
+  }
+  const course = await verifyCourse(input.id, input.courseToken);
+  if (!course) return fail("courseNotFound");
+  return { course, title: cleanText(input.title, MAX_TITLE_LENGTH) || null };
+}
+
+/**
+ * Make session `code` the course's next lecture and the one its join link
+ * points at. Returns the session's `course` field: { id, name, number, title }.
+ */
+function beginLecture(course, code, title) {
+  course.lectureCount += 1;
+  course.activeCode = code;
+  save(course);
+  return { id: course.id, name: course.name, number: course.lectureCount, title };
+}
+
+/** Session code of the lecture the course's join link points at, or null. */
+async function activeLecture(id) {
+  const course = await getCourse(id);
+  return course && course.activeCode;
+}
+
+function lectureRecord(lecture, report) {
+  const worstSegments = report.segments
+    .filter((segment) => segment.peakParticipants > 0)
+    .sort((a, b) => b.averageConfusedShare - a.averageConfusedShare)
+    .slice(0, WORST_SEGMENTS)
+    .map(({ kind, label, title, slide, averageConfusedShare }) => ({
+      kind,
+      label,
+      title,
+      slide,
+      averageConfusedShare,
+    }));
+
+  return {
+    code: report.code,
+    number: lecture.number,
+    title: lecture.title,
+    startedAt: report.startedAt,
+    endedAt: report.endedAt,
+    durationMs: report.durationMs,
+    attendance: report.peakParticipants,
+    averageConfusedShare: report.averageConfusedShare,
+    peakConfusedShare: report.peakConfusedShare,
+    timeAboveThresholdMs: report.timeAboveThresholdMs,
+    worstSegments,
+  };
+}
+
+/**
+ * Add an ended lecture's report to its course (`lecture` is the session's
+ * `course` field) and stop pointing the join link at it.
+ */
+async function recordLecture(lecture, report) {
+  const course = await getCourse(lecture.id);
+  if (!course) return;
+
+  course.lectures.push(lectureRecord(lecture, report));
+  if (course.lectures.length > MAX_LECTURES) course.lectures.shift();
+  if (course.activeCode === report.code) course.activeCode = null;
+  save(course);
+}
+
+// ── Comparison ───────────────────────────────────────────────────────────────
+
+// Monday 00:00 UTC of the week `t` falls in
+function weekStart(t) {
+  const day = new Date(t);
+  day.setUTCHours(0, 0, 0, 0);
+  return day.getTime() - ((day.getUTCDay() + 6) % 7) * (WEEK_MS / 7);
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Lectures grouped by week (weeks start Monday, UTC), oldest first, with the
+ * change from the previous week that had lectures:
+ *   Array<{ weekStart, lectures, attendance, averageConfusedShare,
+ *           attendanceChange, confusedShareChange }>   (changes null for the first week)
+ */
+function weeklyTrends(lectures) {
+  const weeks = new Map();
+  for (const lecture of lectures) {
+    const start = weekStart(lecture.startedAt);
+    if (!weeks.has(start)) weeks.set(start, []);
+    weeks.get(start).push(lecture);
+  }
+
+  let previous = null;
+  return [...weeks.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, inWeek]) => {
+      const week = {
+        weekStart: start,
+        lectures: inWeek.length,
+        attendance: mean(inWeek.map((l) => l.attendance)),
+        averageConfusedShare: mean(inWeek.map((l) => l.averageConfusedShare)),
+      };
+      week.attendanceChange = previous && week.attendance - previous.attendance;
+      week.confusedShareChange =
+        previous && week.averageConfusedShare - previous.averageConfusedShare;
+      previous = week;
+      return week;
+    });
+}
+
+/**
+ * The course dashboard: the course without its token, every lecture, the
+ * weekly trends and the most confusing segments across the course.
+ *   { id, name, scale, createdAt, activeCode, lectures, weeks,
+ *     worstSegments: Array<{ lecture, kind, label, title, slide, averageConfusedShare }> }
+ */
+function courseSummary(course) {
+  const worstSegments = course.lectures
+    .flatMap((lecture) =>
+      lecture.worstSegments.map((segment) => ({ lecture: lecture.number, ...segment }))
+    )
+    .sort((a, b) => b.averageConfusedShare - a.averageConfusedShare)
+    .slice(0, 5);
+
+  return {
+    id: course.id,
+    name: course.name,
+    scale: course.scale,
+    createdAt: course.createdAt,
+    activeCode: course.activeCode,
+    lectures: course.lectures,
+    weeks: weeklyTrends(course.lectures),
+    worstSegments,
+  };
+}
+
+module.exports = {
+  init,
+  createCourse,
+  getCourse,
+  verifyCourse,
+  resolveLecture,
+  beginLecture,
+  activeLecture,
+  recordLecture,
+  courseSummary,
+};
@@ -0,0 +1,65 @@
+/**
+ * display.js — Settings of the read-only projector display, kept on the
+ * session object
+ *
+ * A display is a screen opened with the session's display token (see
+ * sessions.addDisplay): it shows the join code, QR code and live chart but
+ * has no teacher controls. With `hideNumbers` on, it shows only the join
+ * code and participant count until the teacher reveals the breakdown, so
+ * the room doesn't follow the crowd before everyone has answered.
+ *
+ * Data model:
+ *   session.display = {
+ *     hideNumbers: boolean,   // keep the breakdown off the display...
+ *     revealed: boolean       // ...until the teacher reveals it
+ *   }
+ *
+ * While the breakdown is hidden the server doesn't send it to displays at
+ * all (see forDisplay), so it can't be read off the projector's socket.
+ *
+ * These functions only touch the session object — callers persist it.
+ */
+
+const { fail } = require("./errors");
+
+function defaultSettings() {
+  return { hideNumbers: false, revealed: false };
+}
+
+/**
+ * Merge a partial settings update from the teacher into the session.
+ * Turning hideNumbers on hides the breakdown again.
+ * Returns { settings } or { error }.
+ */
+function updateSettings(session, changes) {
+  if (!changes || typeof changes !== "object") return fail("invalidDisplaySettings");
+
+  const next = { ...session.display };
+  for (const name of ["hideNumbers", "revealed"]) {
+    if (changes[name] === undefined) continue;
+    if (typeof changes[name] !== "boolean") {
+      return fail("displaySettingBoolean", { name });
+    }
+    next[name] = changes[name];
+  }
+  if (next.hideNumbers && !session.display.hideNumbers) next.revealed = false;
+
+  session.display = next;
+  return { settings: next };
+}
+
+/** Whether displays are held to the participant count right now. */
+function numbersHidden(session) {
+  return session.display.hideNumbers && !session.display.revealed;
+}
+
+/**
+ * What a display may see of the live data { aggregate, history, segments }:
+ * all of it, or while the numbers are hidden only the participant count.
+ */
+function forDisplay(session, { aggregate, history, segments }) {
+  if (!numbersHidden(session)) return { aggregate, history, segments };
+  return { aggregate: { total: aggregate.total }, history: [], segments: [] };
+}
+
+module.exports = { defaultSettings, updateSettings, numbersHidden, forDisplay };
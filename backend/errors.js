@@ -0,0 +1,158 @@
+/**
+ * errors.js — Everything the server can refuse, as error codes
+ *
+ * A refusal is an error code plus the numbers or names it mentions, e.g.
+ *   { errorCode: "passcodeLength", params: { min: 4, max: 32 } }
+ * so the app can say it in each user's own language (see
+ * frontend/src/i18n). MESSAGES keeps the English text for REST clients,
+ * logs and apps that don't know a code yet.
+ *
+ * Modules return fail(errorCode, params) where a check fails:
+ *   { error: englishText, errorCode, params? }
+ * which is also the body of a REST error. Socket error events (joinError,
+ * teacherError, resumeError, displayError, questionError) carry
+ * toEvent(failure): { message: englishText, errorCode, params? }, and so
+ * does a refused acknowledgement (feedback), with ok: false.
+ *
+ * The authorization errors name the refused action by id (params.action,
+ * see ACTIONS), so the app can translate that too.
+ */
+
+const MESSAGES = {
+  // Sessions
+  sessionNotFound: "Session not found.",
+  invalidSessionCode: "Invalid session code.",
+  couldNotJoin: "Could not join session.",
+  couldNotResume: "Could not resume session.",
+  invalidDisplayLink: "This display link is not valid.",
+  sessionMoving: "Session is moving to another server, try again shortly.",
+  adminTokenRequired: "Listing sessions needs the admin token.",
+  notFound: "Not found.",
+  badRequest: "The request could not be read.",
+  serverError: "Server error.",
+
+  // Student feedback
+  feedbackTooFast: "Feedback is coming in too fast, try again in a moment.",
+  invalidLevel: "That level isn't on this session's scale.",
+  notInSession: "You're not in this session any more.",
+
+  // Staff actions
+  notAuthorized: "Not authorized to {action}.",
+  ownerOnly: "Only the session owner can {action}.",
+
+  // Join access (access.js)
+  invalidAccess: "Invalid access options.",
+  passcodeLength: "The passcode must be {min}–{max} characters.",
+  rosterFormat: "The roster must be a CSV file or a list of student IDs.",
+  rosterEmpty: "The roster has no student IDs.",
+  rosterTooLarge: "Rosters can have up to {max} students.",
+  rosterIdTooLong: "Student IDs can be up to {max} characters.",
+  rosterDuplicateId: "The roster lists the student ID {id} more than once.",
+  individualNeedsIdentity: "Showing individual feedback needs a roster or student names.",
+  passcodeRequired: "This session needs a passcode.",
+  wrongPasscode: "Wrong passcode.",
+  rosterIdRequired: "Enter your student ID.",
+  notOnRoster: "That student ID isn't on the class roster.",
+  nameRequired: "Enter your name.",
+
+  // Feedback scales (scales.js)
+  unknownScalePreset: 'Unknown scale preset "{preset}".',
+  invalidScale: "Invalid feedback scale.",
+  scaleLevelCount: "A scale needs {min}–{max} levels.",
+  levelRequired: "Every level needs a key and label.",
+  invalidLevelKey: 'Invalid level key "{key}".',
+  levelLabelLength: "Level labels must be 1–{max} characters.",
+  levelEmoji: "Level emoji must be a short string.",
+  levelColor: "Level colors must look like #1976d2.",
+  duplicateLevelKeys: "Level keys must be unique.",
+  invalidDefaultLevel: "The default level must be one of the levels.",
+  invalidAlertLevels: "Alert levels must be levels of the scale.",
+
+  // Webhooks (webhooks.js)
+  webhooksDisabled: "Per-session webhooks are disabled on this server.",
+  webhookUrlCount: "Register 1–{max} webhook URLs.",
+  webhookUrlInvalid: "Webhook URLs must be http(s) URLs.",
+
+  // Courses (courses.js)
+  courseNameRequired: "Give the course a name.",
+  invalidCourse: "Invalid course.",
+  courseNotFound: "Course not found.",
+  noActiveLecture: "No lecture is running for this course right now.",
+
+  // Questions (questions.js)
+  questionCooldown: "Please wait {seconds}s before asking another question.",
+  questionTooShort: "Your question is too short.",
+  questionTooLong: "Questions are limited to {max} characters.",
+  tooManyOpenQuestions: "Wait for some of your questions to be answered first.",
+
+  // Polls (polls.js)
+  invalidPoll: "Invalid poll.",
+  unknownPollType: "Unknown poll type.",
+  pollQuestionRequired: "A poll needs a question.",
+  pollQuestionTooLong: "Poll questions are limited to {max} characters.",
+  pollOptionCount: "Multiple-choice polls need {min}–{max} options.",
+  pollOptionTooLong: "Options are limited to {max} characters.",
+
+  // Lecture segments (segments.js)
+  unknownMarkerKind: "Unknown marker type.",
+  tooManyMarkers: "This session has too many markers.",
+  markerLabelTooLong: "Marker labels are limited to {max} characters.",
+  slideNumberRequired: "Slide markers need a slide number.",
+  topicNameRequired: "A topic marker needs a name.",
+
+  // Alerts (alerts.js)
+  invalidAlertSettings: "Invalid alert settings.",
+  alertSettingRange: 'Alert setting "{name}" must be between {min} and {max}.',
+  snoozeTooLong: "Alerts can be snoozed for up to an hour.",
+
+  // Projector display (display.js)
+  invalidDisplaySettings: "Invalid display settings.",
+  displaySettingBoolean: 'Display setting "{name}" must be true or false.',
+
+  // Stale feedback & check-ins (freshness.js)
+  invalidStalenessSettings: "Invalid staleness settings.",
+  unknownStalenessMode: "Unknown staleness mode.",
+  staleAfterRange: "Feedback can go stale after {min}–{max} minutes.",
+  checkInRunning: "A check-in is already running.",
+  checkInDuration: "Check-ins last {minSeconds} seconds to {maxMinutes} minutes.",
+};
+
+// Staff actions named in notAuthorized / ownerOnly
+const ACTIONS = {
+  endSession: "end this session",
+  createPolls: "create polls",
+  openPolls: "open polls",
+  closePolls: "close polls",
+  moderateQuestions: "moderate questions",
+  markSegments: "mark segments",
+  changeAlertSettings: "change alert settings",
+  dismissAlerts: "dismiss alerts",
+  snoozeAlerts: "snooze alerts",
+  changeDisplay: "change the display",
+  changeStalenessSettings: "change staleness settings",
+  startCheckIn: "start a check-in",
+};
+
+function format(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+/** English text of an error code. */
+function message(errorCode, params = {}) {
+  const english = params.action ? { ...params, action: ACTIONS[params.action] } : params;
+  return format(MESSAGES[errorCode], english);
+}
+
+/** A refusal as modules return it (and REST sends it): { error, errorCode, params? }. */
+function fail(errorCode, params) {
+  return { error: message(errorCode, params), errorCode, ...(params && { params }) };
+}
+
+/** Payload of a socket error event for a refusal: { message, errorCode, params? }. */
+function toEvent({ error, errorCode, params }) {
+  return { message: error, errorCode, ...(params && { params }) };
+}
+
+module.exports = { MESSAGES, ACTIONS, message, fail, toEvent };
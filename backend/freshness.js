@@ -0,0 +1,168 @@
+/**
+ * freshness.js — Stale feedback and "still with me?" check-ins, kept on the
+ * session object
+ *
+ * A student's level stays put until they click again, so a "Lost" pressed
+ * twenty minutes ago would otherwise count as lost for the rest of the
+ * lecture. Each session has a staleness policy:
+ *   "off"    levels never go stale by age (the default)
+ *   "fade"   levels older than maxAgeMs go stale: counted apart, shown faded
+ *   "reset"  levels older than maxAgeMs go back to the scale's default level
+ * A level's age is the time since the student last sent feedback or
+ * confirmed it (client.updatedAt).
+ *
+ * The staff can also start a check-in: every student is asked to confirm
+ * or update their level within the check-in's duration. When it ends, the
+ * levels of students who didn't respond go stale (or are reset, under
+ * "reset").
+ *
+ * Aggregates count fresh and stale students apart (see sessions.getAggregate):
+ *   { [levelKey]: freshCount, total, stale: { [levelKey]: count }, staleTotal }
+ * `total` is everyone in the session; shares (alerts, segments, reports)
+ * are taken over the fresh students only, see freshTotal().
+ *
+ * Data model:
+ *   session.freshness = { mode: "off" | "fade" | "reset", maxAgeMs }
+ *   session.checkIn = { id, startedAt, endsAt } | null        // running check-in
+ *   session.lastCheckIn = { id, endedAt, responded, missed } | null
+ *   session.clients entries carry { updatedAt: number, stale: boolean }
+ *
+ * These functions only touch the session object — callers persist it.
+ * Moving students between the fresh and stale counts is up to sessions.js.
+ */
+
+const crypto = require("crypto");
+const { fail } = require("./errors");
+
+const MODES = ["off", "fade", "reset"];
+const DEFAULT_SETTINGS = { mode: "off", maxAgeMs: 10 * 60 * 1000 };
+const MIN_MAX_AGE_MS = 60 * 1000;
+const MAX_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+
+const DEFAULT_CHECK_IN_MS = 30 * 1000;
+const MIN_CHECK_IN_MS = 10 * 1000;
+const MAX_CHECK_IN_MS = 5 * 60 * 1000;
+
+function defaultSettings() {
+  return { ...DEFAULT_SETTINGS };
+}
+
+/**
+ * Merge a partial settings update ({ mode?, maxAgeMs? }) from the teacher
+ * into the session. Returns { settings } or { error }.
+ */
+function updateSettings(session, changes) {
+  if (!changes || typeof changes !== "object") return fail("invalidStalenessSettings");
+
+  const next = { ...session.freshness };
+  if (changes.mode !== undefined) {
+    if (!MODES.includes(changes.mode)) return fail("unknownStalenessMode");
+    next.mode = changes.mode;
+  }
+  if (changes.maxAgeMs !== undefined) {
+    const { maxAgeMs } = changes;
+    if (!Number.isFinite(maxAgeMs) || maxAgeMs < MIN_MAX_AGE_MS || maxAgeMs > MAX_MAX_AGE_MS) {
+      return fail("staleAfterRange", {
+        min: MIN_MAX_AGE_MS / 60000,
+        max: MAX_MAX_AGE_MS / 60000,
+      });
+    }
+    next.maxAgeMs = Math.round(maxAgeMs);
+  }
+
+  session.freshness = next;
+  return { settings: next };
+}
+
+/** Students a share is taken over: the aggregate's (or history point's) fresh ones. */
+function freshTotal(counts) {
+  return counts.total - (counts.staleTotal || 0);
+}
+
+/**
+ * True if a student's level is older than the session's policy allows.
+ * Under "reset", levels that faded before the teacher switched policy are
+ * reset too, and fresh students already on the default level are left
+ * alone — resetting them would change nothing.
+ */
+function isOutdated(session, client, now) {
+  const { mode, maxAgeMs } = session.freshness;
+  if (mode === "off") return false;
+  if (client.stale) return mode === "reset";
+  if (now - client.updatedAt <= maxAgeMs) return false;
+  return mode !== "reset" || client.level !== session.scale.defaultLevel;
+}
+
+/** True if an outdated or unresponsive student's level is reset rather than faded. */
+function resetsLevels(session) {
+  return session.freshness.mode === "reset";
+}
+
+// ── Check-ins ────────────────────────────────────────────────────────────────
+
+/**
+ * Start a check-in lasting `durationMs` (default DEFAULT_CHECK_IN_MS).
+ * Returns { checkIn } or { error }.
+ */
+function startCheckIn(session, durationMs = DEFAULT_CHECK_IN_MS, now = Date.now()) {
+  if (session.checkIn) return fail("checkInRunning");
+  if (!Number.isFinite(durationMs) || durationMs < MIN_CHECK_IN_MS || durationMs > MAX_CHECK_IN_MS) {
+    return fail("checkInDuration", {
+      minSeconds: MIN_CHECK_IN_MS / 1000,
+      maxMinutes: MAX_CHECK_IN_MS / 60000,
+    });
+  }
+
+  session.checkIn = {
+    id: crypto.randomBytes(6).toString("hex"),
+    startedAt: now,
+    endsAt: now + Math.round(durationMs),
+  };
+  return { checkIn: session.checkIn };
+}
+
+/** True if the student has confirmed or sent feedback since the running check-in began. */
+function respondedToCheckIn(session, client) {
+  return session.checkIn !== null && client.updatedAt >= session.checkIn.startedAt;
+}
+
+/** True if the session's check-in is over and should be finished. */
+function checkInOver(session, now) {
+  return session.checkIn !== null && now >= session.checkIn.endsAt;
+}
+
+/** Close the running check-in with its tally. Returns the lastCheckIn record. */
+function finishCheckIn(session, { responded, missed }, now = Date.now()) {
+  session.lastCheckIn = { id: session.checkIn.id, endedAt: now, responded, missed };
+  session.checkIn = null;
+  return session.lastCheckIn;
+}
+
+/**
+ * Staleness settings and check-ins as sent to the staff:
+ *   { settings, checkIn: { id, startedAt, endsAt, responded, total } | null, lastCheckIn }
+ */
+function freshnessView(session) {
+  let checkIn = null;
+  if (session.checkIn) {
+    let responded = 0;
+    for (const client of session.clients.values()) {
+      if (respondedToCheckIn(session, client)) responded++;
+    }
+    checkIn = { ...session.checkIn, responded, total: session.clients.size };
+  }
+  return { settings: session.freshness, checkIn, lastCheckIn: session.lastCheckIn };
+}
+
+module.exports = {
+  defaultSettings,
+  updateSettings,
+  freshTotal,
+  isOutdated,
+  resetsLevels,
+  startCheckIn,
+  respondedToCheckIn,
+  checkInOver,
+  finishCheckIn,
+  freshnessView,
+};
@@ -2,18 +2,113 @@
  * index.js — Express + Socket.io server for real-time lecture feedback
  *
  * Socket events:
+ *   Handshake: auth { participantId } — stable anonymous student id. A socket
+ *   whose participant is still in a session is put back into it on connect.
+ *
  *   Client → Server:
- *     createSession          → generates session code, joins teacher to room
- *     joinSession { code }   → student joins room by code
- *     feedback { code, level } → student sends emoji feedback
- *     endSession { code }    → teacher ends the session
+ *     createSession { scale?, webhooks?, access?, course? }
+ *       → generates session code, joins teacher to room
+ *       (scale: preset id or custom scale, see scales.js; default "understanding",
+ *        or the course's scale for a lecture;
+ *        webhooks: URLs for this session's events, if enabled — see webhooks.js;
+ *        access: { passcode?, roster?, askName?, showIndividual? } — see access.js;
+ *        course: { id, courseToken, title? } makes it the course's next lecture, see courses.js)
+ *     resumeSession { code, teacherToken, name? } → teacher reclaims a session from a new
+ *       socket; with the staff token instead, a co-instructor attaches (name: shown to staff)
+ *     setStaffName { code, name }  → owner / co-instructor changes the name staff see
+ *     joinSession { code, passcode?, rosterId?, name? } → student joins room by code
+ *       (the details only if the session asks for them, see access.js)
+ *     leaveSession           → student leaves their session for good
+ *     feedback { code, level } → student sends emoji feedback; acknowledged with
+ *       { ok: true, level } once applied or { ok: false, message, errorCode, params? }
+ *     confirmLevel { code }  → student says their level still holds (check-ins, stale levels)
+ *     endSession { code, teacherToken } → teacher ends the session
+ *     createPoll { code, teacherToken, poll: { type, question, options } }
+ *     openPoll / closePoll { code, teacherToken, pollId }
+ *     answerPoll { code, pollId, answer }  → student answers the open poll once
+ *     askQuestion { code, text }           → student submits an anonymous question
+ *     upvoteQuestion { code, questionId }
+ *     moderateQuestion { code, teacherToken, questionId, status: "answered" | "dismissed" }
+ *     markSegment { code, teacherToken, kind: "topic" | "slide", label?, slide? }
+ *       → starts a new lecture segment ("Recursion", "Slide 12")
+ *     updateAlertSettings { code, teacherToken, settings }  (partial, see alerts.js)
+ *     dismissAlert { code, teacherToken, alertId }
+ *     snoozeAlerts { code, teacherToken, durationMs }  (0 cancels the snooze)
+ *     updateDisplaySettings { code, teacherToken, settings: { hideNumbers?, revealed? } }
+ *     updateFreshnessSettings { code, teacherToken, settings: { mode?, maxAgeMs? } }
+ *       (see freshness.js)
+ *     startCheckIn { code, teacherToken, durationMs? } → asks every student "still with me?"
+ *     joinDisplay { code, displayToken } → a projector display attaches (read-only)
  *
  *   Server → Client:
- *     sessionCreated { code }
- *     joinedSession { code }
- *     joinError { message }
- *     aggregateUpdate { gotit, neutral, confused, lost, total }
- *     sessionEnded
+ *     sessionCreated { code, teacherToken, staffToken, displayToken, scale, webhookSecret? }
+ *     sessionResumed { code, role: "owner" | "coInstructor", scale, aggregate, history,
+ *       polls, questions, segments, alerts: { settings, snoozedUntil, alerts }, display,
+ *       staff, access, roster, course, freshness, staffToken?, displayToken? }
+ *       (the tokens only for the owner; course: { id, name, number, title } | null)
+ *     displayJoined { code, scale, aggregate, history, segments, display, passcode }
+ *       (again whenever the display settings change; while the numbers are
+ *       hidden, aggregate is only { total } and history and segments are empty)
+ *     displayError { message, errorCode, params? }   (all error events: errorCode and
+ *       params for the app to translate, message in English — see errors.js)
+ *     resumeError { message, errorCode, params? }
+ *     teacherError { message, errorCode, params? }   (also for staff-only events sent
+ *       without a valid token)
+ *     joinedSession { code, level, stale, scale, visibility }   (level restored on rejoin;
+ *       visibility: "anonymous" | "attendance" | "individual", see access.js)
+ *     joinError { message, errorCode, params?, requirements? }  (requirements:
+ *       { passcode, rosterId, name } when the session asks for join details)
+ *     aggregateUpdate { [levelKey]: count, total, stale: { [levelKey]: count }, staleTotal }
+ *       (to the dashboard; keys from the session's scale, counts of fresh levels;
+ *       at most once per AGGREGATE_BROADCAST_MS)
+ *     historyPoint { t, [levelKey]: count, total, staleTotal }   (to the dashboard, with it)
+ *     pollsUpdate { polls }      (to the staff; polls with live counts)
+ *     pollOpened { poll }        (to students; includes their own answer)
+ *     pollClosed { pollId }      (to students)
+ *     questionQueue { questions }  (to the staff; all questions, ranked)
+ *     questionsUpdate { questions, votedIds?, askedIds? }  (to students; open
+ *       questions, ranked — the id lists only on join, for that student)
+ *     questionAsked { questionId }  (to the student who asked)
+ *     questionError { message, errorCode, params? }
+ *     segmentsUpdate { segments }  (to the dashboard; per-segment breakdown, live)
+ *     alert { alert }            (to the staff when an alert fires, unless snoozed)
+ *     alertsUpdate { settings, snoozedUntil, alerts }  (to the staff; alert history)
+ *     staffUpdate { staff: Array<{ role, name, connected }> }  (to the staff; who's on)
+ *     rosterUpdate { roster: { joined, missing } }  (to the staff; roster / named sessions)
+ *     displaySettings { hideNumbers, revealed }  (to the dashboard, see display.js)
+ *     freshnessUpdate { settings, checkIn, lastCheckIn }  (to the staff; see freshness.js)
+ *     checkIn { id, durationMs }  (to students while a check-in runs)
+ *     checkInEnded { id }         (to students)
+ *     levelUpdate { level, stale }  (to a student whose level went stale or was reset)
+ *     sessionReport { report }   (to the teacher who ended the session)
+ *     staffSessionEnded { code, reason }  (to the co-instructors)
+ *     sessionEnded { reason }    (to everyone else in the room)
+ *       reason: "ended" | "teacher-left" | "expired" | "idle" (see config.js)
+ *
+ * Rooms: everyone in a session is in the room named by its code; the staff's
+ * dashboards are also in dashboardRoom(code), which gets the live aggregate
+ * so students (who never show it) aren't sent every change in a large class.
+ * Projector displays are in displayRoom(code) instead, which gets only the
+ * participant count while the teacher hides the numbers (see display.js).
+ * The owner and co-instructors are in staffRoom(code), for the moderation
+ * views.
+ *
+ * REST: JSON API under /api for creating, inspecting and ending sessions,
+ * plus reports — see api.js.
+ *
+ * Webhooks: session created, participant milestones, alerts and session end
+ * are POSTed to the configured URLs — see webhooks.js.
+ *
+ * Several instances can run behind a load balancer with SOCKET_ADAPTER=redis
+ * and SESSION_STORE=redis: every socket event and REST call is handled by
+ * the instance that owns its session — see cluster.js.
+ *
+ * Teacher-only actions require the teacher token handed out with
+ * sessionCreated (or by POST /api/sessions) — over REST as
+ * `Authorization: Bearer <token>` or `?token=`. Moderation actions
+ * (questions, polls, segments, dismissing and snoozing alerts, check-ins)
+ * also accept the co-instructor (staff) token; ending the session and
+ * changing alert, display or staleness settings are for the owner only.
  */
 
 const express = require("express");
@@ -21,9 +116,39 @@ const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
 const sessions = require("./sessions");
+const polls = require("./polls");
+const questions = require("./questions");
+const segments = require("./segments");
+const alerts = require("./alerts");
+const scales = require("./scales");
+const display = require("./display");
+const access = require("./access");
+const courses = require("./courses");
+const freshness = require("./freshness");
+const { createApiRouter } = require("./api");
+const { createStore } = require("./store");
+const { attachAdapter, createCluster } = require("./cluster");
+const webhooks = require("./webhooks");
+const config = require("./config");
+const { fail, toEvent } = require("./errors");
 
 const PORT = process.env.PORT || 5000;
 
+// ── Session persistence ──────────────────────────────────────────────────────
+// SESSION_STORE=file keeps sessions across restarts (see store/index.js).
+const store = createStore();
+const restoredCount = sessions.init(store);
+if (restoredCount > 0) {
+  console.log(`Restored ${restoredCount} active session(s) from storage`);
+}
+courses.init(store);
+
+// ── Webhooks ─────────────────────────────────────────────────────────────────
+const dispatcher = webhooks.createWebhookDispatcher(config.webhooks);
+if (config.webhooks.urls.length > 0) {
+  console.log(`Sending webhooks to ${config.webhooks.urls.length} URL(s)`);
+}
+
 const app = express();
 const server = http.createServer(app);
 
@@ -38,110 +163,1038 @@ const io = new Server(server, {
   },
 });
 
+// Routes events to the instance that owns their session (see cluster.js)
+const cluster = createCluster(io, store);
+
 // ── Rate limiting state (server-side backup throttle) ────────────────────────
 // Tracks last feedback timestamp per socket to ignore rapid-fire updates.
 const lastFeedbackTime = new Map();
 const THROTTLE_MS = 500; // ignore feedback faster than 500ms apart
 
+// Per-participant question rate limit (keyed by participant so reconnecting
+// doesn't reset it)
+const lastQuestionTime = new Map();
+const QUESTION_COOLDOWN_MS = 20 * 1000;
+
+// How often to drop students whose disconnect grace period is over, end
+// expired sessions and forget stale throttle timestamps
+const SWEEP_INTERVAL_MS = 10 * 1000;
+
+// How often to check every session for sustained-confusion alerts
+const ALERT_CHECK_INTERVAL_MS = 2 * 1000;
+
+// Changes to a session's aggregate within this window go out as one update
+const AGGREGATE_BROADCAST_MS = 250;
+
+// ── REST API ─────────────────────────────────────────────────────────────────
+// Registered before the SPA fallback so /api routes aren't swallowed by it.
+// Uses the same session actions as the socket handlers below.
+app.use("/api", createApiRouter({ startSession, finishSession, cluster }));
+
 // ── Serve static React build in production ───────────────────────────────────
 // After running `npm run build` in frontend/, copy the build output to
 // ../frontend/dist and Express will serve it.
-app.use(express.static(path.join(__dirname, "..", "frontend", "dist")));
+//
+// Build files are named by their content hash, so browsers may keep them for
+// good; a missing one is a 404, never the SPA page. Everything else — the
+// page itself, the service worker, the manifest — is revalidated on every
+// load so a new build reaches students (the service worker keeps a copy for
+// when the network is bad, see frontend/public/sw.js).
+const DIST_DIR = path.join(__dirname, "..", "frontend", "dist");
+const REVALIDATE = "no-cache";
+
+app.use(
+  "/assets",
+  express.static(path.join(DIST_DIR, "assets"), { immutable: true, maxAge: "1y" }),
+  (_req, res) => res.sendStatus(404)
+);
+app.use(
+  express.static(DIST_DIR, {
+    setHeaders: (res) => res.setHeader("Cache-Control", REVALIDATE),
+  })
+);
 
 // Fallback: serve index.html for any non-API route (SPA client-side routing)
 app.get("*", (_req, res) => {
-  res.sendFile(path.join(__dirname, "..", "frontend", "dist", "index.html"));
+  res.setHeader("Cache-Control", REVALIDATE);
+  res.sendFile(path.join(DIST_DIR, "index.html"));
 });
 
+// ── Broadcast helpers ────────────────────────────────────────────────────────
+
+/** Room of the staff's dashboards, which get the live aggregate. */
+function dashboardRoom(code) {
+  return `${code}:dashboard`;
+}
+
+/** Room of a session's projector displays. */
+function displayRoom(code) {
+  return `${code}:display`;
+}
+
+/** Rooms sent the live numbers: the dashboards, and displays not hiding them. */
+function liveRooms(code, session) {
+  const rooms = [dashboardRoom(code)];
+  if (!display.numbersHidden(session)) rooms.push(displayRoom(code));
+  return rooms;
+}
+
+/** Room of a session's owner and co-instructors. */
+function staffRoom(code) {
+  return `${code}:staff`;
+}
+
+// Sessions whose aggregate changed since the last broadcast → whether
+// their roster did too
+const pendingAggregates = new Map();
+let aggregateTimer = null;
+
+/**
+ * Broadcast a session's aggregate soon, together with any other changes in
+ * the next AGGREGATE_BROADCAST_MS: a burst of feedback from a large class
+ * costs the dashboard one update, not one per student. `rosterChanged`
+ * also refreshes the staff's roster (see broadcastRoster).
+ */
+function queueAggregate(code, rosterChanged = false) {
+  pendingAggregates.set(code, pendingAggregates.get(code) || rosterChanged);
+  if (aggregateTimer) return;
+
+  aggregateTimer = setTimeout(() => {
+    aggregateTimer = null;
+    const pending = [...pendingAggregates];
+    pendingAggregates.clear();
+    for (const [pendingCode, roster] of pending) {
+      broadcastAggregate(pendingCode);
+      if (roster) broadcastRoster(pendingCode);
+      // Keep the running check-in's "responded" count live
+      if (sessions.getSession(pendingCode)?.checkIn) broadcastFreshness(pendingCode);
+    }
+  }, AGGREGATE_BROADCAST_MS);
+}
+
+/**
+ * Push the current aggregate and the latest history point to the dashboard
+ * and displays. The history point lets the teacher's timeline chart update
+ * without re-sending the full history on every change. Displays with the
+ * numbers hidden only get the participant count.
+ */
+function broadcastAggregate(code) {
+  const aggregate = sessions.getAggregate(code);
+  if (!aggregate) return; // ended in the meantime
+
+  const session = sessions.getSession(code);
+  const rooms = liveRooms(code, session);
+  io.to(rooms).emit("aggregateUpdate", aggregate);
+  if (display.numbersHidden(session)) {
+    io.to(displayRoom(code)).emit("aggregateUpdate", { total: aggregate.total });
+  }
+
+  const point = sessions.getLatestHistoryPoint(code);
+  if (point) io.to(rooms).emit("historyPoint", point);
+
+  broadcastSegments(code);
+  notifyAlert(code, sessions.checkAlerts(code));
+  notifyMilestone(code, aggregate.total);
+}
+
+// Tell webhooks the first time the student count reaches a milestone
+function notifyMilestone(code, participants) {
+  const session = sessions.getSession(code);
+  const milestone = webhooks.reachedMilestone(session.participantMilestone, participants);
+  if (!milestone) return;
+
+  session.participantMilestone = milestone;
+  sessions.persist(code);
+  dispatcher.send(
+    "session.participants",
+    { code, milestone, participants },
+    session.webhooks
+  );
+}
+
+// Send the dashboard (and displays showing the numbers) the per-segment
+// breakdown, including the running segment
+function broadcastSegments(code) {
+  const session = sessions.getSession(code);
+  if (!session || session.segments.length === 0) return;
+
+  io.to(liveRooms(code, session)).emit("segmentsUpdate", {
+    segments: segments.segmentSummaries(session),
+  });
+}
+
+// Tell the staff about a new alert (held back while alerts are snoozed)
+// and refresh their alert history
+function notifyAlert(code, alert) {
+  if (!alert) return;
+  const session = sessions.getSession(code);
+  if (!session) return;
+
+  // Webhook receivers get snoozed alerts too (flagged), e.g. for a TA channel
+  dispatcher.send("alert.triggered", { code, alert }, session.webhooks);
+
+  if (!alert.snoozed) {
+    io.to(staffRoom(code)).emit("alert", { alert });
+  }
+  broadcastAlerts(code);
+}
+
+// Send the staff the alert settings, snooze and history
+function broadcastAlerts(code) {
+  const session = sessions.getSession(code);
+  if (!session) return;
+
+  io.to(staffRoom(code)).emit("alertsUpdate", alerts.alertsView(session));
+}
+
+// Send the staff who has joined and who on the roster hasn't (sessions
+// with a roster or student names only)
+function broadcastRoster(code) {
+  const session = sessions.getSession(code);
+  const roster = session && access.rosterView(session);
+  if (roster) io.to(staffRoom(code)).emit("rosterUpdate", { roster });
+}
+
+// Tell the staff who of them is connected
+function broadcastStaff(code) {
+  const staff = sessions.getStaff(code);
+  if (staff) io.to(staffRoom(code)).emit("staffUpdate", { staff });
+}
+
+// Tell the teacher how the display should look, and hand the displays a
+// fresh snapshot: on reveal they get the breakdown and history they were
+// held back from
+function broadcastDisplaySettings(code) {
+  const session = sessions.getSession(code);
+  if (!session) return;
+
+  io.to(dashboardRoom(code)).emit("displaySettings", session.display);
+  io.to(displayRoom(code)).emit("displayJoined", displaySnapshot(code, session));
+}
+
+// What a display is sent when it attaches (see display.forDisplay)
+function displaySnapshot(code, session) {
+  return {
+    code,
+    scale: session.scale,
+    ...display.forDisplay(session, {
+      aggregate: sessions.getAggregate(code),
+      history: sessions.getHistory(code),
+      segments: segments.segmentSummaries(session),
+    }),
+    display: session.display,
+    // Shown in the room, so only those present can join
+    passcode: session.access.passcode,
+  };
+}
+
+// Send the staff the staleness settings and the running / last check-in
+function broadcastFreshness(code) {
+  const session = sessions.getSession(code);
+  if (!session) return;
+
+  io.to(staffRoom(code)).emit("freshnessUpdate", freshness.freshnessView(session));
+}
+
+// Tell students whose levels went stale or were reset (see freshness.js)
+function sendLevelUpdates(students) {
+  for (const { socketId, level, stale } of students) {
+    if (socketId) io.to(socketId).emit("levelUpdate", { level, stale });
+  }
+}
+
+// Send the staff the full poll list with live counts
+function broadcastPolls(code) {
+  const session = sessions.getSession(code);
+  if (!session) return;
+
+  io.to(staffRoom(code)).emit("pollsUpdate", {
+    polls: session.polls.map(polls.pollSummary),
+  });
+}
+
+// Confirm a (re)join to the student, including what the staff can see of them
+function sendJoined(client, code, level) {
+  const session = sessions.getSession(code);
+  client.emit("joinedSession", {
+    code,
+    level,
+    stale: session.clients.get(client.participantId).stale,
+    scale: session.scale,
+    visibility: access.visibility(session.access),
+  });
+}
+
+// Show a (re)joining student the poll that is currently open, if any
+function sendOpenPoll(client, code) {
+  const session = sessions.getSession(code);
+  const poll = session && polls.getOpenPoll(session);
+  if (poll) {
+    client.emit("pollOpened", { poll: polls.studentPollView(poll, client.participantId) });
+  }
+}
+
+// Ask a (re)joining student to check in if a check-in is running
+function sendCheckIn(client, code) {
+  const session = sessions.getSession(code);
+  if (!session || !session.checkIn) return;
+
+  client.emit("checkIn", {
+    id: session.checkIn.id,
+    durationMs: Math.max(0, session.checkIn.endsAt - Date.now()),
+  });
+}
+
+// Send students the open question queue and the staff the full one
+function broadcastQuestions(code) {
+  const session = sessions.getSession(code);
+  if (!session) return;
+
+  io.in(code).emit("questionsUpdate", {
+    questions: questions.studentQueue(session),
+  });
+  io.to(staffRoom(code)).emit("questionQueue", {
+    questions: questions.teacherQueue(session),
+  });
+}
+
+// Give a (re)joining student the queue plus which questions they voted on
+function sendQuestions(client, code) {
+  const session = sessions.getSession(code);
+  if (!session) return;
+
+  client.emit("questionsUpdate", {
+    questions: questions.studentQueue(session),
+    ...questions.participantQuestionState(session, client.participantId),
+  });
+}
+
+// Acknowledgement of an event whose change was refused (see dispatch)
+function refused(failure) {
+  return { ok: false, ...toEvent(failure) };
+}
+
+/**
+ * Check the teacher token for an owner-only event; tells the client why
+ * if it doesn't match.
+ */
+function authorizeTeacher(client, code, teacherToken, action) {
+  if (sessions.verifyTeacher(code, teacherToken)) return true;
+
+  const errorCode = sessions.verifyStaff(code, teacherToken) ? "ownerOnly" : "notAuthorized";
+  client.emit("teacherError", toEvent(fail(errorCode, { action })));
+  return false;
+}
+
+/** Like authorizeTeacher(), for events co-instructors may send too. */
+function authorizeStaff(client, code, token, action) {
+  if (sessions.verifyStaff(code, token)) return true;
+
+  client.emit("teacherError", toEvent(fail("notAuthorized", { action })));
+  return false;
+}
+
+/**
+ * Start a session for a teacher socket (or none, over REST) with the scale,
+ * webhooks and access options the teacher asked for, owned by this instance.
+ * With a course it becomes that course's next lecture.
+ * Resolves to { code, teacherToken, staffToken, displayToken, scale, webhookSecret? }
+ * or a refusal (see errors.js).
+ */
+async function startSession(teacherSocketId, request = {}) {
+  let lecture = null;
+  if (request.course !== undefined && request.course !== null) {
+    lecture = await courses.resolveLecture(request.course);
+    if (lecture.error) return lecture;
+  }
+
+  // Lectures of a course share its scale so they can be compared
+  const resolved = scales.resolveScale(request.scale ?? (lecture && lecture.course.scale));
+  if (resolved.error) return resolved;
+  const { scale } = resolved;
+
+  const hooks = webhooks.resolveSessionWebhooks(
+    request.webhooks,
+    config.webhooks.allowSessionUrls
+  );
+  if (hooks.error) return hooks;
+
+  const options = access.resolveAccess(request.access);
+  if (options.error) return options;
+
+  const code = await cluster.claimCode();
+  const course = lecture && courses.beginLecture(lecture.course, code, lecture.title);
+  const { teacherToken, staffToken, displayToken } = sessions.createSession(
+    teacherSocketId,
+    { scale, webhooks: hooks.webhooks, access: options.access, course },
+    code
+  );
+  console.log(`Session created: ${code} by ${teacherSocketId || "REST API"}`);
+
+  const { createdAt } = sessions.getSession(code);
+  dispatcher.send("session.created", { code, createdAt, scale, course }, hooks.webhooks);
+
+  const result = { code, teacherToken, staffToken, displayToken, scale, course };
+  // The teacher needs the secret to verify their own webhooks
+  if (hooks.webhooks) result.webhookSecret = hooks.webhooks.secret;
+  return result;
+}
+
+/**
+ * End a session and tell everyone: the teacher (if connected) gets the final
+ * report, co-instructors get "staffSessionEnded" (the report is the owner's)
+ * and everyone else "sessionEnded", both with the reason.
+ * Returns the report, or null if the session doesn't exist.
+ */
+function finishSession(code, reason) {
+  const session = sessions.getSession(code);
+  if (!session) return null;
+
+  const { teacherSocketId, webhooks: sessionWebhooks, course } = session;
+  const report = sessions.endSession(code, reason);
+  if (course) {
+    courses
+      .recordLecture(course, report)
+      .catch((err) => console.error(`Failed to record lecture ${code}:`, err));
+  }
+
+  // The summary is the report without the (long) history
+  const { history, ...summary } = report;
+  dispatcher.send("session.ended", { code, reason, summary }, sessionWebhooks);
+
+  const coInstructors = io.to(staffRoom(code));
+  if (teacherSocketId) {
+    io.to(teacherSocketId).emit("sessionReport", { report });
+    coInstructors.except(teacherSocketId).emit("staffSessionEnded", { code, reason });
+  } else {
+    coInstructors.emit("staffSessionEnded", { code, reason });
+  }
+  io.in(code).except(staffRoom(code)).emit("sessionEnded", { reason });
+  io.in(code).socketsLeave([code, dashboardRoom(code), displayRoom(code), staffRoom(code)]);
+
+  console.log(`Session ended: ${code} (${reason})`);
+  return report;
+}
+
+// Client-supplied participant id; older clients without one fall back to
+// the socket id (and so lose their state on reconnect, as before).
+function participantIdOf(socket) {
+  const { participantId } = socket.handshake.auth || {};
+  return typeof participantId === "string" && /^[\w-]{8,64}$/.test(participantId)
+    ? participantId
+    : socket.id;
+}
+
+// Codes arrive straight from clients; anything but a string matches no session
+function normalizeCode(code) {
+  return typeof code === "string" ? code.toUpperCase().trim() : "";
+}
+
+/**
+ * A socket as seen by the instance handling its event, which may not be the
+ * one it is connected to (see cluster.js): everything goes through the
+ * adapter by socket id.
+ */
+function clientFor({ socketId, participantId }) {
+  return {
+    socketId,
+    participantId,
+    emit: (event, data) => io.to(socketId).emit(event, data),
+    join: (room) => io.in(socketId).socketsJoin(room),
+    leave: (room) => io.in(socketId).socketsLeave(room),
+    // Everyone in the room but this socket, like socket.to(room)
+    to: (room) => io.to(room).except(socketId),
+  };
+}
+
 // ── Socket event handlers ────────────────────────────────────────────────────
+// Each handler gets the sending client and the event's payload. "connect" and
+// "disconnect" are the socket's own lifecycle.
 
-io.on("connection", (socket) => {
-  console.log(`Socket connected: ${socket.id}`);
+const handlers = {
+  // ── Automatic rejoin (Student reconnect / page refresh) ────────────────────
+  connect(client) {
+    const code = sessions.getParticipantSession(client.participantId);
+    if (!code) return;
+
+    const level = sessions.addStudent(code, client.participantId, client.socketId);
+    client.join(code);
+    sendJoined(client, code, level);
+    sendOpenPoll(client, code);
+    sendQuestions(client, code);
+    sendCheckIn(client, code);
+    console.log(`Student ${client.participantId} rejoined session ${code}`);
+  },
 
   // ── Create Session (Teacher) ───────────────────────────────────────────────
-  socket.on("createSession", () => {
-    const code = sessions.createSession(socket.id);
-    socket.join(code);
+  async createSession(client, payload) {
+    const result = await startSession(client.socketId, payload);
+    if (result.error) {
+      client.emit("teacherError", toEvent(result));
+      return;
+    }
 
-    socket.emit("sessionCreated", { code });
-    console.log(`Session created: ${code} by ${socket.id}`);
-  });
+    client.join([result.code, dashboardRoom(result.code), staffRoom(result.code)]);
+    client.emit("sessionCreated", result);
+  },
+
+  // ── Resume Session (Teacher / co-instructor reconnect / page refresh) ──────
+  resumeSession(client, { code, teacherToken, name }) {
+    const normalizedCode = normalizeCode(code);
+    const role = sessions.staffRole(normalizedCode, teacherToken);
+
+    const attached =
+      role === "owner"
+        ? sessions.resumeTeacher(normalizedCode, teacherToken, client.socketId)
+        : role === "coInstructor" &&
+          sessions.addCoInstructor(normalizedCode, teacherToken, client.socketId);
+    if (!attached) {
+      client.emit("resumeError", toEvent(fail("couldNotResume")));
+      return;
+    }
+    if (name !== undefined) sessions.setStaffName(normalizedCode, client.socketId, name);
+
+    const session = sessions.getSession(normalizedCode);
+    client.join([normalizedCode, dashboardRoom(normalizedCode), staffRoom(normalizedCode)]);
+    client.emit("sessionResumed", {
+      code: normalizedCode,
+      role,
+      scale: session.scale,
+      aggregate: sessions.getAggregate(normalizedCode),
+      history: sessions.getHistory(normalizedCode),
+      polls: session.polls.map(polls.pollSummary),
+      questions: questions.teacherQueue(session),
+      segments: segments.segmentSummaries(session),
+      alerts: alerts.alertsView(session),
+      display: session.display,
+      staff: sessions.getStaff(normalizedCode),
+      access: access.accessView(session.access),
+      roster: access.rosterView(session),
+      course: session.course,
+      freshness: freshness.freshnessView(session),
+      // Only the owner hands out the co-instructor and display links
+      ...(role === "owner" && {
+        staffToken: session.staffToken,
+        displayToken: session.displayToken,
+      }),
+    });
+    broadcastStaff(normalizedCode);
+    console.log(`Session resumed: ${normalizedCode} by ${client.socketId} (${role})`);
+  },
+
+  // ── Staff names (Teacher / co-instructor) ──────────────────────────────────
+  setStaffName(client, { code, name }) {
+    const normalizedCode = normalizeCode(code);
+    if (!sessions.setStaffName(normalizedCode, client.socketId, name)) return;
+
+    broadcastStaff(normalizedCode);
+  },
+
+  // ── Projector display (read-only, also after reconnects) ───────────────────
+  joinDisplay(client, { code, displayToken }) {
+    const normalizedCode = normalizeCode(code);
+
+    if (!sessions.addDisplay(normalizedCode, displayToken, client.socketId)) {
+      client.emit("displayError", toEvent(fail("invalidDisplayLink")));
+      return;
+    }
+
+    const session = sessions.getSession(normalizedCode);
+    client.join([normalizedCode, displayRoom(normalizedCode)]);
+    client.emit("displayJoined", displaySnapshot(normalizedCode, session));
+    console.log(`Display attached to session ${normalizedCode}: ${client.socketId}`);
+  },
 
   // ── Join Session (Student) ─────────────────────────────────────────────────
-  socket.on("joinSession", ({ code }) => {
-    const normalizedCode = (code || "").toUpperCase().trim();
+  joinSession(client, { code, passcode, rosterId, name }) {
+    const normalizedCode = normalizeCode(code);
 
     if (!sessions.sessionExists(normalizedCode)) {
-      socket.emit("joinError", { message: "Invalid session code." });
+      client.emit("joinError", toEvent(fail("invalidSessionCode")));
       return;
     }
 
-    const added = sessions.addStudent(normalizedCode, socket.id);
-    if (!added) {
-      socket.emit("joinError", { message: "Could not join session." });
+    // Students already in the session (refresh, second tab) aren't asked again
+    const session = sessions.getSession(normalizedCode);
+    let identity = null;
+    if (sessions.getParticipantSession(client.participantId) !== normalizedCode) {
+      const check = access.checkJoin(session.access, { passcode, rosterId, name });
+      if (check.error) {
+        client.emit("joinError", {
+          ...toEvent(check),
+          requirements: access.joinRequirements(session.access),
+        });
+        return;
+      }
+      identity = check.identity;
+    }
+
+    // A student can only be in one session at a time, wherever it runs
+    cluster.run("leaveOtherSession", {
+      participantId: client.participantId,
+      socketId: client.socketId,
+      keepCode: normalizedCode,
+    });
+
+    const level = sessions.addStudent(
+      normalizedCode,
+      client.participantId,
+      client.socketId,
+      identity
+    );
+    if (!level) {
+      client.emit("joinError", toEvent(fail("couldNotJoin")));
       return;
     }
 
-    socket.join(normalizedCode);
-    socket.emit("joinedSession", { code: normalizedCode });
+    client.join(normalizedCode);
+    sendJoined(client, normalizedCode, level);
+    sendOpenPoll(client, normalizedCode);
+    sendQuestions(client, normalizedCode);
+    sendCheckIn(client, normalizedCode);
 
-    // Push updated aggregate to the teacher (and room)
-    const aggregate = sessions.getAggregate(normalizedCode);
-    io.in(normalizedCode).emit("aggregateUpdate", aggregate);
+    queueAggregate(normalizedCode, true);
 
-    console.log(`Student ${socket.id} joined session ${normalizedCode}`);
-  });
+    console.log(`Student ${client.participantId} joined session ${normalizedCode}`);
+  },
+
+  // ── Leave Session (Student) ────────────────────────────────────────────────
+  leaveSession(client) {
+    const code = sessions.removeParticipant(client.participantId);
+    if (!code) return;
+
+    client.leave(code);
+    queueAggregate(code, true);
+    console.log(`Student ${client.participantId} left session ${code}`);
+  },
 
   // ── Student Feedback ───────────────────────────────────────────────────────
-  socket.on("feedback", ({ code, level }) => {
+  // The student's client waits for the acknowledgement before showing the
+  // level as saved, and sends it again if it never comes
+  feedback(client, { code, level }) {
     // Server-side rate limiting
     const now = Date.now();
-    const last = lastFeedbackTime.get(socket.id) || 0;
-    if (now - last < THROTTLE_MS) return; // silently ignore
-    lastFeedbackTime.set(socket.id, now);
+    const last = lastFeedbackTime.get(client.socketId) || 0;
+    if (now - last < THROTTLE_MS) {
+      return refused(fail("feedbackTooFast", { retryMs: last + THROTTLE_MS - now }));
+    }
+    lastFeedbackTime.set(client.socketId, now);
+
+    const normalizedCode = normalizeCode(code);
+    const session = sessions.getSession(normalizedCode);
+    if (!session) return refused(fail("sessionNotFound"));
+    if (!scales.levelKeys(session.scale).includes(level)) return refused(fail("invalidLevel"));
+    if (!sessions.updateFeedback(normalizedCode, client.participantId, level)) {
+      return refused(fail("notInSession"));
+    }
+
+    // The roster shows levels only if the teacher chose to see them
+    queueAggregate(normalizedCode, session.access.showIndividual);
+    return { ok: true, level };
+  },
 
-    const normalizedCode = (code || "").toUpperCase().trim();
-    const updated = sessions.updateFeedback(normalizedCode, socket.id, level);
-    if (!updated) return; // invalid code, level, or socket not in session
+  confirmLevel(client, { code }) {
+    const normalizedCode = normalizeCode(code);
+    if (!sessions.confirmLevel(normalizedCode, client.participantId)) return;
 
-    // Broadcast new aggregate to entire room (teacher picks it up)
-    const aggregate = sessions.getAggregate(normalizedCode);
-    io.in(normalizedCode).emit("aggregateUpdate", aggregate);
-  });
+    // Confirming a stale level moves it back into the fresh counts
+    const { showIndividual } = sessions.getSession(normalizedCode).access;
+    queueAggregate(normalizedCode, showIndividual);
+  },
 
   // ── End Session (Teacher) ──────────────────────────────────────────────────
-  socket.on("endSession", ({ code }) => {
-    const normalizedCode = (code || "").toUpperCase().trim();
+  endSession(client, { code, teacherToken }) {
+    const normalizedCode = normalizeCode(code);
 
-    // Notify all participants
-    io.in(normalizedCode).emit("sessionEnded");
+    if (!authorizeTeacher(client, normalizedCode, teacherToken, "endSession")) {
+      return;
+    }
 
-    // Clean up server state
-    sessions.endSession(normalizedCode);
+    // Make sure the report goes to this socket even if another tab holds
+    // the dashboard
+    sessions.resumeTeacher(normalizedCode, teacherToken, client.socketId);
+    finishSession(normalizedCode, "ended");
+  },
 
-    console.log(`Session ended: ${normalizedCode}`);
-  });
+  // ── Polls (Staff) ──────────────────────────────────────────────────────────
+  createPoll(client, { code, teacherToken, poll }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeStaff(client, normalizedCode, teacherToken, "createPolls")) {
+      return;
+    }
+
+    const result = polls.createPoll(sessions.getSession(normalizedCode), poll);
+    if (result.error) {
+      client.emit("teacherError", toEvent(result));
+      return;
+    }
+
+    sessions.persist(normalizedCode);
+    broadcastPolls(normalizedCode);
+  },
+
+  openPoll(client, { code, teacherToken, pollId }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeStaff(client, normalizedCode, teacherToken, "openPolls")) {
+      return;
+    }
+
+    const session = sessions.getSession(normalizedCode);
+    const { poll, closed } = polls.openPoll(session, pollId);
+    if (!poll) return;
+
+    sessions.persist(normalizedCode);
+    if (closed) {
+      client.to(normalizedCode).emit("pollClosed", { pollId: closed.id });
+    }
+    // Nobody has answered a freshly opened poll, so every student sees it blank
+    client.to(normalizedCode).emit("pollOpened", {
+      poll: polls.studentPollView(poll, null),
+    });
+    broadcastPolls(normalizedCode);
+  },
+
+  closePoll(client, { code, teacherToken, pollId }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeStaff(client, normalizedCode, teacherToken, "closePolls")) {
+      return;
+    }
+
+    const poll = polls.closePoll(sessions.getSession(normalizedCode), pollId);
+    if (!poll) return;
+
+    sessions.persist(normalizedCode);
+    client.to(normalizedCode).emit("pollClosed", { pollId: poll.id });
+    broadcastPolls(normalizedCode);
+  },
+
+  // ── Poll answers (Student) ─────────────────────────────────────────────────
+  answerPoll(client, { code, pollId, answer }) {
+    const normalizedCode = normalizeCode(code);
+    if (sessions.getParticipantSession(client.participantId) !== normalizedCode) return;
+
+    const session = sessions.getSession(normalizedCode);
+    if (!polls.answerPoll(session, pollId, client.participantId, answer)) return;
+
+    sessions.persist(normalizedCode);
+    broadcastPolls(normalizedCode);
+  },
+
+  // ── Question queue (Student) ───────────────────────────────────────────────
+  askQuestion(client, { code, text }) {
+    const normalizedCode = normalizeCode(code);
+    const { participantId } = client;
+    if (sessions.getParticipantSession(participantId) !== normalizedCode) return;
+
+    const now = Date.now();
+    const last = lastQuestionTime.get(participantId) || 0;
+    if (now - last < QUESTION_COOLDOWN_MS) {
+      const waitSeconds = Math.ceil((QUESTION_COOLDOWN_MS - (now - last)) / 1000);
+      client.emit("questionError", toEvent(fail("questionCooldown", { seconds: waitSeconds })));
+      return;
+    }
+
+    const session = sessions.getSession(normalizedCode);
+    const result = questions.askQuestion(session, participantId, text);
+    if (result.error) {
+      client.emit("questionError", toEvent(result));
+      return;
+    }
+    const { question } = result;
+    lastQuestionTime.set(participantId, now);
+
+    sessions.persist(normalizedCode);
+    client.emit("questionAsked", { questionId: question.id });
+    broadcastQuestions(normalizedCode);
+  },
+
+  upvoteQuestion(client, { code, questionId }) {
+    const normalizedCode = normalizeCode(code);
+    if (sessions.getParticipantSession(client.participantId) !== normalizedCode) return;
+
+    const session = sessions.getSession(normalizedCode);
+    if (!questions.upvoteQuestion(session, questionId, client.participantId)) return;
+
+    sessions.persist(normalizedCode);
+    broadcastQuestions(normalizedCode);
+  },
+
+  // ── Question queue (Staff) ─────────────────────────────────────────────────
+  moderateQuestion(client, { code, teacherToken, questionId, status }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeStaff(client, normalizedCode, teacherToken, "moderateQuestions")) {
+      return;
+    }
+
+    const session = sessions.getSession(normalizedCode);
+    if (!questions.moderateQuestion(session, questionId, status)) return;
+
+    sessions.persist(normalizedCode);
+    broadcastQuestions(normalizedCode);
+  },
+
+  // ── Lecture segments (Staff) ───────────────────────────────────────────────
+  markSegment(client, { code, teacherToken, kind, label, slide }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeStaff(client, normalizedCode, teacherToken, "markSegments")) {
+      return;
+    }
+
+    const session = sessions.getSession(normalizedCode);
+    const result = segments.startSegment(session, { kind, label, slide });
+    if (result.error) {
+      client.emit("teacherError", toEvent(result));
+      return;
+    }
+
+    sessions.persist(normalizedCode);
+    broadcastSegments(normalizedCode);
+  },
+
+  // ── Confusion alerts (Teacher) ─────────────────────────────────────────────
+  updateAlertSettings(client, { code, teacherToken, settings }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeTeacher(client, normalizedCode, teacherToken, "changeAlertSettings")) {
+      return;
+    }
+
+    const result = alerts.updateSettings(sessions.getSession(normalizedCode), settings);
+    if (result.error) {
+      client.emit("teacherError", toEvent(result));
+      return;
+    }
+
+    sessions.persist(normalizedCode);
+    broadcastAlerts(normalizedCode);
+  },
+
+  dismissAlert(client, { code, teacherToken, alertId }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeStaff(client, normalizedCode, teacherToken, "dismissAlerts")) {
+      return;
+    }
+
+    if (!alerts.dismissAlert(sessions.getSession(normalizedCode), alertId)) return;
+
+    sessions.persist(normalizedCode);
+    broadcastAlerts(normalizedCode);
+  },
+
+  snoozeAlerts(client, { code, teacherToken, durationMs }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeStaff(client, normalizedCode, teacherToken, "snoozeAlerts")) {
+      return;
+    }
+
+    if (!alerts.snooze(sessions.getSession(normalizedCode), durationMs)) {
+      client.emit("teacherError", toEvent(fail("snoozeTooLong")));
+      return;
+    }
+
+    sessions.persist(normalizedCode);
+    broadcastAlerts(normalizedCode);
+  },
+
+  // ── Projector display (Teacher) ────────────────────────────────────────────
+  updateDisplaySettings(client, { code, teacherToken, settings }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeTeacher(client, normalizedCode, teacherToken, "changeDisplay")) {
+      return;
+    }
+
+    const result = display.updateSettings(sessions.getSession(normalizedCode), settings);
+    if (result.error) {
+      client.emit("teacherError", toEvent(result));
+      return;
+    }
+
+    sessions.persist(normalizedCode);
+    broadcastDisplaySettings(normalizedCode);
+  },
+
+  // ── Stale feedback & check-ins (Staff) ─────────────────────────────────────
+  updateFreshnessSettings(client, { code, teacherToken, settings }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeTeacher(client, normalizedCode, teacherToken, "changeStalenessSettings")) {
+      return;
+    }
+
+    const result = freshness.updateSettings(sessions.getSession(normalizedCode), settings);
+    if (result.error) {
+      client.emit("teacherError", toEvent(result));
+      return;
+    }
+
+    sessions.persist(normalizedCode);
+    broadcastFreshness(normalizedCode);
+  },
+
+  startCheckIn(client, { code, teacherToken, durationMs }) {
+    const normalizedCode = normalizeCode(code);
+    if (!authorizeStaff(client, normalizedCode, teacherToken, "startCheckIn")) {
+      return;
+    }
+
+    const result = freshness.startCheckIn(sessions.getSession(normalizedCode), durationMs);
+    if (result.error) {
+      client.emit("teacherError", toEvent(result));
+      return;
+    }
+    const { checkIn } = result;
+
+    sessions.persist(normalizedCode);
+    io.to(normalizedCode).emit("checkIn", {
+      id: checkIn.id,
+      durationMs: checkIn.endsAt - checkIn.startedAt,
+    });
+    broadcastFreshness(normalizedCode);
+  },
 
   // ── Disconnect cleanup ─────────────────────────────────────────────────────
-  socket.on("disconnect", () => {
-    lastFeedbackTime.delete(socket.id);
+  disconnect(client) {
+    lastFeedbackTime.delete(client.socketId);
 
-    const info = sessions.removeSocket(socket.id);
+    // Students stay counted through the grace period, so the aggregate
+    // doesn't change here; pruneDisconnected() broadcasts if they never return.
+    const info = sessions.removeSocket(client.socketId);
     if (info) {
-      // If a student left, push updated aggregate to the room
-      if (info.role === "student") {
-        const aggregate = sessions.getAggregate(info.code);
-        if (aggregate) {
-          io.in(info.code).emit("aggregateUpdate", aggregate);
-        }
-      }
-      console.log(`Socket ${socket.id} (${info.role}) left session ${info.code}`);
+      console.log(`Socket ${client.socketId} (${info.role}) left session ${info.code}`);
+      if (info.role === "teacher" || info.role === "coInstructor") broadcastStaff(info.code);
     }
-  });
+  },
+};
+
+// ── Routing events to the session's instance (see cluster.js) ───────────────
+
+// What an event acts on: new sessions start here, lifecycle events follow
+// the student or socket, everything else names its session
+function eventRoute({ event, socketId, participantId, payload }) {
+  switch (event) {
+    case "createSession":
+      return null;
+    case "connect":
+    case "leaveSession":
+      return { participantId };
+    case "disconnect":
+      return { socketId };
+    default:
+      return { code: normalizeCode(payload.code) };
+  }
+}
+
+cluster.command("socketEvent", {
+  route: eventRoute,
+  run: ({ event, payload, ...client }) => handlers[event](clientFor(client), payload),
+  // Unknown codes get their usual error reply from here
+  fallback: true,
 });
 
-// ── Start server ─────────────────────────────────────────────────────────────
+// Joining a session leaves the previous one, which may live elsewhere
+cluster.command("leaveOtherSession", {
+  route: ({ participantId }) => ({ participantId }),
+  run: ({ participantId, socketId, keepCode }) => {
+    const code = sessions.getParticipantSession(participantId);
+    if (!code || code === keepCode) return;
 
-server.listen(PORT, () => {
-  console.log(`Lecture feedback server running on http://localhost:${PORT}`);
+    sessions.removeParticipant(participantId);
+    io.in(socketId).socketsLeave(code);
+    queueAggregate(code, true);
+  },
+  fallback: false,
 });
+
+io.on("connection", (socket) => {
+  console.log(`Socket connected: ${socket.id}`);
+
+  // Kept on the socket so other instances can find it (see cluster.js)
+  socket.data.participantId = participantIdOf(socket);
+  const client = { socketId: socket.id, participantId: socket.data.participantId };
+
+  // Handlers that return a result acknowledge the event with it, when the
+  // client asked for an acknowledgement. A handler that throws is logged and
+  // refused as a server error rather than taking the process down.
+  function dispatch(event, payload, ack) {
+    cluster
+      .run("socketEvent", { event, ...client, payload: payload || {} })
+      .catch((err) => {
+        console.error(`Failed to handle ${event} from ${socket.id}:`, err);
+        return refused(fail("serverError"));
+      })
+      .then((reply) => typeof ack === "function" && reply !== undefined && ack(reply));
+  }
+
+  dispatch("connect");
+  for (const event of Object.keys(handlers)) {
+    if (event === "connect") continue;
+    socket.on(event, (payload, ack) => dispatch(event, payload, ack));
+  }
+});
+
+// ── Periodic cleanup ─────────────────────────────────────────────────────────
+
+setInterval(() => {
+  const now = Date.now();
+
+  for (const code of sessions.pruneDisconnected(now)) {
+    queueAggregate(code, true);
+  }
+
+  for (const { code, students } of sessions.expireStaleLevels(now)) {
+    sendLevelUpdates(students);
+    queueAggregate(code, true);
+  }
+
+  for (const { code, reason } of sessions.findExpiredSessions(now)) {
+    finishSession(code, reason);
+  }
+
+  for (const [socketId, last] of lastFeedbackTime) {
+    if (now - last >= THROTTLE_MS) lastFeedbackTime.delete(socketId);
+  }
+  for (const [id, last] of lastQuestionTime) {
+    if (now - last >= QUESTION_COOLDOWN_MS) lastQuestionTime.delete(id);
+  }
+}, SWEEP_INTERVAL_MS).unref();
+
+// Sustained-confusion alerts fire on time passing, not only on feedback;
+// check-ins end on time too
+setInterval(() => {
+  for (const { code, alert } of sessions.checkAllAlerts()) {
+    notifyAlert(code, alert);
+  }
+
+  for (const { code, checkIn, students } of sessions.finishCheckIns()) {
+    io.to(code).emit("checkInEnded", { id: checkIn.id });
+    sendLevelUpdates(students);
+    queueAggregate(code, true);
+    broadcastFreshness(code);
+  }
+}, ALERT_CHECK_INTERVAL_MS).unref();
+
+// ── Start server ─────────────────────────────────────────────────────────────
+
+// Only accept connections once broadcasts reach every instance, and take
+// over sessions left by a previous process before their clients reconnect
+// (shared stores only; see cluster.js)
+attachAdapter(io)
+  .then(() => cluster.adoptOrphans())
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Lecture feedback server running on http://localhost:${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error("Could not start:", err);
+    process.exit(1);
+  });
+
+// Flush pending store writes (and hand sessions to the other instances)
+// before exiting so a deploy loses nothing
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    cluster
+      .close()
+      .catch((err) => console.error("Failed to shut down cleanly:", err))
+      .finally(() => process.exit(0));
+  });
+}
@@ -0,0 +1,173 @@
+/**
+ * polls.js — Instructor quick polls, kept on the session object
+ *
+ * Data model (session.polls):
+ *   Array<{
+ *     id: string,
+ *     type: "choice" | "yesno" | "rating",
+ *     question: string,
+ *     options: string[],                   // fixed for yesno ("Yes","No") and rating ("1".."5")
+ *     status: "draft" | "open" | "closed",
+ *     answers: Map<participantId, optionIndex>,
+ *     createdAt: number,
+ *     openedAt: number | null,
+ *     closedAt: number | null
+ *   }>
+ *
+ * At most one poll is open at a time; opening another closes it. Closed
+ * polls stay on the session and end up in the post-session report; a poll
+ * still open when the session ends is closed then (see sessions.js).
+ *
+ * These functions only touch the session object — callers persist it.
+ */
+
+const crypto = require("crypto");
+const { fail } = require("./errors");
+
+const POLL_TYPES = ["choice", "yesno", "rating"];
+const MAX_QUESTION_LENGTH = 200;
+const MAX_OPTION_LENGTH = 80;
+const MIN_CHOICE_OPTIONS = 2;
+const MAX_CHOICE_OPTIONS = 6;
+
+const FIXED_OPTIONS = {
+  yesno: ["Yes", "No"],
+  rating: ["1", "2", "3", "4", "5"],
+};
+
+function findPoll(session, pollId) {
+  return session.polls.find((p) => p.id === pollId) || null;
+}
+
+function getOpenPoll(session) {
+  return session.polls.find((p) => p.status === "open") || null;
+}
+
+/**
+ * Validate and add a draft poll. Returns { poll } or { error }.
+ */
+function createPoll(session, input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return fail("invalidPoll");
+
+  const { type, question, options } = input;
+  if (!POLL_TYPES.includes(type)) return fail("unknownPollType");
+
+  const text = typeof question === "string" ? question.trim() : "";
+  if (!text) return fail("pollQuestionRequired");
+  if (text.length > MAX_QUESTION_LENGTH) {
+    return fail("pollQuestionTooLong", { max: MAX_QUESTION_LENGTH });
+  }
+
+  let pollOptions = FIXED_OPTIONS[type];
+  if (type === "choice") {
+    pollOptions = (Array.isArray(options) ? options : [])
+      .map((o) => (typeof o === "string" ? o.trim() : ""))
+      .filter(Boolean);
+    if (
+      pollOptions.length < MIN_CHOICE_OPTIONS ||
+      pollOptions.length > MAX_CHOICE_OPTIONS
+    ) {
+      return fail("pollOptionCount", { min: MIN_CHOICE_OPTIONS, max: MAX_CHOICE_OPTIONS });
+    }
+    if (pollOptions.some((o) => o.length > MAX_OPTION_LENGTH)) {
+      return fail("pollOptionTooLong", { max: MAX_OPTION_LENGTH });
+    }
+  }
+
+  const poll = {
+    id: crypto.randomBytes(6).toString("hex"),
+    type,
+    question: text,
+    options: pollOptions,
+    status: "draft",
+    answers: new Map(),
+    createdAt: Date.now(),
+    openedAt: null,
+    closedAt: null,
+  };
+  session.polls.push(poll);
+  return { poll };
+}
+
+/**
+ * Open a draft poll, closing any poll that is currently open.
+ * Returns { poll, closed } (closed: the poll that was closed, or null).
+ */
+function openPoll(session, pollId) {
+  const poll = findPoll(session, pollId);
+  if (!poll || poll.status !== "draft") return { poll: null, closed: null };
+
+  const current = getOpenPoll(session);
+  if (current) closePoll(session, current.id);
+
+  poll.status = "open";
+  poll.openedAt = Date.now();
+  return { poll, closed: current };
+}
+
+/** Close an open poll. Returns the poll, or null. */
+function closePoll(session, pollId) {
+  const poll = findPoll(session, pollId);
+  if (!poll || poll.status !== "open") return null;
+
+  poll.status = "closed";
+  poll.closedAt = Date.now();
+  return poll;
+}
+
+/**
+ * Record a student's answer to the open poll. Each participant answers once.
+ * Returns true if the answer was recorded.
+ */
+function answerPoll(session, pollId, participantId, answer) {
+  const poll = findPoll(session, pollId);
+  if (!poll || poll.status !== "open") return false;
+  if (!Number.isInteger(answer) || answer < 0 || answer >= poll.options.length) {
+    return false;
+  }
+  if (poll.answers.has(participantId)) return false;
+
+  poll.answers.set(participantId, answer);
+  return true;
+}
+
+/** Poll as shown to the teacher and in reports: answers reduced to counts. */
+function pollSummary(poll) {
+  const counts = poll.options.map(() => 0);
+  for (const answer of poll.answers.values()) counts[answer]++;
+
+  return {
+    id: poll.id,
+    type: poll.type,
+    question: poll.question,
+    options: poll.options,
+    status: poll.status,
+    counts,
+    responses: poll.answers.size,
+    createdAt: poll.createdAt,
+    openedAt: poll.openedAt,
+    closedAt: poll.closedAt,
+  };
+}
+
+/** Open poll as shown to a student, with their own answer if any. */
+function studentPollView(poll, participantId) {
+  return {
+    id: poll.id,
+    type: poll.type,
+    question: poll.question,
+    options: poll.options,
+    answer: poll.answers.has(participantId) ? poll.answers.get(participantId) : null,
+  };
+}
+
+module.exports = {
+  POLL_TYPES,
+  getOpenPoll,
+  createPoll,
+  openPoll,
+  closePoll,
+  answerPoll,
+  pollSummary,
+  studentPollView,
+};
@@ -0,0 +1,134 @@
+/**
+ * questions.js — Anonymous student question queue, kept on the session object
+ *
+ * Data model (session.questions):
+ *   Array<{
+ *     id: string,
+ *     text: string,
+ *     authorId: participantId,             // never sent to clients
+ *     voters: Map<participantId, votedAt>, // one upvote per participant
+ *     status: "open" | "answered" | "dismissed",
+ *     createdAt: number
+ *   }>
+ *
+ * Students see open questions only; the teacher sees all of them, ranked by
+ * upvotes (then oldest first). Rate limiting lives with the socket handlers
+ * in index.js, like the feedback throttle.
+ *
+ * These functions only touch the session object — callers persist it.
+ */
+
+const crypto = require("crypto");
+const { fail } = require("./errors");
+
+const MIN_QUESTION_LENGTH = 3;
+const MAX_QUESTION_LENGTH = 280;
+const MAX_OPEN_PER_PARTICIPANT = 5;
+const MODERATION_STATUSES = ["answered", "dismissed"];
+
+function findQuestion(session, questionId) {
+  return session.questions.find((q) => q.id === questionId) || null;
+}
+
+/**
+ * Validate and add a student's question. Returns { question } or { error }.
+ */
+function askQuestion(session, participantId, text) {
+  const normalized = typeof text === "string" ? text.trim().replace(/\s+/g, " ") : "";
+  if (normalized.length < MIN_QUESTION_LENGTH) {
+    return fail("questionTooShort");
+  }
+  if (normalized.length > MAX_QUESTION_LENGTH) {
+    return fail("questionTooLong", { max: MAX_QUESTION_LENGTH });
+  }
+
+  const openByAuthor = session.questions.filter(
+    (q) => q.authorId === participantId && q.status === "open"
+  ).length;
+  if (openByAuthor >= MAX_OPEN_PER_PARTICIPANT) {
+    return fail("tooManyOpenQuestions");
+  }
+
+  const question = {
+    id: crypto.randomBytes(6).toString("hex"),
+    text: normalized,
+    authorId: participantId,
+    voters: new Map(),
+    status: "open",
+    createdAt: Date.now(),
+  };
+  session.questions.push(question);
+  return { question };
+}
+
+/**
+ * Upvote an open question. Authors can't upvote their own question and
+ * nobody can upvote twice. Returns true if the vote was counted.
+ */
+function upvoteQuestion(session, questionId, participantId) {
+  const question = findQuestion(session, questionId);
+  if (!question || question.status !== "open") return false;
+  if (question.authorId === participantId || question.voters.has(participantId)) {
+    return false;
+  }
+
+  question.voters.set(participantId, Date.now());
+  return true;
+}
+
+/** Mark a question answered or dismissed. Returns true on success. */
+function moderateQuestion(session, questionId, status) {
+  const question = findQuestion(session, questionId);
+  if (!question || !MODERATION_STATUSES.includes(status)) return false;
+
+  question.status = status;
+  return true;
+}
+
+function byRank(a, b) {
+  return b.voters.size - a.voters.size || a.createdAt - b.createdAt;
+}
+
+function publicQuestion(question) {
+  return {
+    id: question.id,
+    text: question.text,
+    upvotes: question.voters.size,
+    status: question.status,
+    createdAt: question.createdAt,
+  };
+}
+
+/** All questions, ranked, as shown to the teacher and in reports. */
+function teacherQueue(session) {
+  return session.questions.slice().sort(byRank).map(publicQuestion);
+}
+
+/** Open questions, ranked, as shown to students. */
+function studentQueue(session) {
+  return session.questions
+    .filter((q) => q.status === "open")
+    .sort(byRank)
+    .map(publicQuestion);
+}
+
+/** Ids of the questions a participant has upvoted or asked. */
+function participantQuestionState(session, participantId) {
+  const votedIds = [];
+  const askedIds = [];
+  for (const q of session.questions) {
+    if (q.voters.has(participantId)) votedIds.push(q.id);
+    if (q.authorId === participantId) askedIds.push(q.id);
+  }
+  return { votedIds, askedIds };
+}
+
+module.exports = {
+  MAX_QUESTION_LENGTH,
+  askQuestion,
+  upvoteQuestion,
+  moderateQuestion,
+  teacherQueue,
+  studentQueue,
+  participantQuestionState,
+};
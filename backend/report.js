@@ -0,0 +1,187 @@
+/**
+ * report.js — Post-session report built from a session's aggregate history
+ *
+ * Report shape:
+ *   {
+ *     code, startedAt, endedAt, durationMs,
+ *     endReason,              // final reports only (see sessions.js)
+ *     peakParticipants,
+ *     averageConfusedShare,   // time-weighted, over intervals with fresh students
+ *     peakConfusedShare,
+ *     alertThreshold,         // the session's alert threshold (see alerts.js)
+ *     timeAboveThresholdMs,
+ *     historyIntervalMs,
+ *     scale,                  // the session's feedback scale (see scales.js)
+ *     course,                 // { id, name, number, title } for a course lecture, else null
+ *     history: Array<{ t, [levelKey]: count, total, staleTotal }>,  // see freshness.js
+ *     polls: Array<pollSummary>,  // closed polls only; ending closes the open one (see polls.js)
+ *     questions: Array<{ id, text, upvotes, status, createdAt }>,  // see questions.js
+ *     segments: Array<segmentSummary>,  // per topic / slide, see segments.js
+ *     alerts: Array<alert>    // alerts fired during the session, see alerts.js
+ *   }
+ *
+ * "Confused share" is the share of students on one of the scale's alert
+ * levels (for the default scale, (confused + lost) / total), the same figure
+ * the alert engine watches.
+ */
+
+const { pollSummary } = require("./polls");
+const { teacherQueue } = require("./questions");
+const { levelKeys } = require("./scales");
+const { segmentSummaries } = require("./segments");
+const { confusedShare } = require("./alerts");
+const { freshTotal } = require("./freshness");
+
+/**
+ * Build a report for a session. `endedAt` defaults to now, which gives a
+ * live report for a session that is still running.
+ */
+function buildReport(code, session, historyIntervalMs, endedAt = Date.now()) {
+  const history = session.history.slice();
+  const { alertLevels } = session.scale;
+  const { threshold } = session.alertSettings;
+
+  let peakParticipants = 0;
+  let peakConfusedShare = 0;
+  let weightedShare = 0;
+  let occupiedMs = 0;
+  let timeAboveThresholdMs = 0;
+
+  history.forEach((point, i) => {
+    // Each point holds until the next one (or until the session ended)
+    const next = history[i + 1];
+    const spanMs = Math.max(0, (next ? next.t : endedAt) - point.t);
+    const share = confusedShare(point, alertLevels);
+
+    peakParticipants = Math.max(peakParticipants, point.total);
+    if (freshTotal(point) === 0) return;
+
+    peakConfusedShare = Math.max(peakConfusedShare, share);
+    weightedShare += share * spanMs;
+    occupiedMs += spanMs;
+    if (share > threshold) timeAboveThresholdMs += spanMs;
+  });
+
+  return {
+    code,
+    startedAt: session.createdAt,
+    endedAt,
+    durationMs: endedAt - session.createdAt,
+    peakParticipants,
+    averageConfusedShare: occupiedMs > 0 ? weightedShare / occupiedMs : 0,
+    peakConfusedShare,
+    alertThreshold: threshold,
+    timeAboveThresholdMs,
+    historyIntervalMs,
+    scale: session.scale,
+    course: session.course || null,
+    history,
+    polls: session.polls
+      .filter((poll) => poll.status === "closed")
+      .map(pollSummary),
+    questions: teacherQueue(session),
+    segments: segmentSummaries(session, endedAt),
+    alerts: session.alerts,
+  };
+}
+
+// Text a spreadsheet would run as a formula: = + - @, or a leading tab / CR
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a CSV field if it contains a delimiter, quote or newline. Text that
+// starts like a formula gets a leading ' so spreadsheets show it as typed:
+// question text, poll questions and options, segment labels and course
+// names all come from users.
+function csvField(value) {
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV: a metric/value summary block, a blank line, one
+ * row per history interval, then (if any) a block of lecture segments, a
+ * block of poll results with one row per poll option and a block of student
+ * questions. Text fields are escaped against formula injection (see csvField).
+ */
+function reportToCsv(report) {
+  const iso = (t) => new Date(t).toISOString();
+  const { scale } = report;
+  const keys = levelKeys(scale);
+  const rows = [
+    ["metric", "value"],
+    ["code", report.code],
+    ["scale", scale.name],
+    ["course", report.course ? report.course.name : ""],
+    ["lecture", report.course ? report.course.number : ""],
+    ["started_at", iso(report.startedAt)],
+    ["ended_at", iso(report.endedAt)],
+    ["duration_s", Math.round(report.durationMs / 1000)],
+    ["end_reason", report.endReason || ""],
+    ["peak_participants", report.peakParticipants],
+    ["average_confused_share", report.averageConfusedShare.toFixed(3)],
+    ["peak_confused_share", report.peakConfusedShare.toFixed(3)],
+    ["alert_threshold", report.alertThreshold],
+    ["time_above_threshold_s", Math.round(report.timeAboveThresholdMs / 1000)],
+    [],
+    ["time", "elapsed_s", ...keys, "total", "stale", "confused_share"],
+    ...report.history.map((p) => [
+      iso(p.t),
+      Math.round((p.t - report.startedAt) / 1000),
+      ...keys.map((key) => p[key] || 0),
+      p.total,
+      p.staleTotal || 0,
+      confusedShare(p, scale.alertLevels).toFixed(3),
+    ]),
+  ];
+
+  if (report.segments.length > 0) {
+    rows.push([], [
+      "segment",
+      "kind",
+      "started_at",
+      "duration_s",
+      "peak_participants",
+      ...keys.map((key) => `${key}_time_share`),
+      "average_confused_share",
+      "peak_confused_share",
+      "feedback_sent",
+    ]);
+    for (const s of report.segments) {
+      rows.push([
+        s.label,
+        s.kind,
+        iso(s.startedAt),
+        Math.round(s.durationMs / 1000),
+        s.peakParticipants,
+        ...keys.map((key) => (s.averageShares[key] || 0).toFixed(3)),
+        s.averageConfusedShare.toFixed(3),
+        s.peakConfusedShare.toFixed(3),
+        s.feedbackCount,
+      ]);
+    }
+  }
+
+  if (report.polls.length > 0) {
+    rows.push([], ["poll", "question", "type", "option", "votes"]);
+    report.polls.forEach((poll, i) => {
+      poll.options.forEach((option, j) => {
+        rows.push([i + 1, poll.question, poll.type, option, poll.counts[j]]);
+      });
+    });
+  }
+
+  if (report.questions.length > 0) {
+    rows.push([], ["question", "status", "upvotes", "asked_at"]);
+    for (const q of report.questions) {
+      rows.push([q.text, q.status, q.upvotes, iso(q.createdAt)]);
+    }
+  }
+
+  return rows.map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+  buildReport,
+  reportToCsv,
+};
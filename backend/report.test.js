@@ -0,0 +1,123 @@
+/**
+ * report.test.js — The CSV export (run with `npm test`): text that users
+ * typed is written so spreadsheets show it rather than run it as a formula.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { reportToCsv } = require("./report");
+const { PRESETS } = require("./scales");
+
+const STARTED_AT = Date.UTC(2024, 0, 15, 10, 0, 0);
+
+function report(overrides) {
+  return {
+    code: "ABC123",
+    startedAt: STARTED_AT,
+    endedAt: STARTED_AT + 60 * 1000,
+    durationMs: 60 * 1000,
+    endReason: "ended",
+    peakParticipants: 0,
+    averageConfusedShare: 0,
+    peakConfusedShare: 0,
+    alertThreshold: 0.3,
+    timeAboveThresholdMs: 0,
+    scale: PRESETS.understanding,
+    course: null,
+    history: [],
+    polls: [],
+    questions: [],
+    segments: [],
+    ...overrides,
+  };
+}
+
+const segment = (label) => ({
+  label,
+  kind: "topic",
+  startedAt: STARTED_AT,
+  durationMs: 1000,
+  peakParticipants: 1,
+  averageShares: {},
+  averageConfusedShare: 0,
+  peakConfusedShare: 0,
+  feedbackCount: 0,
+});
+
+const question = (text, status = "open", upvotes = 0) => ({
+  text,
+  status,
+  upvotes,
+  createdAt: STARTED_AT,
+});
+
+const rowsOf = (csv) => csv.split("\n");
+const ASKED_AT = "2024-01-15T10:00:00.000Z";
+
+test("escapes question text that starts like a formula", () => {
+  const csv = reportToCsv(
+    report({
+      questions: [
+        question('=HYPERLINK("http://evil.example","Click")', "open", 2),
+        question("+cmd|' /C calc'!A0", "open", 1),
+        question("-1+1", "answered", 0),
+        question("@SUM(A1:A2)", "dismissed", 0),
+      ],
+    })
+  );
+  const rows = rowsOf(csv);
+
+  assert.ok(rows.includes(`"'=HYPERLINK(""http://evil.example"",""Click"")",open,2,${ASKED_AT}`));
+  assert.ok(rows.includes(`'+cmd|' /C calc'!A0,open,1,${ASKED_AT}`));
+  assert.ok(rows.includes(`'-1+1,answered,0,${ASKED_AT}`));
+  assert.ok(rows.includes(`'@SUM(A1:A2),dismissed,0,${ASKED_AT}`));
+});
+
+test("escapes a leading tab or carriage return", () => {
+  const csv = reportToCsv(
+    report({
+      questions: [
+        question("\t=1+1", "open", 0),
+        question("\r=1+1", "open", 0),
+      ],
+    })
+  );
+
+  assert.ok(csv.includes("\n'\t=1+1,open,0,"));
+  assert.ok(csv.includes('\n"\'\r=1+1",open,0,'));
+});
+
+test("escapes poll questions and options, segment labels and course names", () => {
+  const csv = reportToCsv(
+    report({
+      course: { id: "c1", name: "=Course", number: 3, title: "+Lecture" },
+      segments: [segment("=Topic")],
+      polls: [
+        { question: "-Which?", type: "choice", options: ["@A", "B"], counts: [1, 2] },
+      ],
+    })
+  );
+  const rows = rowsOf(csv);
+
+  assert.ok(rows.includes("course,'=Course"));
+  assert.ok(rows.includes("lecture,3"));
+  assert.ok(rows.some((row) => row.startsWith("'=Topic,topic,")));
+  assert.ok(rows.includes("1,'-Which?,choice,'@A,1"));
+  assert.ok(rows.includes("1,'-Which?,choice,B,2"));
+});
+
+test("leaves ordinary text and numbers alone", () => {
+  const csv = reportToCsv(
+    report({
+      questions: [
+        question("Why is n-1 the bound?", "open", 3),
+        question("Is it O(n), then?", "open", 0),
+      ],
+    })
+  );
+  const rows = rowsOf(csv);
+
+  assert.ok(rows.includes(`Why is n-1 the bound?,open,3,${ASKED_AT}`));
+  assert.ok(rows.includes(`"Is it O(n), then?",open,0,${ASKED_AT}`));
+  assert.ok(rows.includes("alert_threshold,0.3"));
+});
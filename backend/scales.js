@@ -0,0 +1,158 @@
+/**
+ * scales.js — Feedback scales: the levels a session's students choose from
+ *
+ * Scale shape:
+ *   {
+ *     name: string,
+ *     levels: Array<{ key, label, emoji, color }>,
+ *     defaultLevel: key,          // level a student starts at
+ *     alertLevels: key[]          // levels that count toward the confusion alert
+ *   }
+ *
+ * Level keys double as field names in aggregates and history points
+ * ({ [key]: count, total, stale, staleTotal }), so those names and "t" are
+ * reserved.
+ *
+ * The teacher picks a preset by id or sends a custom scale when creating a
+ * session; the validated scale is stored on the session and sent to both
+ * views, which render from it.
+ */
+
+const { fail } = require("./errors");
+
+const PRESETS = {
+  understanding: {
+    name: "Understanding",
+    levels: [
+      { key: "gotit", label: "Got it", emoji: "😊", color: "#4CAF50" },
+      { key: "neutral", label: "Neutral", emoji: "😐", color: "#2196F3" },
+      { key: "confused", label: "Confused", emoji: "😕", color: "#FF9800" },
+      { key: "lost", label: "Lost", emoji: "😵", color: "#F44336" },
+    ],
+    defaultLevel: "neutral",
+    alertLevels: ["confused", "lost"],
+  },
+  pace: {
+    name: "Pace",
+    levels: [
+      { key: "too_slow", label: "Too slow", emoji: "🐢", color: "#9C27B0" },
+      { key: "just_right", label: "Just right", emoji: "👌", color: "#4CAF50" },
+      { key: "too_fast", label: "Too fast", emoji: "🚀", color: "#F44336" },
+    ],
+    defaultLevel: "just_right",
+    alertLevels: ["too_slow", "too_fast"],
+  },
+  rating5: {
+    name: "Rating 1–5",
+    levels: [
+      { key: "r1", label: "1", emoji: "1️⃣", color: "#F44336" },
+      { key: "r2", label: "2", emoji: "2️⃣", color: "#FF9800" },
+      { key: "r3", label: "3", emoji: "3️⃣", color: "#FFC107" },
+      { key: "r4", label: "4", emoji: "4️⃣", color: "#8BC34A" },
+      { key: "r5", label: "5", emoji: "5️⃣", color: "#4CAF50" },
+    ],
+    defaultLevel: "r3",
+    alertLevels: ["r1", "r2"],
+  },
+};
+
+const DEFAULT_PRESET = "understanding";
+
+const MIN_LEVELS = 2;
+const MAX_LEVELS = 7;
+const MAX_NAME_LENGTH = 40;
+const MAX_LABEL_LENGTH = 24;
+const MAX_EMOJI_LENGTH = 8;
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,23}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const RESERVED_KEYS = ["total", "t", "stale", "staleTotal"];
+
+function cloneScale(scale) {
+  return JSON.parse(JSON.stringify(scale));
+}
+
+function validateLevel(level) {
+  if (!level || typeof level !== "object") return fail("levelRequired");
+
+  const { key, label, emoji, color } = level;
+  if (typeof key !== "string" || !KEY_PATTERN.test(key) || RESERVED_KEYS.includes(key)) {
+    return fail("invalidLevelKey", { key: String(key) });
+  }
+  if (typeof label !== "string" || !label.trim() || label.length > MAX_LABEL_LENGTH) {
+    return fail("levelLabelLength", { max: MAX_LABEL_LENGTH });
+  }
+  if (typeof emoji !== "string" || emoji.length > MAX_EMOJI_LENGTH) {
+    return fail("levelEmoji");
+  }
+  if (typeof color !== "string" || !COLOR_PATTERN.test(color)) {
+    return fail("levelColor");
+  }
+  return null;
+}
+
+/**
+ * Resolve what the teacher sent: a preset id, a custom scale, or nothing
+ * (the default preset). Returns { scale } or { error }.
+ */
+function resolveScale(input) {
+  if (input === undefined || input === null) {
+    return { scale: cloneScale(PRESETS[DEFAULT_PRESET]) };
+  }
+  if (typeof input === "string") {
+    // Own keys only: "toString" and friends aren't presets
+    return Object.hasOwn(PRESETS, input)
+      ? { scale: cloneScale(PRESETS[input]) }
+      : fail("unknownScalePreset", { preset: input });
+  }
+  if (typeof input !== "object") return fail("invalidScale");
+
+  const { name, levels, defaultLevel, alertLevels = [] } = input;
+  if (!Array.isArray(levels) || levels.length < MIN_LEVELS || levels.length > MAX_LEVELS) {
+    return fail("scaleLevelCount", { min: MIN_LEVELS, max: MAX_LEVELS });
+  }
+  for (const level of levels) {
+    const failure = validateLevel(level);
+    if (failure) return failure;
+  }
+
+  const keys = levels.map((l) => l.key);
+  if (new Set(keys).size !== keys.length) return fail("duplicateLevelKeys");
+  if (!keys.includes(defaultLevel)) return fail("invalidDefaultLevel");
+  if (!Array.isArray(alertLevels) || !alertLevels.every((k) => keys.includes(k))) {
+    return fail("invalidAlertLevels");
+  }
+
+  return {
+    scale: {
+      name:
+        typeof name === "string" && name.trim()
+          ? name.trim().slice(0, MAX_NAME_LENGTH)
+          : "Custom",
+      levels: levels.map(({ key, label, emoji, color }) => ({
+        key,
+        label: label.trim(),
+        emoji,
+        color,
+      })),
+      defaultLevel,
+      alertLevels: [...new Set(alertLevels)],
+    },
+  };
+}
+
+function levelKeys(scale) {
+  return scale.levels.map((l) => l.key);
+}
+
+/** Presets as offered to the teacher: Array<{ id, ...scale }>. */
+function listPresets() {
+  return Object.entries(PRESETS).map(([id, scale]) => ({ id, ...cloneScale(scale) }));
+}
+
+module.exports = {
+  PRESETS,
+  DEFAULT_PRESET,
+  resolveScale,
+  levelKeys,
+  listPresets,
+};
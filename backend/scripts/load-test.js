@@ -0,0 +1,164 @@
+/**
+ * load-test.js — Simulate a large class against a running server
+ *
+ * Opens one teacher and STUDENTS student sockets, joins them all to a fresh
+ * session, then has every student send feedback ROUNDS times. Reports how
+ * many messages the teacher and the students received, and how long the
+ * teacher's aggregate took to settle on the true counts after each round.
+ *
+ * Usage:
+ *   npm start                                   (in another terminal)
+ *   STUDENTS=500 ROUNDS=5 node scripts/load-test.js [url]
+ *
+ * The url defaults to http://localhost:5000. Rounds are spaced out so no
+ * feedback is dropped by the server's per-student throttle.
+ *
+ * Baseline, for comparing changes to the broadcast path: 300 students,
+ * 5 rounds, server and script on one machine (1 CPU, Node 20).
+ *
+ *                                  before coalescing    coalesced, to the
+ *                                  (every change to     dashboard only
+ *                                  the whole room)
+ *   Teacher aggregate updates      1786 (+1785 points)  7 (+7 points)
+ *   Messages received by students  981881               600
+ *   Aggregate settled per round    4.5–5.8 s            56 ms
+ *
+ * "Before" is the server from just before coalescing (git checkout
+ * 5cc5756^ -- backend) run against this script.
+ */
+
+const { io } = require("socket.io-client");
+
+const URL = process.argv[2] || "http://localhost:5000";
+const STUDENTS = Number(process.env.STUDENTS) || 300;
+const ROUNDS = Number(process.env.ROUNDS) || 5;
+const ROUND_SPREAD_MS = 200; // each round's feedback arrives within this window
+const ROUND_GAP_MS = 1000; // longer than the server's feedback throttle
+const SETTLE_TIMEOUT_MS = 10 * 1000;
+
+const runId = Math.random().toString(36).slice(2, 8);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function connect(participantId) {
+  return io(URL, {
+    auth: { participantId },
+    transports: ["websocket"],
+    forceNew: true,
+    reconnection: false,
+  });
+}
+
+function once(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), SETTLE_TIMEOUT_MS);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+// Resolves once `matches(latest)` holds for the teacher's aggregate
+function waitForAggregate(state, matches) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = setInterval(() => {
+      if (state.aggregate && matches(state.aggregate)) {
+        clearInterval(poll);
+        resolve(Date.now() - started);
+      } else if (Date.now() - started > SETTLE_TIMEOUT_MS) {
+        clearInterval(poll);
+        reject(new Error(`Aggregate never settled (last: ${JSON.stringify(state.aggregate)})`));
+      }
+    }, 5);
+  });
+}
+
+function sameCounts(expected) {
+  return (aggregate) => Object.keys(expected).every((key) => aggregate[key] === expected[key]);
+}
+
+async function main() {
+  console.log(`Load test: ${STUDENTS} students, ${ROUNDS} rounds against ${URL}`);
+
+  const teacher = connect(`load-teacher-${runId}`);
+  const state = { aggregate: null, updates: 0, historyPoints: 0 };
+  teacher.on("aggregateUpdate", (aggregate) => {
+    state.aggregate = aggregate;
+    state.updates++;
+  });
+  teacher.on("historyPoint", () => state.historyPoints++);
+
+  teacher.emit("createSession", {});
+  const { code, teacherToken, scale } = await once(teacher, "sessionCreated");
+  const levels = scale.levels.map((level) => level.key);
+  console.log(`Session ${code}, levels: ${levels.join(", ")}`);
+
+  // Every event any student receives, by name
+  const studentEvents = new Map();
+  const students = [];
+  const joinStarted = Date.now();
+  for (let i = 0; i < STUDENTS; i++) {
+    const socket = connect(`load-${runId}-${String(i).padStart(5, "0")}`);
+    socket.onAny((event) => studentEvents.set(event, (studentEvents.get(event) || 0) + 1));
+    students.push({ socket, level: scale.defaultLevel });
+  }
+  await Promise.all(
+    students.map(({ socket }) => {
+      const joined = once(socket, "joinedSession");
+      socket.emit("joinSession", { code });
+      return joined;
+    })
+  );
+  const joinSettleMs = await waitForAggregate(state, (a) => a.total === STUDENTS);
+  console.log(
+    `All joined in ${Date.now() - joinStarted} ms; aggregate settled ${joinSettleMs} ms later`
+  );
+
+  const settleTimes = [];
+  for (let round = 1; round <= ROUNDS; round++) {
+    await sleep(ROUND_GAP_MS);
+    for (const student of students) {
+      student.level = levels[Math.floor(Math.random() * levels.length)];
+    }
+    const sent = students.map(
+      (student) =>
+        new Promise((resolve) =>
+          setTimeout(() => {
+            student.socket.emit("feedback", { code, level: student.level });
+            resolve();
+          }, Math.random() * ROUND_SPREAD_MS)
+        )
+    );
+    await Promise.all(sent);
+
+    const expected = {};
+    for (const level of levels) expected[level] = 0;
+    for (const { level } of students) expected[level]++;
+    settleTimes.push(await waitForAggregate(state, sameCounts(expected)));
+  }
+
+  const feedbackSent = STUDENTS * ROUNDS;
+  const studentTotal = [...studentEvents.values()].reduce((sum, n) => sum + n, 0);
+  console.log("");
+  console.log(`Feedback events sent:          ${feedbackSent}`);
+  console.log(`Teacher aggregate updates:     ${state.updates} (+ ${state.historyPoints} history points)`);
+  console.log(`Messages received by students: ${studentTotal}`);
+  for (const [event, count] of [...studentEvents].sort()) {
+    console.log(`  ${event.padEnd(28)} ${count}`);
+  }
+  console.log(
+    `Aggregate settled after each round in ${settleTimes.join(", ")} ms ` +
+      `(max ${Math.max(...settleTimes)} ms after the last feedback)`
+  );
+
+  teacher.emit("endSession", { code, teacherToken });
+  await once(teacher, "sessionReport");
+  for (const { socket } of students) socket.disconnect();
+  teacher.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+/**
+ * webhook-receiver.js — Local HTTP receiver for trying out webhooks
+ *
+ * Logs every delivery and checks its signature and timestamp the way a real
+ * receiver should (see webhooks.js).
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=dev-secret node scripts/webhook-receiver.js [port]
+ *   WEBHOOK_URLS=http://localhost:4000/hooks WEBHOOK_SECRET=dev-secret npm start
+ *
+ * FAIL_FIRST=n answers the first n deliveries with a 503 to exercise retries.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { sign } = require("../webhooks");
+
+const PORT = Number(process.argv[2]) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || "";
+const MAX_AGE_MS = 5 * 60 * 1000; // reject replays of old deliveries
+
+let failuresLeft = Number(process.env.FAIL_FIRST) || 0;
+
+function signatureValid(req, body) {
+  const timestamp = req.headers["x-lecture-feedback-timestamp"];
+  const signature = req.headers["x-lecture-feedback-signature"] || "";
+  if (!timestamp || Math.abs(Date.now() - Number(timestamp)) > MAX_AGE_MS) return false;
+
+  const expected = Buffer.from(sign(SECRET, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+http
+  .createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const event = req.headers["x-lecture-feedback-event"];
+      const delivery = req.headers["x-lecture-feedback-delivery"];
+
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`${event} ${delivery}: answering 503 to test retries`);
+        res.writeHead(503).end();
+        return;
+      }
+
+      if (!signatureValid(req, body)) {
+        console.log(`${event} ${delivery}: INVALID signature or timestamp`);
+        res.writeHead(401).end();
+        return;
+      }
+
+      console.log(`${event} ${delivery}:`, JSON.stringify(JSON.parse(body).data));
+      res.writeHead(204).end();
+    });
+  })
+  .listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+  });
@@ -0,0 +1,181 @@
+/**
+ * segments.js — Lecture segments, started by the teacher's topic and slide
+ * markers and kept on the session object
+ *
+ * Data model (session.segments):
+ *   Array<{
+ *     id: string,
+ *     kind: "topic" | "slide",
+ *     label: string,                       // "Recursion", "Slide 12: Recap" (English, for exports)
+ *     title: string | null,                // what the teacher typed: "Recursion", "Recap"
+ *     slide: number | null,                // slide markers only
+ *     startedAt: number,
+ *     feedbackCounts: { [levelKey]: count }  // feedback sent during the segment
+ *   }>
+ *
+ * A segment runs from its marker until the next one (or the end of the
+ * session). Feedback sent before the first marker belongs to no segment.
+ *
+ * Segment summary shape (live on the dashboard and in the report):
+ *   {
+ *     id, kind, label, title, slide, startedAt,
+ *     endedAt,                // null for the current segment of a live session
+ *     durationMs,
+ *     peakParticipants,
+ *     averageShares: { [levelKey]: share },  // time-weighted, like report.js
+ *     averageConfusedShare,
+ *     peakConfusedShare,
+ *     feedbackCounts, feedbackCount
+ *   }
+ *
+ * Apps name slide segments in their own language from `slide` and `title`
+ * rather than showing `label`.
+ *
+ * These functions only touch the session object — callers persist it.
+ */
+
+const crypto = require("crypto");
+const { fail } = require("./errors");
+const { levelKeys } = require("./scales");
+const { confusedShare } = require("./alerts");
+const { freshTotal } = require("./freshness");
+
+const SEGMENT_KINDS = ["topic", "slide"];
+const MAX_LABEL_LENGTH = 60;
+const MAX_SLIDE_NUMBER = 9999;
+const MAX_SEGMENTS = 500;
+
+function currentSegment(session) {
+  return session.segments[session.segments.length - 1] || null;
+}
+
+/**
+ * Validate a marker and start a new segment; the current one ends here.
+ * Topic markers need a label; slide markers a slide number and an optional
+ * title. Returns { segment } or { error }.
+ */
+function startSegment(session, { kind, label, slide } = {}) {
+  if (!SEGMENT_KINDS.includes(kind)) return fail("unknownMarkerKind");
+  if (session.segments.length >= MAX_SEGMENTS) {
+    return fail("tooManyMarkers");
+  }
+
+  const text = typeof label === "string" ? label.trim().replace(/\s+/g, " ") : "";
+  if (text.length > MAX_LABEL_LENGTH) {
+    return fail("markerLabelTooLong", { max: MAX_LABEL_LENGTH });
+  }
+
+  let segmentLabel = text;
+  let slideNumber = null;
+  if (kind === "slide") {
+    if (!Number.isInteger(slide) || slide < 1 || slide > MAX_SLIDE_NUMBER) {
+      return fail("slideNumberRequired");
+    }
+    slideNumber = slide;
+    segmentLabel = text ? `Slide ${slide}: ${text}` : `Slide ${slide}`;
+  } else if (!text) {
+    return fail("topicNameRequired");
+  }
+
+  const segment = {
+    id: crypto.randomBytes(6).toString("hex"),
+    kind,
+    label: segmentLabel,
+    title: text || null,
+    slide: slideNumber,
+    startedAt: Date.now(),
+    feedbackCounts: {},
+  };
+  session.segments.push(segment);
+  return { segment };
+}
+
+/** Attribute a student's feedback to the current segment, if any. */
+function recordSegmentFeedback(session, level) {
+  const segment = currentSegment(session);
+  if (!segment) return;
+  segment.feedbackCounts[level] = (segment.feedbackCounts[level] || 0) + 1;
+}
+
+/**
+ * Summarise one segment from the session history: each history point holds
+ * until the next one, and only the part of that span inside the segment
+ * counts toward its averages.
+ */
+function summarizeSegment(session, segment, endedAt, until) {
+  const keys = levelKeys(session.scale);
+  const { history } = session;
+  const weighted = Object.fromEntries(keys.map((key) => [key, 0]));
+  let weightedShare = 0;
+  let occupiedMs = 0;
+  let peakParticipants = 0;
+  let peakConfusedShare = 0;
+
+  for (let i = 0; i < history.length; i++) {
+    const point = history[i];
+    if (point.t >= until) break;
+
+    const next = history[i + 1];
+    const from = Math.max(point.t, segment.startedAt);
+    const to = Math.min(next ? next.t : until, until);
+    if (to <= from) continue;
+
+    const spanMs = to - from;
+    peakParticipants = Math.max(peakParticipants, point.total);
+    const total = freshTotal(point);
+    if (total === 0) continue;
+
+    const share = confusedShare(point, session.scale.alertLevels);
+    peakConfusedShare = Math.max(peakConfusedShare, share);
+    weightedShare += share * spanMs;
+    occupiedMs += spanMs;
+    for (const key of keys) {
+      weighted[key] += ((point[key] || 0) / total) * spanMs;
+    }
+  }
+
+  const feedbackCounts = Object.fromEntries(
+    keys.map((key) => [key, segment.feedbackCounts[key] || 0])
+  );
+
+  return {
+    id: segment.id,
+    kind: segment.kind,
+    label: segment.label,
+    title: segment.title,
+    slide: segment.slide,
+    startedAt: segment.startedAt,
+    endedAt,
+    durationMs: until - segment.startedAt,
+    peakParticipants,
+    averageShares: Object.fromEntries(
+      keys.map((key) => [key, occupiedMs > 0 ? weighted[key] / occupiedMs : 0])
+    ),
+    averageConfusedShare: occupiedMs > 0 ? weightedShare / occupiedMs : 0,
+    peakConfusedShare,
+    feedbackCounts,
+    feedbackCount: Object.values(feedbackCounts).reduce((sum, n) => sum + n, 0),
+  };
+}
+
+/**
+ * Summaries of all segments, oldest first. Pass `endedAt` for an ended
+ * session; otherwise the last segment is still running and summarised up
+ * to now.
+ */
+function segmentSummaries(session, endedAt = null) {
+  const until = endedAt || Date.now();
+  return session.segments.map((segment, i) => {
+    const next = session.segments[i + 1];
+    const end = next ? next.startedAt : endedAt;
+    return summarizeSegment(session, segment, end, end || until);
+  });
+}
+
+module.exports = {
+  SEGMENT_KINDS,
+  currentSegment,
+  startSegment,
+  recordSegmentFeedback,
+  segmentSummaries,
+};
@@ -3,21 +3,188 @@
  *
  * Data model:
  *   sessions = Map<sessionCode, {
- *     teacherSocketId: string,
- *     clients: Map<socketId, feedbackLevel>,   // each student's current state
- *     createdAt: number
+ *     teacherSocketId: string | null,   // null while the teacher is disconnected
+ *     teacherToken: string,             // secret proving session ownership
+ *     staffToken: string,               // co-instructor invite, see "Staff" below
+ *     displayToken: string,             // opens the read-only projector display
+ *     ownerName: string | null,         // shown to the other staff
+ *     coInstructors: Map<socketId, { name: string | null, connectedAt }>,  // connected only
+ *     clients: Map<participantId, {          // each student's current state
+ *       level: feedbackLevel,
+ *       socketId: string | null,              // null while disconnected
+ *       disconnectedAt: number | null,
+ *       rosterId: string | null,              // see access.js; null when anonymous
+ *       name: string | null,
+ *       updatedAt: number,                    // last feedback or confirmation (see freshness.js)
+ *       stale: boolean                        // counted in staleCounts instead of counts
+ *     }>,
+ *     access: { passcode, roster, askName, showIndividual },  // see access.js
+ *     scale: scale,                        // feedback levels, see scales.js
+ *     counts: { [levelKey]: count },       // fresh students per level, kept up to date
+ *     staleCounts: { [levelKey]: count },  // stale students per level (see freshness.js)
+ *     freshness, checkIn, lastCheckIn,     // staleness policy and check-ins, see freshness.js
+ *     history: Array<{ t, [levelKey]: count, total, staleTotal }>,
+ *     polls: Array<poll>,                  // see polls.js
+ *     questions: Array<question>,          // see questions.js
+ *     segments: Array<segment>,            // topic / slide markers, see segments.js
+ *     alertSettings, alertState, alerts,   // confusion alerts, see alerts.js
+ *     display: { hideNumbers, revealed },  // projector display, see display.js
+ *     webhooks: { urls, secret } | null,   // teacher-registered, see webhooks.js
+ *     course: { id, name, number, title } | null,  // lecture of a course, see courses.js
+ *     participantMilestone: number,        // last milestone sent to webhooks
+ *     createdAt: number,
+ *     lastActivityAt: number,              // last join or feedback (idle timeout)
+ *     teacherDisconnectedAt: number | null
  *   }>
  *
- *   socketToSession = Map<socketId, { code, role }>  // reverse lookup for disconnect cleanup
+ *   socketToSession = Map<socketId, { code, role, participantId? }>
+ *     (reverse lookup for disconnect cleanup)
+ *     role: "teacher" (the owner) | "coInstructor" | "student" | "display" (projector, read-only)
+ *   participantToSession = Map<participantId, code>  // lets a returning student rejoin
  *
- * Feedback levels: "gotit" | "neutral" | "confused" | "lost"
+ *   reports = Map<sessionCode, { report, teacherToken }>  // ended sessions (see report.js)
+ *
+ * The Maps above are the working set. Every change is also handed to the
+ * configured store (see store/index.js) so sessions and reports can be
+ * reloaded by init() after a restart.
+ *
+ * With several server instances, each instance only holds the sessions it
+ * owns; events for other sessions are forwarded to their owner (see
+ * cluster.js), which restores orphaned sessions with restoreSession().
+ *
+ * Students are keyed by a stable anonymous participantId generated on the
+ * client, not by socket id. A student whose socket drops stays counted for
+ * DISCONNECT_GRACE_MS so Wi-Fi flaps and page refreshes neither inflate nor
+ * deflate the participant count; pruneDisconnected() removes them after that.
+ *
+ * Staff: the teacher who created a session owns it. They can invite
+ * co-instructors (TAs) with the session's staff token, which gives a live
+ * dashboard and the moderation actions (questions, polls, segments, alerts)
+ * but not ending the session or changing its settings — see verifyStaff()
+ * vs. verifyTeacher(). Any number of co-instructors may be connected; they
+ * are dropped as soon as their socket disconnects and come back with
+ * resumeSession like the owner.
+ *
+ * Sessions end either by the teacher or by findExpiredSessions() (see
+ * config.js for the limits). End reasons: "ended" | "teacher-left" |
+ * "expired" | "idle".
+ *
+ * Feedback levels are the keys of the session's scale (default preset:
+ * "gotit" | "neutral" | "confused" | "lost").
+ *
+ * Counts are maintained incrementally as students join, change level and
+ * leave, so getAggregate() doesn't walk every client on each feedback event
+ * in a large class. restoreSession() recounts them from `clients`. Stale
+ * students (see freshness.js) are counted in `staleCounts` instead, and move
+ * back to `counts` as soon as they send feedback or confirm their level.
+ *
+ * History is bucketed: every aggregate change overwrites the point for the
+ * current HISTORY_INTERVAL_MS bucket, so a session yields at most one point
+ * per interval no matter how busy the room is. `t` is the bucket start time.
  */
 
-const FEEDBACK_LEVELS = ["gotit", "neutral", "confused", "lost"];
+const crypto = require("crypto");
+const { buildReport } = require("./report");
+const { expiry } = require("./config");
+const scales = require("./scales");
+const { recordSegmentFeedback, currentSegment } = require("./segments");
+const { getOpenPoll, closePoll } = require("./polls");
+const alerts = require("./alerts");
+const display = require("./display");
+const access = require("./access");
+const freshness = require("./freshness");
+const { createMemoryStore } = require("./store/memoryStore");
+
+const HISTORY_INTERVAL_MS = 5000; // one history point per 5 seconds
+const REPORT_RETENTION_MS = 24 * 60 * 60 * 1000; // keep ended-session reports for a day
+const DISCONNECT_GRACE_MS = 60 * 1000; // how long a dropped student stays counted
+const MAX_NAME_LENGTH = 40; // staff display names
 
 // Primary data stores
 const sessions = new Map();
 const socketToSession = new Map();
+const participantToSession = new Map();
+const reports = new Map();
+
+// Persistence backend; replaced by init()
+let store = createMemoryStore();
+
+// ── Startup ──────────────────────────────────────────────────────────────────
+
+/**
+ * Attach a store and reload the sessions and reports it holds.
+ *
+ * Socket ids from the previous process can never reconnect, so restored
+ * sessions start with no teacher socket and every student disconnected.
+ * Students who come back within DISCONNECT_GRACE_MS rejoin with their level;
+ * the teacher gets the usual TEACHER_GRACE_MS to resume.
+ */
+function init(newStore) {
+  store = newStore;
+  const { sessions: saved, reports: savedReports } = store.load();
+
+  // Reports saved before scales, segments, alerts and courses existed
+  for (const { code, entry } of savedReports) {
+    entry.report.scale = entry.report.scale || scales.resolveScale().scale;
+    entry.report.segments = entry.report.segments || [];
+    entry.report.alerts = entry.report.alerts || [];
+    entry.report.course = entry.report.course || null;
+    reports.set(code, entry);
+  }
+
+  for (const { code, session } of saved) {
+    restoreSession(code, session);
+  }
+
+  return saved.length;
+}
+
+/**
+ * Take over a session saved by a previous process, or by another instance
+ * that has stopped (see cluster.js), with everyone disconnected.
+ */
+function restoreSession(code, session, now = Date.now()) {
+  // Sessions saved before scales, segments, alerts, webhooks, the
+  // projector display, co-instructors, access options, courses and
+  // staleness existed
+  session.scale = session.scale || scales.resolveScale().scale;
+  session.segments = session.segments || [];
+  session.alertSettings = session.alertSettings || alerts.defaultSettings();
+  session.alertState = session.alertState || alerts.initialState();
+  session.alerts = session.alerts || [];
+  session.webhooks = session.webhooks || null;
+  session.participantMilestone = session.participantMilestone || 0;
+  session.displayToken = session.displayToken || generateToken();
+  session.display = session.display || display.defaultSettings();
+  session.staffToken = session.staffToken || generateToken();
+  session.ownerName = session.ownerName || null;
+  session.coInstructors = new Map();
+  session.access = session.access || access.defaultAccess();
+  session.course = session.course || null;
+  session.freshness = session.freshness || freshness.defaultSettings();
+  session.checkIn = session.checkIn || null;
+  session.lastCheckIn = session.lastCheckIn || null;
+
+  session.teacherSocketId = null;
+  session.teacherDisconnectedAt = now;
+  for (const [participantId, client] of session.clients) {
+    client.socketId = null;
+    client.disconnectedAt = now;
+    client.updatedAt = client.updatedAt || now;
+    client.stale = client.stale || false;
+    participantToSession.set(participantId, code);
+  }
+  session.counts = countLevels(session);
+  session.staleCounts = countLevels(session, true);
+  sessions.set(code, session);
+  persist(code);
+}
+
+/** Hand a session to the store after changing it outside this module. */
+function persist(code) {
+  const session = sessions.get(code);
+  if (session) store.saveSession(code, session);
+}
 
 // ── Session code generation ──────────────────────────────────────────────────
 
@@ -29,113 +196,751 @@ function generateCode() {
     for (let i = 0; i < 6; i++) {
       code += chars[Math.floor(Math.random() * chars.length)];
     }
-  } while (sessions.has(code)); // ensure uniqueness
+  } while (sessions.has(code) || reports.has(code)); // ensure uniqueness
   return code;
 }
 
+function generateToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
 // ── Session CRUD ─────────────────────────────────────────────────────────────
 
-function createSession(teacherSocketId) {
-  const code = generateCode();
+/**
+ * Create a session owned by the given teacher socket, with already
+ * validated options:
+ *   scale     see scales.resolveScale
+ *   webhooks  teacher-registered, or null (see webhooks.resolveSessionWebhooks)
+ *   access    who may join (see access.resolveAccess); anonymous by default
+ *   course    the course lecture this session is (see courses.beginLecture), or null
+ * Sessions created over the REST API have no teacher socket yet; the
+ * teacher-left grace period runs until a dashboard attaches with
+ * resumeTeacher(). `code` is one already claimed across instances (see
+ * cluster.js); by default a fresh one.
+ * Returns { code, teacherToken, staffToken, displayToken }; the tokens are
+ * only ever sent to the teacher.
+ */
+function createSession(
+  teacherSocketId,
+  { scale, webhooks = null, access: sessionAccess = access.defaultAccess(), course = null },
+  code = generateCode()
+) {
+  const teacherToken = generateToken();
+  const staffToken = generateToken();
+  const displayToken = generateToken();
+  const now = Date.now();
   sessions.set(code, {
     teacherSocketId,
+    teacherToken,
+    staffToken,
+    displayToken,
+    ownerName: null,
+    coInstructors: new Map(),
     clients: new Map(),
-    createdAt: Date.now(),
+    scale,
+    counts: countLevels({ scale, clients: new Map() }),
+    staleCounts: countLevels({ scale, clients: new Map() }),
+    history: [],
+    polls: [],
+    questions: [],
+    segments: [],
+    alertSettings: alerts.defaultSettings(),
+    alertState: alerts.initialState(),
+    alerts: [],
+    display: display.defaultSettings(),
+    freshness: freshness.defaultSettings(),
+    checkIn: null,
+    lastCheckIn: null,
+    access: sessionAccess,
+    course,
+    webhooks,
+    participantMilestone: 0,
+    createdAt: now,
+    lastActivityAt: now,
+    teacherDisconnectedAt: teacherSocketId ? null : now,
   });
-  socketToSession.set(teacherSocketId, { code, role: "teacher" });
-  return code;
+  if (teacherSocketId) {
+    socketToSession.set(teacherSocketId, { code, role: "teacher" });
+  }
+  recordHistory(code);
+  persist(code);
+  return { code, teacherToken, staffToken, displayToken };
 }
 
 function sessionExists(code) {
   return sessions.has(code);
 }
 
-function addStudent(code, socketId) {
+/** True if this instance has the live session or its final report. */
+function holdsSession(code) {
+  return sessions.has(code) || reports.has(code);
+}
+
+/** True if the socket is a teacher or student in a session held here. */
+function hasSocket(socketId) {
+  return socketToSession.has(socketId);
+}
+
+/** Codes of the live sessions held here. */
+function sessionCodes() {
+  return [...sessions.keys()];
+}
+
+/**
+ * Public status of a live session (REST API), or null:
+ *   { code, scale, createdAt, lastActivityAt, teacherConnected, aggregate,
+ *     segment: label | null, openPoll: { id, question } | null }
+ */
+function getSessionStatus(code) {
+  const session = sessions.get(code);
+  if (!session) return null;
+
+  const segment = currentSegment(session);
+  const poll = getOpenPoll(session);
+  return {
+    code,
+    scale: session.scale,
+    createdAt: session.createdAt,
+    lastActivityAt: session.lastActivityAt,
+    teacherConnected: session.teacherSocketId !== null,
+    aggregate: getAggregate(code),
+    segment: segment ? segment.label : null,
+    openPoll: poll ? { id: poll.id, question: poll.question } : null,
+    course: session.course,
+  };
+}
+
+/**
+ * All live sessions held here, oldest first (REST API, admin only):
+ *   Array<{ code, createdAt, lastActivityAt, teacherConnected, participants }>
+ */
+function listSessions() {
+  return [...sessions].map(([code, session]) => ({
+    code,
+    createdAt: session.createdAt,
+    lastActivityAt: session.lastActivityAt,
+    teacherConnected: session.teacherSocketId !== null,
+    participants: session.clients.size,
+  }));
+}
+
+// ── Teacher ownership and staff ──────────────────────────────────────────────
+
+function tokensMatch(expected, token) {
+  if (typeof token !== "string") return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** True if `token` is the teacher token of live session `code`. */
+function verifyTeacher(code, token) {
+  const session = sessions.get(code);
+  return Boolean(session) && tokensMatch(session.teacherToken, token);
+}
+
+/**
+ * True if `token` lets someone moderate live session `code`: the teacher
+ * token or the co-instructor token.
+ */
+function verifyStaff(code, token) {
+  return staffRole(code, token) !== null;
+}
+
+/** "owner" or "coInstructor" for a session's tokens, otherwise null. */
+function staffRole(code, token) {
+  const session = sessions.get(code);
+  if (!session) return null;
+  if (tokensMatch(session.teacherToken, token)) return "owner";
+  if (tokensMatch(session.staffToken, token)) return "coInstructor";
+  return null;
+}
+
+/**
+ * Reattach a teacher to their session from a new socket (after a reconnect
+ * or page refresh). Returns false if the token doesn't match.
+ */
+function resumeTeacher(code, token, socketId) {
+  if (!verifyTeacher(code, token)) return false;
+
+  const session = sessions.get(code);
+  if (session.teacherSocketId) socketToSession.delete(session.teacherSocketId);
+
+  session.teacherSocketId = socketId;
+  session.teacherDisconnectedAt = null;
+  socketToSession.set(socketId, { code, role: "teacher" });
+  return true;
+}
+
+/**
+ * Attach a co-instructor's socket to a session with the staff token (see
+ * setStaffName() for their name). Returns false if the token doesn't match.
+ */
+function addCoInstructor(code, token, socketId) {
   const session = sessions.get(code);
-  if (!session) return false;
+  if (!session || !tokensMatch(session.staffToken, token)) return false;
 
-  // Default feedback state is "neutral"
-  session.clients.set(socketId, "neutral");
-  socketToSession.set(socketId, { code, role: "student" });
+  session.coInstructors.set(socketId, { name: null, connectedAt: Date.now() });
+  socketToSession.set(socketId, { code, role: "coInstructor" });
   return true;
 }
 
-function updateFeedback(code, socketId, level) {
-  if (!FEEDBACK_LEVELS.includes(level)) return false;
+// Display names are optional and short; anything else is dropped
+function cleanName(name) {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim().slice(0, MAX_NAME_LENGTH);
+  return trimmed.length > 0 ? trimmed : null;
+}
 
+/**
+ * Set the display name of the owner or co-instructor on `socketId`.
+ * Returns false if the socket isn't staff of the session.
+ */
+function setStaffName(code, socketId, name) {
   const session = sessions.get(code);
-  if (!session || !session.clients.has(socketId)) return false;
+  const info = socketToSession.get(socketId);
+  if (!session || !info || info.code !== code) return false;
 
-  session.clients.set(socketId, level);
+  if (info.role === "teacher") {
+    session.ownerName = cleanName(name);
+    persist(code);
+    return true;
+  }
+  const coInstructor = session.coInstructors.get(socketId);
+  if (!coInstructor) return false;
+  coInstructor.name = cleanName(name);
   return true;
 }
 
 /**
- * Compute aggregate counts for a session.
- * Returns { gotit, neutral, confused, lost, total }
+ * Who's on a session's staff, for the dashboard:
+ *   Array<{ role: "owner" | "coInstructor", name, connected }>
+ * The owner is always listed; co-instructors only while connected.
  */
-function getAggregate(code) {
+function getStaff(code) {
   const session = sessions.get(code);
   if (!session) return null;
 
-  const counts = { gotit: 0, neutral: 0, confused: 0, lost: 0 };
-  for (const level of session.clients.values()) {
-    counts[level]++;
+  const owner = {
+    role: "owner",
+    name: session.ownerName,
+    connected: session.teacherSocketId !== null,
+  };
+  const coInstructors = [...session.coInstructors.values()]
+    .sort((a, b) => a.connectedAt - b.connectedAt)
+    .map(({ name }) => ({ role: "coInstructor", name, connected: true }));
+  return [owner, ...coInstructors];
+}
+
+// ── Projector displays ───────────────────────────────────────────────────────
+
+/**
+ * Attach a read-only display socket to a session with its display token.
+ * Any number of displays may watch a session. Returns false if the token
+ * doesn't match.
+ */
+function addDisplay(code, token, socketId) {
+  const session = sessions.get(code);
+  if (!session || !tokensMatch(session.displayToken, token)) return false;
+
+  socketToSession.set(socketId, { code, role: "display" });
+  return true;
+}
+
+// ── Students ─────────────────────────────────────────────────────────────────
+
+/** Code of the session a participant belongs to, or null. */
+function getParticipantSession(participantId) {
+  return participantToSession.get(participantId) || null;
+}
+
+/**
+ * Attach a student's socket to a session. A participant already in the
+ * session (reconnect, refresh) keeps their level and identity; a new one
+ * starts at the scale's default level, with the { rosterId, name } their
+ * join was checked against (see access.checkJoin), if any.
+ * Returns the student's current level, or null if the session doesn't exist.
+ */
+function addStudent(code, participantId, socketId, identity = null) {
+  const session = sessions.get(code);
+  if (!session) return null;
+
+  const now = Date.now();
+  session.lastActivityAt = now;
+
+  let client = session.clients.get(participantId);
+  if (client) {
+    if (client.socketId) socketToSession.delete(client.socketId);
+    client.socketId = socketId;
+    client.disconnectedAt = null;
+  } else {
+    client = {
+      level: session.scale.defaultLevel,
+      socketId,
+      disconnectedAt: null,
+      rosterId: identity ? identity.rosterId : null,
+      name: identity ? identity.name : null,
+      updatedAt: now,
+      stale: false,
+    };
+    session.clients.set(participantId, client);
+    session.counts[client.level]++;
+    participantToSession.set(participantId, code);
+    recordHistory(code);
+  }
+
+  socketToSession.set(socketId, { code, role: "student", participantId });
+  persist(code);
+  return client.level;
+}
+
+function updateFeedback(code, participantId, level) {
+  const session = sessions.get(code);
+  if (!session || !scales.levelKeys(session.scale).includes(level)) return false;
+
+  const client = session.clients.get(participantId);
+  if (!client) return false;
+
+  const now = Date.now();
+  setLevel(session, client, level, false);
+  client.updatedAt = now;
+  recordSegmentFeedback(session, level);
+  session.lastActivityAt = now;
+  recordHistory(code);
+  persist(code);
+  return true;
+}
+
+/**
+ * A student confirms their current level is still right (check-ins, stale
+ * levels). Returns true if they are in the session.
+ */
+function confirmLevel(code, participantId) {
+  const session = sessions.get(code);
+  const client = session && session.clients.get(participantId);
+  if (!client) return false;
+
+  const now = Date.now();
+  client.updatedAt = now;
+  session.lastActivityAt = now;
+  if (client.stale) {
+    setLevel(session, client, client.level, false);
+    recordHistory(code);
+  }
+  persist(code);
+  return true;
+}
+
+// Move a student to `level` and into the fresh or stale counts
+function setLevel(session, client, level, stale) {
+  (client.stale ? session.staleCounts : session.counts)[client.level]--;
+  (stale ? session.staleCounts : session.counts)[level]++;
+  client.level = level;
+  client.stale = stale;
+}
+
+// Fade an outdated or unresponsive student's level, or reset it under the
+// "reset" policy. Returns what the student is told: { socketId, level, stale }.
+function expireLevel(session, client, now) {
+  if (freshness.resetsLevels(session)) {
+    setLevel(session, client, session.scale.defaultLevel, false);
+    client.updatedAt = now;
+  } else {
+    setLevel(session, client, client.level, true);
+  }
+  return { socketId: client.socketId, level: client.level, stale: client.stale };
+}
+
+/**
+ * Apply each session's staleness policy (see freshness.js) to levels that
+ * have got too old. Returns Array<{ code, students: Array<{ socketId, level,
+ * stale }> }> for the sessions whose counts changed.
+ */
+function expireStaleLevels(now = Date.now()) {
+  const changed = [];
+  for (const [code, session] of sessions) {
+    if (session.freshness.mode === "off") continue;
+
+    const students = [];
+    for (const client of session.clients.values()) {
+      if (freshness.isOutdated(session, client, now)) {
+        students.push(expireLevel(session, client, now));
+      }
+    }
+    if (students.length > 0) {
+      recordHistory(code);
+      persist(code);
+      changed.push({ code, students });
+    }
+  }
+  return changed;
+}
+
+/**
+ * Finish check-ins whose time is up: students who didn't respond go stale
+ * (or are reset). Returns Array<{ code, checkIn, students }> with the
+ * finished check-in's tally (see freshness.finishCheckIn).
+ */
+function finishCheckIns(now = Date.now()) {
+  const finished = [];
+  for (const [code, session] of sessions) {
+    if (!freshness.checkInOver(session, now)) continue;
+
+    const students = [];
+    let responded = 0;
+    for (const client of session.clients.values()) {
+      if (freshness.respondedToCheckIn(session, client)) {
+        responded++;
+      } else if (!client.stale) {
+        students.push(expireLevel(session, client, now));
+      }
+    }
+    const checkIn = freshness.finishCheckIn(
+      session,
+      { responded, missed: session.clients.size - responded },
+      now
+    );
+    recordHistory(code);
+    persist(code);
+    finished.push({ code, checkIn, students });
+  }
+  return finished;
+}
+
+/**
+ * Remove a student from their session for good (explicit leave, or joining
+ * a different session). Returns the session code, or null.
+ */
+function removeParticipant(participantId) {
+  const code = participantToSession.get(participantId);
+  if (!code) return null;
+
+  participantToSession.delete(participantId);
+  const session = sessions.get(code);
+  const client = session && session.clients.get(participantId);
+  if (client) {
+    if (client.socketId) socketToSession.delete(client.socketId);
+    session.clients.delete(participantId);
+    (client.stale ? session.staleCounts : session.counts)[client.level]--;
+    recordHistory(code);
+    persist(code);
+  }
+  return code;
+}
+
+/**
+ * Remove students who have been disconnected for longer than
+ * DISCONNECT_GRACE_MS. Returns the codes of sessions whose counts changed.
+ */
+function pruneDisconnected(now = Date.now()) {
+  const changed = [];
+  for (const [code, session] of sessions) {
+    let removed = false;
+    for (const [participantId, client] of session.clients) {
+      if (client.socketId || now - client.disconnectedAt < DISCONNECT_GRACE_MS) {
+        continue;
+      }
+      session.clients.delete(participantId);
+      (client.stale ? session.staleCounts : session.counts)[client.level]--;
+      participantToSession.delete(participantId);
+      removed = true;
+    }
+    if (removed) {
+      recordHistory(code);
+      persist(code);
+      changed.push(code);
+    }
+  }
+  return changed;
+}
+
+// Fresh (or stale) students per level, counted from scratch (new and
+// restored sessions)
+function countLevels(session, stale = false) {
+  const counts = {};
+  for (const key of scales.levelKeys(session.scale)) counts[key] = 0;
+  for (const client of session.clients.values()) {
+    if (Boolean(client.stale) === stale) counts[client.level]++;
   }
-  counts.total = session.clients.size;
   return counts;
 }
 
+/**
+ * Aggregate counts for a session, from its running counts. Level counts are
+ * fresh students only; `total` is everyone (see freshness.js).
+ * Returns { [levelKey]: count, total, stale: { [levelKey]: count }, staleTotal },
+ * e.g. { gotit, neutral, confused, lost, total, stale, staleTotal }
+ */
+function getAggregate(code) {
+  const session = sessions.get(code);
+  if (!session) return null;
+
+  const stale = { ...session.staleCounts };
+  const staleTotal = Object.values(stale).reduce((sum, n) => sum + n, 0);
+  return { ...session.counts, total: session.clients.size, stale, staleTotal };
+}
+
+// ── Feedback history ─────────────────────────────────────────────────────────
+
+/**
+ * Snapshot the current aggregate into the session's history. Called after
+ * every change; a change within the same bucket replaces that bucket's point.
+ * Returns the recorded point.
+ */
+function recordHistory(code) {
+  const session = sessions.get(code);
+  if (!session) return null;
+
+  const now = Date.now();
+  const t = now - ((now - session.createdAt) % HISTORY_INTERVAL_MS);
+  // Stale students are kept as a total only, to keep points small
+  const { stale, ...counts } = getAggregate(code);
+  const point = { t, ...counts };
+
+  const last = session.history[session.history.length - 1];
+  if (last && last.t === t) {
+    session.history[session.history.length - 1] = point;
+  } else {
+    session.history.push(point);
+  }
+  return point;
+}
+
+function getHistory(code) {
+  const session = sessions.get(code);
+  return session ? session.history : null;
+}
+
+/** Latest history point for a session, or null. */
+function getLatestHistoryPoint(code) {
+  const history = getHistory(code);
+  return history && history.length > 0 ? history[history.length - 1] : null;
+}
+
 function getSession(code) {
   return sessions.get(code);
 }
 
 /**
- * Handle a socket disconnecting — remove from session and return
- * { code, role } so caller can broadcast updates if needed.
+ * Handle a socket disconnecting and return { code, role } so caller can
+ * broadcast updates if needed. Students are only marked disconnected;
+ * pruneDisconnected() removes them once the grace period is over.
  */
 function removeSocket(socketId) {
   const info = socketToSession.get(socketId);
   if (!info) return null;
 
-  const { code, role } = info;
+  const { code, role, participantId } = info;
   const session = sessions.get(code);
 
   if (session) {
-    if (role === "student") {
-      session.clients.delete(socketId);
+    const client = role === "student" && session.clients.get(participantId);
+    if (client && client.socketId === socketId) {
+      client.socketId = null;
+      client.disconnectedAt = Date.now();
+    }
+    if (role === "coInstructor") session.coInstructors.delete(socketId);
+    // If teacher disconnects we keep session alive so they can reclaim it
+    // with resumeSession; findExpiredSessions() ends it after the grace period.
+    if (role === "teacher" && session.teacherSocketId === socketId) {
+      session.teacherSocketId = null;
+      session.teacherDisconnectedAt = Date.now();
     }
-    // If teacher disconnects we keep session alive for now
-    // (teacher could reconnect). A cleanup timer could be added here.
-    // TODO: Add session expiry / cleanup timer for abandoned sessions
   }
 
   socketToSession.delete(socketId);
   return { code, role };
 }
 
-function endSession(code) {
+// ── Expiry ───────────────────────────────────────────────────────────────────
+
+/** Why a session should end now, or null if it may keep running. */
+function expiryReason(session, now) {
+  const { teacherGraceMs, maxSessionMs, idleTimeoutMs } = expiry;
+
+  if (
+    teacherGraceMs > 0 &&
+    session.teacherDisconnectedAt !== null &&
+    now - session.teacherDisconnectedAt >= teacherGraceMs
+  ) {
+    return "teacher-left";
+  }
+  if (maxSessionMs > 0 && now - session.createdAt >= maxSessionMs) {
+    return "expired";
+  }
+  if (idleTimeoutMs > 0 && now - session.lastActivityAt >= idleTimeoutMs) {
+    return "idle";
+  }
+  return null;
+}
+
+/**
+ * Sessions that have outlived one of the configured limits.
+ * Returns Array<{ code, reason }>; the caller ends them with endSession().
+ */
+function findExpiredSessions(now = Date.now()) {
+  const expired = [];
+  for (const [code, session] of sessions) {
+    const reason = expiryReason(session, now);
+    if (reason) expired.push({ code, reason });
+  }
+  return expired;
+}
+
+// ── Alerts ───────────────────────────────────────────────────────────────────
+
+/**
+ * Run the alert engine (see alerts.js) on a session's current aggregate.
+ * Returns the alert that fired, or null.
+ */
+function checkAlerts(code, now = Date.now()) {
   const session = sessions.get(code);
-  if (!session) return false;
+  if (!session) return null;
+
+  const alert = alerts.evaluate(session, getAggregate(code), now);
+  if (alert) persist(code);
+  return alert;
+}
+
+/**
+ * Run the alert engine on every session, so sustained alerts fire even when
+ * no feedback arrives. Returns Array<{ code, alert }>.
+ */
+function checkAllAlerts(now = Date.now()) {
+  const fired = [];
+  for (const code of sessions.keys()) {
+    const alert = checkAlerts(code, now);
+    if (alert) fired.push({ code, alert });
+  }
+  return fired;
+}
+
+// ── Reports ──────────────────────────────────────────────────────────────────
+
+/**
+ * Report for a session: the final report if it has ended, otherwise a live
+ * report up to now. Returns null for unknown codes or a wrong teacher token.
+ */
+function getReport(code, token) {
+  const ended = reports.get(code);
+  if (ended) {
+    return tokensMatch(ended.teacherToken, token) ? ended.report : null;
+  }
+
+  if (!verifyTeacher(code, token)) return null;
+  return buildReport(code, sessions.get(code), HISTORY_INTERVAL_MS);
+}
+
+/**
+ * Report of a session that ended on another instance, from the shared store
+ * (see cluster.js). Resolves to null like getReport().
+ */
+async function loadReport(code, token) {
+  const entry = await store.loadReport(code);
+  return entry && tokensMatch(entry.teacherToken, token) ? entry.report : null;
+}
 
-  // Clean up reverse mappings for all participants
-  socketToSession.delete(session.teacherSocketId);
-  for (const socketId of session.clients.keys()) {
-    socketToSession.delete(socketId);
+function pruneReports(now) {
+  for (const [code, { report }] of reports) {
+    if (now - report.endedAt > REPORT_RETENTION_MS) {
+      reports.delete(code);
+      store.deleteReport(code);
+    }
   }
+}
+
+/**
+ * End a session: build and keep its final report, then drop all live state.
+ * Returns the report, or null if the session does not exist.
+ */
+function endSession(code, reason = "ended") {
+  const session = sessions.get(code);
+  if (!session) return null;
 
+  // A poll left open is over too, so it makes the report
+  const openPoll = getOpenPoll(session);
+  if (openPoll) closePoll(session, openPoll.id);
+
+  const now = Date.now();
+  const report = {
+    ...buildReport(code, session, HISTORY_INTERVAL_MS, now),
+    endReason: reason,
+  };
+  pruneReports(now);
+  const entry = { report, teacherToken: session.teacherToken };
+  reports.set(code, entry);
+  store.saveReport(code, entry);
+
+  detachSession(code, session);
   sessions.delete(code);
-  return true;
+  store.deleteSession(code);
+  return report;
+}
+
+/**
+ * Drop a session from this instance without ending it, after another
+ * instance has taken it over (see cluster.js).
+ */
+function forgetSession(code) {
+  const session = sessions.get(code);
+  if (!session) return;
+
+  detachSession(code, session);
+  sessions.delete(code);
+}
+
+// Clean up the reverse mappings of everyone in a session that is going away:
+// teacher, displays and students
+function detachSession(code, session) {
+  for (const [socketId, info] of socketToSession) {
+    if (info.code === code) socketToSession.delete(socketId);
+  }
+  for (const participantId of session.clients.keys()) {
+    participantToSession.delete(participantId);
+  }
 }
 
 module.exports = {
-  FEEDBACK_LEVELS,
+  HISTORY_INTERVAL_MS,
+  init,
+  restoreSession,
+  persist,
+  generateCode,
   createSession,
   sessionExists,
+  holdsSession,
+  hasSocket,
+  sessionCodes,
+  getSessionStatus,
+  listSessions,
+  tokensMatch,
+  verifyTeacher,
+  verifyStaff,
+  staffRole,
+  resumeTeacher,
+  addCoInstructor,
+  setStaffName,
+  getStaff,
+  addDisplay,
+  getParticipantSession,
   addStudent,
   updateFeedback,
+  confirmLevel,
+  expireStaleLevels,
+  finishCheckIns,
+  removeParticipant,
+  pruneDisconnected,
   getAggregate,
+  getHistory,
+  getLatestHistoryPoint,
   getSession,
   removeSocket,
+  findExpiredSessions,
+  checkAlerts,
+  checkAllAlerts,
+  getReport,
+  loadReport,
   endSession,
+  forgetSession,
 };
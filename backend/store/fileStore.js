@@ -0,0 +1,115 @@
+/**
+ * fileStore.js — Session store backed by a single JSON file
+ *
+ * File format:
+ *   { version: 1, sessions: { [code]: session }, reports: { [code]: { report, teacherToken } },
+ *     courses: { [id]: course } }   (courses is missing in files written before courses existed)
+ *
+ * Maps inside a session are encoded as described in json.js.
+ *
+ * Writes are coalesced: changes mark the store dirty and the whole file is
+ * rewritten at most once per WRITE_DELAY_MS, via a temp file + rename so a
+ * crash mid-write never leaves a truncated file behind. close() flushes
+ * synchronously and should be called on shutdown.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const json = require("./json");
+const singleInstance = require("./singleInstance");
+
+const FILE_VERSION = 1;
+const WRITE_DELAY_MS = 1000;
+
+function readFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { version: FILE_VERSION, sessions: {}, reports: {}, courses: {} };
+  }
+
+  const data = json.parse(fs.readFileSync(filePath, "utf8"));
+  if (data.version !== FILE_VERSION) {
+    throw new Error(
+      `Unsupported session store version ${data.version} in ${filePath}`
+    );
+  }
+  data.courses = data.courses || {};
+  return data;
+}
+
+function createFileStore(filePath) {
+  const data = readFile(filePath);
+  let writeTimer = null;
+
+  function flush() {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, json.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      try {
+        flush();
+      } catch (err) {
+        console.error(`Failed to write session store ${filePath}:`, err);
+      }
+    }, WRITE_DELAY_MS);
+    writeTimer.unref(); // don't keep the process alive just to write
+  }
+
+  return {
+    ...singleInstance,
+
+    load() {
+      return {
+        sessions: Object.entries(data.sessions).map(([code, session]) => ({
+          code,
+          session,
+        })),
+        reports: Object.entries(data.reports).map(([code, entry]) => ({
+          code,
+          entry,
+        })),
+        courses: Object.values(data.courses),
+      };
+    },
+
+    // Sessions are serialized at write time, so saving just records which
+    // object is current; later mutations to it are picked up by the flush.
+    saveSession(code, session) {
+      data.sessions[code] = session;
+      scheduleWrite();
+    },
+
+    deleteSession(code) {
+      delete data.sessions[code];
+      scheduleWrite();
+    },
+
+    saveReport(code, entry) {
+      data.reports[code] = entry;
+      scheduleWrite();
+    },
+
+    deleteReport(code) {
+      delete data.reports[code];
+      scheduleWrite();
+    },
+
+    saveCourse(id, course) {
+      data.courses[id] = course;
+      scheduleWrite();
+    },
+
+    close() {
+      if (writeTimer) flush();
+    },
+  };
+}
+
+module.exports = { createFileStore };
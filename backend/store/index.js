@@ -0,0 +1,54 @@
+/**
+ * store/index.js — Persistence layer behind sessions.js
+ *
+ * A store implements:
+ *   load()                     → { sessions: Array<{ code, session }>, reports: Array<{ code, entry }>,
+ *                                  courses: Array<course> }
+ *   saveSession(code, session) → persist (or schedule persisting) a live session
+ *   deleteSession(code)
+ *   saveReport(code, entry)    → persist an ended session's { report, teacherToken }
+ *   deleteReport(code)
+ *   saveCourse(id, course)     → persist a course and its lecture records (see courses.js)
+ *   close()                    → flush pending writes; called on shutdown (may return a Promise)
+ *
+ * and, for running several instances (see cluster.js), session ownership:
+ *   claimSession(code)         → Promise<boolean>  take a code for this instance
+ *   claimNewSession(code)      → Promise<boolean>  same, for a new session: also false while
+ *                                                  an ended session's report uses the code
+ *   renewClaims(codes)         → Promise<codes>    keep owning them; returns the ones lost
+ *   listSessionCodes()         → Promise<codes>    every live session, on any instance
+ *   loadSession(code)          → Promise<session | null>   (to adopt an orphaned session)
+ *   loadReport(code)           → Promise<entry | null>     (a report saved by another instance)
+ *   loadCourse(id)             → Promise<course | null>    (courses are changed by every instance)
+ * The memory and file stores serve a single instance and own everything
+ * (see singleInstance.js).
+ *
+ * Selected with environment variables:
+ *   SESSION_STORE=memory (default) | file | redis
+ *   SESSION_STORE_PATH=<path>      (file store only, default backend/data/sessions.json,
+ *                                   which git ignores)
+ *   REDIS_URL=<url>                (redis store only, see config.js)
+ */
+
+const path = require("path");
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+const { createRedisStore } = require("./redisStore");
+const { cluster } = require("../config");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "..", "data", "sessions.json");
+
+function createStore(type = process.env.SESSION_STORE || "memory") {
+  switch (type) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore(process.env.SESSION_STORE_PATH || DEFAULT_FILE_PATH);
+    case "redis":
+      return createRedisStore(cluster.redisUrl);
+    default:
+      throw new Error(`Unknown SESSION_STORE "${type}" (expected memory, file or redis)`);
+  }
+}
+
+module.exports = { createStore };
@@ -0,0 +1,25 @@
+/**
+ * json.js — JSON encoding for stored sessions and reports
+ *
+ * Maps inside a session (e.g. `clients`, poll answers) are written as
+ * { "__map": [[key, value], ...] } and revived on load, so new Map fields
+ * on the session model round-trip without changes to the stores.
+ */
+
+function replacer(_key, value) {
+  return value instanceof Map ? { __map: [...value.entries()] } : value;
+}
+
+function reviver(_key, value) {
+  return value && Array.isArray(value.__map) ? new Map(value.__map) : value;
+}
+
+function stringify(value) {
+  return JSON.stringify(value, replacer);
+}
+
+function parse(text) {
+  return JSON.parse(text, reviver);
+}
+
+module.exports = { stringify, parse };
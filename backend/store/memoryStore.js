@@ -0,0 +1,29 @@
+/**
+ * memoryStore.js — Default session store: keeps nothing beyond the process.
+ *
+ * sessions.js already holds the working set in its own Maps, so the
+ * in-memory store only has to satisfy the store interface (see store/index.js).
+ * Everything is lost when the process exits.
+ *
+ * This is also the in-process stand-in for the Redis store when running a
+ * single instance (development, tests).
+ */
+
+const singleInstance = require("./singleInstance");
+
+function createMemoryStore() {
+  return {
+    ...singleInstance,
+    load() {
+      return { sessions: [], reports: [], courses: [] };
+    },
+    saveSession() {},
+    deleteSession() {},
+    saveReport() {},
+    deleteReport() {},
+    saveCourse() {},
+    close() {},
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,197 @@
+/**
+ * redisStore.js — Session store shared by several server instances
+ *
+ * Keys (all under KEY_PREFIX):
+ *   sessions        set of live session codes
+ *   session:<code>  the session, encoded as in json.js
+ *   owner:<code>    id of the instance that owns the session (a lease)
+ *   report:<code>   an ended session's { report, teacherToken }, kept for a day
+ *   course:<id>     a course and its lecture records (see courses.js), kept for good
+ *
+ * Each live session is owned by one instance (see cluster.js), which holds
+ * a lease on it: claimSession() takes the lease for LEASE_MS and the owner
+ * keeps renewing it with renewClaims(). New sessions take their code with
+ * claimNewSession(), which also skips codes whose report is still kept, so
+ * a report link never leads to another class's session. When an instance
+ * stops (crash, deploy), its leases run out and another instance adopts the
+ * sessions with claimSession() + loadSession(). So load() returns no
+ * sessions: after a restart they are picked up the same way.
+ *
+ * Session writes are coalesced per WRITE_DELAY_MS like the file store's.
+ * close() flushes them and hands the leases back so other instances can
+ * adopt straight away instead of waiting for the leases to run out.
+ */
+
+const crypto = require("crypto");
+const { createClient } = require("redis");
+const json = require("./json");
+
+const KEY_PREFIX = "lecture-feedback:";
+const LEASE_MS = 30 * 1000;
+const WRITE_DELAY_MS = 1000;
+const REPORT_TTL_MS = 24 * 60 * 60 * 1000; // same as sessions.js REPORT_RETENTION_MS
+
+const SESSIONS_KEY = `${KEY_PREFIX}sessions`;
+const sessionKey = (code) => `${KEY_PREFIX}session:${code}`;
+const ownerKey = (code) => `${KEY_PREFIX}owner:${code}`;
+const reportKey = (code) => `${KEY_PREFIX}report:${code}`;
+const courseKey = (id) => `${KEY_PREFIX}course:${id}`;
+
+// Extend or release a lease, but only while this instance still holds it
+const RENEW_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+function createRedisStore(url) {
+  const instanceId = crypto.randomBytes(8).toString("hex");
+  const client = createClient({ url });
+  client.on("error", (err) => console.error("Redis session store:", err.message));
+  // Commands issued before the connection is up are queued by the client
+  client.connect().catch((err) => {
+    console.error(`Could not connect the session store to ${url}:`, err.message);
+  });
+
+  const claimed = new Set(); // codes this instance holds the lease for
+  const dirty = new Map(); // code → session waiting to be written
+  let writeTimer = null;
+
+  async function flush() {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    if (dirty.size === 0) return;
+
+    const batch = client.multi();
+    for (const [code, session] of dirty) {
+      batch.set(sessionKey(code), json.stringify(session));
+    }
+    dirty.clear();
+    await batch.exec();
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      flush().catch((err) => console.error("Failed to write sessions to Redis:", err));
+    }, WRITE_DELAY_MS);
+    writeTimer.unref();
+  }
+
+  function runLeaseScript(script, code, ...args) {
+    return client.eval(script, { keys: [ownerKey(code)], arguments: [instanceId, ...args] });
+  }
+
+  async function loadJson(key) {
+    const text = await client.get(key);
+    return text === null ? null : json.parse(text);
+  }
+
+  return {
+    load() {
+      return { sessions: [], reports: [], courses: [] };
+    },
+
+    // Like the file store, the session is serialized at write time
+    saveSession(code, session) {
+      dirty.set(code, session);
+      scheduleWrite();
+    },
+
+    deleteSession(code) {
+      dirty.delete(code);
+      claimed.delete(code);
+      client
+        .multi()
+        .del(sessionKey(code))
+        .del(ownerKey(code))
+        .sRem(SESSIONS_KEY, code)
+        .exec()
+        .catch((err) => console.error(`Failed to delete session ${code} from Redis:`, err));
+    },
+
+    saveReport(code, entry) {
+      client
+        .set(reportKey(code), json.stringify(entry), { PX: REPORT_TTL_MS })
+        .catch((err) => console.error(`Failed to save report ${code} to Redis:`, err));
+    },
+
+    // Redis expires reports by itself
+    deleteReport() {},
+
+    // Courses change rarely and other instances read them straight away
+    saveCourse(id, course) {
+      client
+        .set(courseKey(id), json.stringify(course))
+        .catch((err) => console.error(`Failed to save course ${id} to Redis:`, err));
+    },
+
+    async close() {
+      await flush();
+      await Promise.all([...claimed].map((code) => runLeaseScript(RELEASE_SCRIPT, code)));
+      await client.quit();
+    },
+
+    /** Take the lease on a session code; false if another instance holds it. */
+    async claimSession(code) {
+      const result = await client.set(ownerKey(code), instanceId, { NX: true, PX: LEASE_MS });
+      if (result !== "OK") return false;
+
+      claimed.add(code);
+      await client.sAdd(SESSIONS_KEY, code);
+      return true;
+    },
+
+    /**
+     * Take the lease on a code for a new session; false if another instance
+     * holds it or an ended session's report still goes by it.
+     */
+    async claimNewSession(code) {
+      const result = await client.set(ownerKey(code), instanceId, { NX: true, PX: LEASE_MS });
+      if (result !== "OK") return false;
+
+      // An owner saves the report before it gives up the lease, so once we
+      // hold the lease any report for the code is already there
+      if (await client.exists(reportKey(code))) {
+        await client.del(ownerKey(code));
+        return false;
+      }
+      claimed.add(code);
+      await client.sAdd(SESSIONS_KEY, code);
+      return true;
+    },
+
+    /** Extend the leases on `codes`; returns the codes whose lease was lost. */
+    async renewClaims(codes) {
+      const results = await Promise.all(
+        codes.map((code) => runLeaseScript(RENEW_SCRIPT, code, String(LEASE_MS)))
+      );
+      const lost = codes.filter((_code, i) => results[i] !== 1);
+      for (const code of lost) claimed.delete(code);
+      return lost;
+    },
+
+    listSessionCodes() {
+      return client.sMembers(SESSIONS_KEY);
+    },
+
+    loadSession(code) {
+      return loadJson(sessionKey(code));
+    },
+
+    loadReport(code) {
+      return loadJson(reportKey(code));
+    },
+
+    loadCourse(id) {
+      return loadJson(courseKey(id));
+    },
+  };
+}
+
+module.exports = { createRedisStore };
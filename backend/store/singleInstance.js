@@ -0,0 +1,35 @@
+/**
+ * singleInstance.js — Session ownership for stores that serve one process
+ *
+ * The memory and file stores are never shared, so this process owns every
+ * session it creates and there is nothing to adopt from other instances.
+ * Spread into those stores to satisfy the ownership half of the store
+ * interface (see store/index.js and cluster.js).
+ */
+
+module.exports = {
+  // sessions.js already keeps codes unique within the process, reports
+  // included
+  async claimSession() {
+    return true;
+  },
+  async claimNewSession() {
+    return true;
+  },
+  async renewClaims() {
+    return [];
+  },
+  async listSessionCodes() {
+    return [];
+  },
+  async loadSession() {
+    return null;
+  },
+  // Reports and courses are all loaded up front by load()
+  async loadReport() {
+    return null;
+  },
+  async loadCourse() {
+    return null;
+  },
+};
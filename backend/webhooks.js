@@ -0,0 +1,163 @@
+/**
+ * webhooks.js — Outgoing webhooks for session lifecycle and alert events
+ *
+ * Events:
+ *   "session.created"       { code, createdAt, scale, course }  (course: { id, name,
+ *                            number, title } for a course lecture, else null)
+ *   "session.participants"  { code, milestone, participants }  (first time the
+ *                            student count reaches a PARTICIPANT_MILESTONES step)
+ *   "alert.triggered"       { code, alert }                    (see alerts.js)
+ *   "session.ended"         { code, reason, summary }          (report without history)
+ *
+ * Every delivery is a POST of
+ *   { id, event, createdAt, data }
+ * with headers
+ *   X-Lecture-Feedback-Event:      the event name
+ *   X-Lecture-Feedback-Delivery:   the delivery id (same across retries)
+ *   X-Lecture-Feedback-Timestamp:  ms since epoch, at signing time
+ *   X-Lecture-Feedback-Signature:  sha256=<hex HMAC of "<timestamp>.<body>">
+ * Receivers should recompute the signature with their secret and reject old
+ * timestamps. scripts/webhook-receiver.js is a local receiver that does both.
+ *
+ * Targets are the server-wide URLs from config.js (signed with WEBHOOK_SECRET)
+ * plus, if enabled, URLs a teacher registered for their session (signed with
+ * a per-session secret handed to that teacher).
+ *
+ * Failed deliveries (network errors, timeouts, 429 and 5xx) are retried with
+ * exponential backoff; other 4xx responses are not. Pending retries live in
+ * memory and are lost on restart.
+ */
+
+const crypto = require("crypto");
+const { fail } = require("./errors");
+
+const PARTICIPANT_MILESTONES = [10, 25, 50, 100, 250, 500, 1000];
+const MAX_SESSION_URLS = 3;
+const RETRY_BASE_MS = 1000;
+
+/** Highest milestone `total` has reached beyond `previous`, or null. */
+function reachedMilestone(previous, total) {
+  const reached = PARTICIPANT_MILESTONES.filter((m) => m > (previous || 0) && m <= total);
+  return reached.length > 0 ? reached[reached.length - 1] : null;
+}
+
+function validUrl(url) {
+  if (typeof url !== "string" || url.length > 500) return false;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the webhook URLs a teacher asked for when creating a session.
+ * Returns { webhooks: { urls, secret } | null } or { error }.
+ */
+function resolveSessionWebhooks(urls, allowed) {
+  if (urls === undefined || urls === null) return { webhooks: null };
+  if (!allowed) return fail("webhooksDisabled");
+  if (!Array.isArray(urls) || urls.length === 0 || urls.length > MAX_SESSION_URLS) {
+    return fail("webhookUrlCount", { max: MAX_SESSION_URLS });
+  }
+  if (!urls.every(validUrl)) return fail("webhookUrlInvalid");
+
+  return {
+    webhooks: {
+      urls: [...new Set(urls)],
+      secret: crypto.randomBytes(24).toString("base64url"),
+    },
+  };
+}
+
+function sign(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest("hex")}`;
+}
+
+// Worth another try: the receiver may be down, overloaded or rate limiting
+function retryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Create a dispatcher from the webhook config (see config.js):
+ *   { urls, secret, maxAttempts, timeoutMs }
+ * Returns { send(event, data, sessionWebhooks?), pending() }.
+ */
+function createWebhookDispatcher({ urls, secret, maxAttempts, timeoutMs }) {
+  let inFlight = 0;
+
+  async function attempt(target, delivery, number) {
+    const timestamp = Date.now();
+    let status = null;
+    try {
+      const res = await fetch(target.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "lecture-feedback-webhooks",
+          "X-Lecture-Feedback-Event": delivery.event,
+          "X-Lecture-Feedback-Delivery": delivery.id,
+          "X-Lecture-Feedback-Timestamp": String(timestamp),
+          "X-Lecture-Feedback-Signature": sign(target.secret, timestamp, delivery.body),
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      status = res.status;
+      // Only the status matters; drop the body so the connection is freed
+      await res.body?.cancel();
+      if (res.ok) return;
+    } catch (err) {
+      status = err.name === "TimeoutError" ? "timeout" : err.code || err.message;
+    }
+
+    const canRetry = typeof status !== "number" || retryable(status);
+    if (!canRetry || number >= maxAttempts) {
+      console.warn(
+        `Webhook ${delivery.event} to ${target.url} failed (${status}) after ${number} attempt(s)`
+      );
+      return;
+    }
+
+    // 1s, 2s, 4s, ... with a little jitter so retries don't arrive in lockstep
+    const delay = RETRY_BASE_MS * 2 ** (number - 1) * (1 + Math.random() * 0.2);
+    await new Promise((resolve) => setTimeout(resolve, delay).unref());
+    return attempt(target, delivery, number + 1);
+  }
+
+  /** Queue an event for every target; never throws. */
+  function send(event, data, sessionWebhooks = null) {
+    const targets = urls.map((url) => ({ url, secret }));
+    if (sessionWebhooks) {
+      for (const url of sessionWebhooks.urls) {
+        targets.push({ url, secret: sessionWebhooks.secret });
+      }
+    }
+    if (targets.length === 0) return;
+
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, event, createdAt: Date.now(), data });
+    for (const target of targets) {
+      inFlight++;
+      attempt(target, { id, event, body }, 1).finally(() => inFlight--);
+    }
+  }
+
+  /** Deliveries still being attempted (including waiting retries). */
+  function pending() {
+    return inFlight;
+  }
+
+  return { send, pending };
+}
+
+module.exports = {
+  PARTICIPANT_MILESTONES,
+  reachedMilestone,
+  resolveSessionWebhooks,
+  sign,
+  createWebhookDispatcher,
+};
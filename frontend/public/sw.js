@@ -0,0 +1,107 @@
+/**
+ * sw.js — Service worker that keeps the app shell on the device, so the app
+ * opens on flaky lecture-hall Wi-Fi (registered in src/main.jsx)
+ *
+ * - Pages come from the network if it answers within NETWORK_TIMEOUT_MS,
+ *   else from the cached index.html (every route is the same SPA page).
+ *   Each fresh copy replaces the cached one, together with the build files
+ *   it loads, and build files of older builds are dropped.
+ * - Build files (/assets/*, named by content hash) and the icons come from
+ *   the cache first.
+ * - The API and Socket.io always go to the network: live data isn't cached.
+ *
+ * Bump SHELL_CACHE to drop every cached file on the next visit.
+ */
+
+const SHELL_CACHE = "lecture-feedback-shell-v1";
+const STATIC_FILES = ["/manifest.webmanifest", "/icon.svg", "/icon-192.png", "/icon-512.png"];
+const NETWORK_TIMEOUT_MS = 3000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The build files index.html loads: <script src> and <link href> under /assets/
+function assetsOf(html) {
+  return [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1]);
+}
+
+// Caches a fresh index.html once its build files are cached too, so the
+// cached page always has everything it needs
+async function cacheShell(response) {
+  if (!response.ok || !response.headers.get("Content-Type")?.includes("text/html")) return;
+
+  const cache = await caches.open(SHELL_CACHE);
+  const assets = assetsOf(await response.clone().text());
+  await cache.addAll(assets);
+  await cache.put("/", response);
+
+  for (const request of await cache.keys()) {
+    const { pathname } = new URL(request.url);
+    if (pathname.startsWith("/assets/") && !assets.includes(pathname)) {
+      await cache.delete(request);
+    }
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(STATIC_FILES);
+      await cacheShell(await fetch("/", { cache: "no-cache" }));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      for (const name of await caches.keys()) {
+        if (name !== SHELL_CACHE) await caches.delete(name);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+// ── Requests ─────────────────────────────────────────────────────────────────
+
+// The network's page, or the cached one if the network fails, errors or is
+// slow. A late answer still refreshes the cache for next time.
+function openPage(event) {
+  const network = fetch(event.request);
+  event.waitUntil(network.then((response) => cacheShell(response.clone())).catch(() => {}));
+
+  return caches.match("/").then((cached) => {
+    if (!cached) return network;
+    return Promise.race([
+      network.then((response) => (response.ok ? response : cached)).catch(() => cached),
+      sleep(NETWORK_TIMEOUT_MS).then(() => cached),
+    ]);
+  });
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/") || url.pathname.startsWith("/socket.io/")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(openPage(event));
+  } else if (url.pathname.startsWith("/assets/") || STATIC_FILES.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
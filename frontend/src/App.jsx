@@ -1,126 +1,724 @@
 /**
- * App.jsx — Root component. Manages which view to show based on
- * application state: JoinPage → StudentView or TeacherView.
+ * App.jsx — Root component. Maps URLs to views and turns socket events
+ * into navigation:
  *
- * State is driven by socket events rather than URL routing, since
- * sessions are ephemeral and don't survive page refresh.
- * TODO: Could add React Router with /session/:code/:role routes
- * and sessionStorage persistence for reconnection support.
+ *   /                     JoinPage
+ *   /join/:code           joins the session, then StudentView (QR code target);
+ *                         asks for a passcode / student ID / name first if
+ *                         the session needs them (JoinDetailsForm)
+ *   /teach/:code          resumes the teacher's session, then TeacherView
+ *   /teach/:code/summary  SummaryView with the post-session report
+ *   /teach/:code/ended    shown to co-instructors when the session is over
+ *   /display/:code        read-only projector display, DisplayView (no header)
+ *   /courses              the instructor's courses, CourseListPage
+ *   /courses/:id          course dashboard comparing its lectures, CourseView
+ *   /c/:id                a course's join link: sends students to its running lecture
+ *   /ended?reason=...     shown to students when the session is over
+ *
+ * A teacher's session code and token are kept in sessionStorage, so
+ * /teach/:code reclaims the dashboard with "resumeSession" after a refresh
+ * or reconnect. /teach/:code?token=... stores a token first, which opens
+ * the dashboard for sessions created over the REST API and, with the staff
+ * token, is the link that invites co-instructors. Students are put back
+ * into their session by the server, which recognises their participant id
+ * (see SocketContext.jsx).
+ *
+ * The projector display link (/display/:code?token=...) works the same way
+ * with the session's display token, kept by displaySession.js, and attaches
+ * with "joinDisplay" instead. Course dashboards keep their course token in
+ * localStorage (see savedCourses.js); /courses/:id?token=... stores it.
+ *
+ * The header's colour picker switches the palette feedback levels are drawn
+ * in, e.g. for colour-blind viewers (see PaletteContext.jsx), and its
+ * language picker the UI's language (see LocaleContext.jsx). Errors are kept
+ * as the server sent them ({ errorCode, params?, message }, see
+ * backend/errors.js) and translated when shown, so they follow the picker.
  */
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
+import {
+  Routes,
+  Route,
+  Link,
+  Navigate,
+  useNavigate,
+  useLocation,
+  useParams,
+  useSearchParams,
+} from "react-router-dom";
 import { useSocket } from "./SocketContext.jsx";
+import { usePalette } from "./PaletteContext.jsx";
+import { useLocale } from "./LocaleContext.jsx";
+import { PALETTES } from "./feedbackLevels.js";
+import { LOCALES } from "./i18n/index.js";
 import JoinPage from "./components/JoinPage.jsx";
 import StudentView from "./components/StudentView.jsx";
 import TeacherView from "./components/TeacherView.jsx";
+import SummaryView from "./components/SummaryView.jsx";
+import SessionEndedPage from "./components/SessionEndedPage.jsx";
+import DisplayView from "./components/DisplayView.jsx";
+import JoinDetailsForm from "./components/JoinDetailsForm.jsx";
+import CourseListPage from "./components/CourseListPage.jsx";
+import CourseView from "./components/CourseView.jsx";
+import {
+  saveTeacherSession,
+  loadTeacherSession,
+  clearTeacherSession,
+  loadStaffName,
+} from "./teacherSession.js";
+import { saveDisplaySession, loadDisplaySession } from "./displaySession.js";
+import { saveCourse, loadCourse } from "./savedCourses.js";
+import { rememberSession, rememberCourse } from "./recentJoins.js";
+
+const JOIN_PATH = /^\/join\/([^/]+)/;
+const DISPLAY_PATH = /^\/display\//;
 
 export default function App() {
-  // "join" | "student" | "teacher"
-  const [view, setView] = useState("join");
-  const [sessionCode, setSessionCode] = useState("");
-  const [error, setError] = useState("");
+  // Session the server last confirmed this student is in
+  const [joined, setJoined] = useState(null); // { code, level, stale, scale, visibility }
+  // Join details the session in the URL asked for:
+  // { code, failure, requirements, retry } (retry: the student's details were rejected)
+  const [joinRequest, setJoinRequest] = useState(null);
+  // Scale, aggregate + history handed to TeacherView when (re)attaching to a session
+  const [teacherSnapshot, setTeacherSnapshot] = useState(null);
+  // Scale, aggregate, history + display settings for the projector display
+  const [displaySnapshot, setDisplaySnapshot] = useState(null);
+  const [report, setReport] = useState(null);
+  // Last refusal to show: { errorCode, params?, message? }
+  const [error, setError] = useState(null);
 
   const socket = useSocket();
+  const { t, translateError } = useLocale();
+  const navigate = useNavigate();
+  const location = useLocation();
 
   // ── Socket event listeners ─────────────────────────────────────────────────
   useEffect(() => {
     // Teacher: session created successfully
-    function onSessionCreated({ code }) {
-      setSessionCode(code);
-      setView("teacher");
-      setError("");
+    function onSessionCreated({ code, teacherToken }) {
+      saveTeacherSession(code, teacherToken);
+      setError(null);
+      navigate(`/teach/${code}`);
+    }
+
+    // Teacher: dashboard attached to the session (also after reconnects)
+    function onSessionResumed(snapshot) {
+      setTeacherSnapshot(snapshot);
+      setError(null);
+    }
+
+    // Teacher: stored session no longer exists (or token was rejected)
+    function onResumeError(failure) {
+      clearTeacherSession();
+      setError(failure);
+      navigate("/", { replace: true });
+    }
+
+    // Teacher: a teacher-only action was rejected
+    function onTeacherError(failure) {
+      setError(failure);
+    }
+
+    // Display: attached to the session (also after reconnects)
+    function onDisplayJoined(snapshot) {
+      setDisplaySnapshot(snapshot);
+    }
+
+    // Display: the link's token was rejected, or the session is gone
+    function onDisplayError(failure) {
+      setError(failure);
+      navigate("/", { replace: true });
+    }
+
+    // Student: joined session successfully. Also sent by the server on
+    // reconnect when it recognises our participant id, and again when
+    // StudentRoute rejoins.
+    function onJoinedSession({ code, level, stale, scale, visibility }) {
+      setJoined({ code, level, stale, scale, visibility });
+      rememberSession(code);
+      setJoinRequest(null);
+      setError(null);
+      if (JOIN_PATH.exec(window.location.pathname)?.[1]?.toUpperCase() !== code) {
+        navigate(`/join/${code}`);
+      }
+    }
+
+    // Student: join failed (bad code, etc.). If the session wants a
+    // passcode, student ID or name, stay and ask for them instead.
+    function onJoinError({ requirements, ...failure }) {
+      const code = JOIN_PATH.exec(window.location.pathname)?.[1]?.toUpperCase();
+      if (requirements && code) {
+        setJoinRequest((prev) => ({
+          code,
+          failure,
+          requirements,
+          retry: prev?.code === code,
+        }));
+        return;
+      }
+      setError(failure);
+      navigate("/", { replace: true });
     }
 
-    // Student: joined session successfully
-    function onJoinedSession({ code }) {
-      setSessionCode(code);
-      setView("student");
-      setError("");
+    // Teacher: session ended, show the final report
+    function onSessionReport({ report }) {
+      setReport(report);
+      navigate(`/teach/${report.code}/summary`, { replace: true });
     }
 
-    // Student: join failed (bad code, etc.)
-    function onJoinError({ message }) {
-      setError(message);
+    // Co-instructor: session ended; the report goes to the owner only
+    function onStaffSessionEnded({ code, reason }) {
+      clearTeacherSession();
+      setTeacherSnapshot(null);
+      navigate(`/teach/${code}/ended?reason=${encodeURIComponent(reason || "ended")}`, {
+        replace: true,
+      });
     }
 
-    // Session ended by teacher
-    function onSessionEnded() {
-      setView("join");
-      setSessionCode("");
-      setError("Session has ended.");
+    // Student: session ended by the teacher or expired on the server
+    function onSessionEnded({ reason } = {}) {
+      setJoined(null);
+      navigate(`/ended?reason=${encodeURIComponent(reason || "ended")}`, {
+        replace: true,
+      });
     }
 
     socket.on("sessionCreated", onSessionCreated);
+    socket.on("sessionResumed", onSessionResumed);
+    socket.on("resumeError", onResumeError);
+    socket.on("teacherError", onTeacherError);
+    socket.on("displayJoined", onDisplayJoined);
+    socket.on("displayError", onDisplayError);
     socket.on("joinedSession", onJoinedSession);
     socket.on("joinError", onJoinError);
+    socket.on("sessionReport", onSessionReport);
+    socket.on("staffSessionEnded", onStaffSessionEnded);
     socket.on("sessionEnded", onSessionEnded);
 
     return () => {
       socket.off("sessionCreated", onSessionCreated);
+      socket.off("sessionResumed", onSessionResumed);
+      socket.off("resumeError", onResumeError);
+      socket.off("teacherError", onTeacherError);
+      socket.off("displayJoined", onDisplayJoined);
+      socket.off("displayError", onDisplayError);
       socket.off("joinedSession", onJoinedSession);
       socket.off("joinError", onJoinError);
+      socket.off("sessionReport", onSessionReport);
+      socket.off("staffSessionEnded", onStaffSessionEnded);
       socket.off("sessionEnded", onSessionEnded);
     };
-  }, [socket]);
+  }, [socket, navigate]);
+
+  // ── Leaving a student session ──────────────────────────────────────────────
+  // Navigating away from /join/:code (Leave button, browser back) leaves the
+  // session for good; a refresh never gets here, so the student is rejoined.
+  const studentPathRef = useRef(null);
+  useEffect(() => {
+    const code = JOIN_PATH.exec(location.pathname)?.[1]?.toUpperCase();
+    if (studentPathRef.current && studentPathRef.current !== code) {
+      socket.emit("leaveSession");
+      setJoined(null);
+      setJoinRequest(null);
+    }
+    studentPathRef.current = code || null;
+  }, [location.pathname, socket]);
 
   // ── Actions exposed to child components ────────────────────────────────────
-  const handleStartSession = useCallback(() => {
-    setError("");
-    socket.emit("createSession");
-  }, [socket]);
+  // scale: preset id or custom scale; omitted for the server's default.
+  // access: passcode / roster / names, see AccessOptions; omitted for an
+  // open, anonymous session.
+  const handleStartSession = useCallback(
+    (scale, access) => {
+      setError(null);
+      socket.emit("createSession", { scale, access });
+    },
+    [socket]
+  );
+
+  // Next lecture of a saved course; the session gets the course's scale
+  const handleStartLecture = useCallback(
+    (courseId, title) => {
+      setError(null);
+      const { courseToken } = loadCourse(courseId);
+      socket.emit("createSession", { course: { id: courseId, courseToken, title } });
+    },
+    [socket]
+  );
 
   const handleJoinSession = useCallback(
     (code) => {
-      setError("");
-      socket.emit("joinSession", { code: code.toUpperCase().trim() });
+      setError(null);
+      navigate(`/join/${code.toUpperCase().trim()}`);
+    },
+    [navigate]
+  );
+
+  const handleEndSession = useCallback(
+    (code) => {
+      // Navigation to the summary happens once "sessionReport" arrives
+      const saved = loadTeacherSession();
+      socket.emit("endSession", { code, teacherToken: saved?.teacherToken });
     },
     [socket]
   );
 
-  const handleEndSession = useCallback(() => {
-    socket.emit("endSession", { code: sessionCode });
-    setView("join");
-    setSessionCode("");
-  }, [socket, sessionCode]);
-
-  const handleLeave = useCallback(() => {
-    // Student leaves — just reset local state. The server handles
-    // cleanup via the disconnect event when socket reconnects or
-    // we can explicitly leave the room.
-    setView("join");
-    setSessionCode("");
+  // Lectures go back to their course's dashboard, if this browser has it
+  const handleSummaryDone = useCallback(
+    (course) => {
+      clearTeacherSession();
+      setReport(null);
+      navigate(course && loadCourse(course.id) ? `/courses/${course.id}` : "/");
+    },
+    [navigate]
+  );
+
+  const handleLeave = useCallback(() => navigate("/"), [navigate]);
+
+  const handleNoAccess = useCallback(() => {
+    setError({ errorCode: "notInstructor" });
+  }, []);
+
+  const handleNoCourseAccess = useCallback(() => {
+    setError({ errorCode: "openCourseFirst" });
+  }, []);
+
+  const handleNoDisplayAccess = useCallback(() => {
+    setError({ errorCode: "openDisplayFromDashboard" });
   }, []);
 
   // ── Render ─────────────────────────────────────────────────────────────────
+  // The projector display gets the whole screen
+  const isDisplay = DISPLAY_PATH.test(location.pathname);
+  const errorText = error ? translateError(error) : "";
+
   return (
-    <div className="app">
-      <header className="app-header">
-        <h1>Lecture Feedback</h1>
-      </header>
+    <div className={isDisplay ? "app app-display" : "app"}>
+      {!isDisplay && (
+        <header className="app-header">
+          <h1>{t("app.title")}</h1>
+          <div className="header-pickers">
+            <LanguagePicker />
+            <PalettePicker />
+          </div>
+        </header>
+      )}
 
       <main className="app-main">
-        {view === "join" && (
-          <JoinPage
-            onStart={handleStartSession}
-            onJoin={handleJoinSession}
-            error={error}
+        <Routes>
+          <Route
+            path="/"
+            element={
+              <JoinPage
+                onStart={handleStartSession}
+                onJoin={handleJoinSession}
+                error={errorText}
+              />
+            }
           />
-        )}
-
-        {view === "student" && (
-          <StudentView
-            sessionCode={sessionCode}
-            onLeave={handleLeave}
+          <Route
+            path="/join/:code"
+            element={
+              <StudentRoute
+                joined={joined}
+                joinRequest={joinRequest}
+                onLeave={handleLeave}
+              />
+            }
           />
-        )}
-
-        {view === "teacher" && (
-          <TeacherView
-            sessionCode={sessionCode}
-            onEnd={handleEndSession}
+          <Route
+            path="/teach/:code"
+            element={
+              <TeacherRoute
+                snapshot={teacherSnapshot}
+                error={errorText}
+                onEnd={handleEndSession}
+                onNoAccess={handleNoAccess}
+              />
+            }
           />
-        )}
+          <Route
+            path="/teach/:code/summary"
+            element={
+              <SummaryRoute
+                report={report}
+                onDone={handleSummaryDone}
+                onNoAccess={handleNoAccess}
+              />
+            }
+          />
+          <Route path="/teach/:code/ended" element={<SessionEndedPage staff />} />
+          <Route
+            path="/display/:code"
+            element={
+              <DisplayRoute
+                snapshot={displaySnapshot}
+                onNoAccess={handleNoDisplayAccess}
+              />
+            }
+          />
+          <Route path="/courses" element={<CourseListPage />} />
+          <Route
+            path="/courses/:id"
+            element={
+              <CourseRoute
+                error={errorText}
+                onStartLecture={handleStartLecture}
+                onNoAccess={handleNoCourseAccess}
+              />
+            }
+          />
+          <Route path="/c/:id" element={<CourseJoinRoute />} />
+          <Route path="/ended" element={<SessionEndedPage />} />
+          <Route path="*" element={<Navigate to="/" replace />} />
+        </Routes>
       </main>
     </div>
   );
 }
+
+// Colours the feedback levels are shown in, for this browser
+function PalettePicker() {
+  const { palette, setPalette } = usePalette();
+  const { t } = useLocale();
+
+  return (
+    <select
+      className="header-picker"
+      value={palette}
+      onChange={(e) => setPalette(e.target.value)}
+      aria-label={t("app.colours")}
+    >
+      {PALETTES.map((id) => (
+        <option key={id} value={id}>
+          {t(`app.palettes.${id}`)}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// The UI's language, for this browser; each language is named in itself
+function LanguagePicker() {
+  const { locale, setLocale, t } = useLocale();
+
+  return (
+    <select
+      className="header-picker"
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t("app.language")}
+    >
+      {LOCALES.map(({ id, label }) => (
+        <option key={id} value={id} lang={id}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// ── Route wrappers ───────────────────────────────────────────────────────────
+
+// Joins the session in the URL, asking for the join details first if the
+// session needs them; renders StudentView once the server confirms. Joins
+// again after every reconnect, with the details given: the server only puts
+// students back by itself within its grace period (DISCONNECT_GRACE_MS).
+function StudentRoute({ joined, joinRequest, onLeave }) {
+  const socket = useSocket();
+  const { t, translateError } = useLocale();
+  const code = useParams().code.toUpperCase();
+  const detailsRef = useRef({}); // passcode, student ID, name
+
+  useEffect(() => {
+    detailsRef.current = {};
+
+    function join() {
+      socket.emit("joinSession", { code, ...detailsRef.current });
+    }
+
+    socket.on("connect", join);
+    if (socket.connected) join();
+    return () => socket.off("connect", join);
+  }, [socket, code]);
+
+  function submitDetails(details) {
+    detailsRef.current = details;
+    socket.emit("joinSession", { code, ...details });
+  }
+
+  if (joined?.code !== code && joinRequest?.code === code) {
+    // The first attempt only finds out what's needed: no error for that
+    return (
+      <JoinDetailsForm
+        sessionCode={code}
+        requirements={joinRequest.requirements}
+        message={joinRequest.retry ? translateError(joinRequest.failure) : ""}
+        onSubmit={submitDetails}
+        onCancel={onLeave}
+      />
+    );
+  }
+
+  if (joined?.code !== code) {
+    return <p className="waiting-message">{t("app.joiningSession", { code })}</p>;
+  }
+
+  return (
+    <StudentView
+      key={code}
+      sessionCode={code}
+      scale={joined.scale}
+      initialLevel={joined.level}
+      initialStale={joined.stale}
+      visibility={joined.visibility}
+      onLeave={onLeave}
+    />
+  );
+}
+
+// Reclaims the session in the URL with the token stored for it, on mount and
+// after every reconnect; renders TeacherView once the server confirms.
+function TeacherRoute({ snapshot, error, onEnd, onNoAccess }) {
+  const socket = useSocket();
+  const { t } = useLocale();
+  const code = useParams().code.toUpperCase();
+  const urlToken = useSearchParams()[0].get("token");
+  if (urlToken) saveTeacherSession(code, urlToken);
+  const saved = loadTeacherSession();
+  const hasAccess = saved?.code === code;
+
+  useEffect(() => {
+    if (!hasAccess) {
+      onNoAccess();
+      return;
+    }
+
+    function resume() {
+      socket.emit("resumeSession", {
+        ...loadTeacherSession(),
+        name: loadStaffName() ?? undefined,
+      });
+    }
+
+    socket.on("connect", resume);
+    if (socket.connected) resume();
+    return () => socket.off("connect", resume);
+  }, [socket, hasAccess, onNoAccess]);
+
+  if (!hasAccess) return <Navigate to="/" replace />;
+
+  // Keep the token out of the address bar (and history) once stored
+  if (urlToken) return <Navigate to={`/teach/${code}`} replace />;
+
+  if (snapshot?.code !== code) {
+    return <p className="waiting-message">{t("app.loadingSession", { code })}</p>;
+  }
+
+  return (
+    <TeacherView
+      key={code}
+      sessionCode={code}
+      teacherToken={saved.teacherToken}
+      snapshot={snapshot}
+      error={error}
+      onEnd={() => onEnd(code)}
+    />
+  );
+}
+
+// Attaches a projector display to the session in the URL with the display
+// token stored for it, on mount and after every reconnect; renders
+// DisplayView once the server confirms.
+function DisplayRoute({ snapshot, onNoAccess }) {
+  const socket = useSocket();
+  const { t } = useLocale();
+  const code = useParams().code.toUpperCase();
+  const urlToken = useSearchParams()[0].get("token");
+  if (urlToken) saveDisplaySession(code, urlToken);
+  const saved = loadDisplaySession();
+  const hasAccess = saved?.code === code;
+
+  useEffect(() => {
+    if (!hasAccess) {
+      onNoAccess();
+      return;
+    }
+
+    function attach() {
+      const { displayToken } = loadDisplaySession();
+      socket.emit("joinDisplay", { code, displayToken });
+    }
+
+    socket.on("connect", attach);
+    if (socket.connected) attach();
+    return () => socket.off("connect", attach);
+  }, [socket, code, hasAccess, onNoAccess]);
+
+  if (!hasAccess) return <Navigate to="/" replace />;
+
+  // The address bar is on the projector: keep the token out of it
+  if (urlToken) return <Navigate to={`/display/${code}`} replace />;
+
+  if (snapshot?.code !== code) {
+    return <p className="waiting-message">{t("app.loadingDisplay", { code })}</p>;
+  }
+
+  return <DisplayView key={code} sessionCode={code} snapshot={snapshot} />;
+}
+
+// Fetches the dashboard of a course saved in this browser (the token in a
+// dashboard link is saved first) and renders CourseView.
+function CourseRoute({ error, onStartLecture, onNoAccess }) {
+  const id = useParams().id.toLowerCase();
+  const urlToken = useSearchParams()[0].get("token");
+  if (urlToken && loadCourse(id)?.courseToken !== urlToken) {
+    saveCourse({ id, courseToken: urlToken });
+  }
+  const courseToken = loadCourse(id)?.courseToken;
+  const { t, translateError } = useLocale();
+  const [course, setCourse] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  const refresh = useCallback(() => {
+    fetch(`/api/courses/${id}`, { headers: { Authorization: `Bearer ${courseToken}` } })
+      .then((res) => res.json().then((data) => ({ ok: res.ok, data })))
+      .then(({ ok, data }) => {
+        if (!ok) {
+          setLoadError(data);
+          return;
+        }
+        setCourse(data);
+        saveCourse({ id, name: data.name, courseToken });
+      })
+      .catch(() => setLoadError({ errorCode: "courseLoadFailed" }));
+  }, [id, courseToken]);
+
+  useEffect(() => {
+    if (!courseToken) {
+      onNoAccess();
+      return;
+    }
+    refresh();
+  }, [courseToken, refresh, onNoAccess]);
+
+  if (!courseToken) return <Navigate to="/" replace />;
+
+  // Keep the token out of the address bar (and history) once stored
+  if (urlToken) return <Navigate to={`/courses/${id}`} replace />;
+
+  if (!course) {
+    return (
+      <p className="waiting-message">
+        {loadError ? translateError(loadError) : t("app.loadingCourse")}
+      </p>
+    );
+  }
+
+  return (
+    <>
+      <CourseView
+        course={course}
+        onStartLecture={(title) => onStartLecture(id, title)}
+        onRefresh={refresh}
+      />
+      {error && <p className="error-message">{error}</p>}
+    </>
+  );
+}
+
+// A course's stable join link: looks up the lecture running now and joins it.
+function CourseJoinRoute() {
+  const id = useParams().id.toLowerCase();
+  const { t, translateError } = useLocale();
+  const [lookup, setLookup] = useState(null); // { code } or { failure }
+
+  const find = useCallback(() => {
+    setLookup(null);
+    fetch(`/api/courses/${id}/active`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (!data.code) {
+          setLookup({ failure: data });
+          return;
+        }
+        rememberCourse(data.course);
+        setLookup({ code: data.code });
+      })
+      .catch(() => setLookup({ failure: { errorCode: "serverUnreachable" } }));
+  }, [id]);
+
+  useEffect(find, [find]);
+
+  if (lookup?.code) return <Navigate to={`/join/${lookup.code}`} replace />;
+
+  if (!lookup) return <p className="waiting-message">{t("app.findingLecture")}</p>;
+
+  return (
+    <div className="course-waiting">
+      <p className="waiting-message">{translateError(lookup.failure)}</p>
+      <button className="btn btn-secondary" onClick={find}>
+        {t("app.tryAgain")}
+      </button>
+    </div>
+  );
+}
+
+// Shows the report just received over the socket, or fetches it again
+// (e.g. after a refresh) with the token stored for this session.
+function SummaryRoute({ report, onDone, onNoAccess }) {
+  const code = useParams().code.toUpperCase();
+  const saved = loadTeacherSession();
+  const hasAccess = saved?.code === code;
+  const teacherToken = saved?.teacherToken;
+  const { t, translateError } = useLocale();
+  const [fetched, setFetched] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const current = report?.code === code ? report : fetched;
+
+  useEffect(() => {
+    if (!hasAccess) {
+      onNoAccess();
+      return;
+    }
+    if (current) return;
+
+    fetch(`/api/sessions/${code}/report`, {
+      headers: { Authorization: `Bearer ${teacherToken}` },
+    })
+      .then((res) =>
+        res
+          .json()
+          .catch(() => ({ errorCode: "reportLoadFailed" }))
+          .then((data) => ({ ok: res.ok, data }))
+      )
+      .then(({ ok, data }) => (ok ? setFetched(data) : setLoadError(data)))
+      .catch(() => setLoadError({ errorCode: "serverUnreachable" }));
+  }, [code, hasAccess, teacherToken, current, onNoAccess]);
+
+  if (!hasAccess) return <Navigate to="/" replace />;
+
+  // Unknown, expired (reports are kept for a day) or not ours
+  if (!current && loadError) {
+    return (
+      <div className="course-waiting">
+        <p className="waiting-message">{translateError(loadError)}</p>
+        <Link className="btn btn-secondary" to="/">
+          {t("app.backToStart")}
+        </Link>
+      </div>
+    );
+  }
+
+  if (!current) {
+    return <p className="waiting-message">{t("app.loadingReport")}</p>;
+  }
+
+  return (
+    <SummaryView
+      report={current}
+      teacherToken={teacherToken}
+      onDone={() => onDone(current.course)}
+    />
+  );
+}
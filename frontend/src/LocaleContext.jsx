@@ -0,0 +1,97 @@
+/**
+ * LocaleContext.jsx — The language this browser shows the UI in: the
+ * browser's preferred language if there's a catalogue for it (see
+ * i18n/index.js), until the user picks another in the header.
+ *
+ * Usage in any component:
+ *   const { t, translateError } = useLocale();
+ *   t("student.leave")                       // "Leave Session"
+ *   t("app.joiningSession", { code })        // "Joining session ABC123..."
+ *   t("polls.answers", { count: 1 })         // "1 answer" (plural forms)
+ *   translateError(failure)                  // a server refusal, translated
+ *   scaleLabel("Got it")                     // a preset scale's text, translated
+ *   pollOption(poll.type, option)            // "Yes" / "No" translated
+ *   const scale = useLocaleScale(scale);     // preset labels translated
+ *
+ * The choice is kept in localStorage and mirrored to <html lang="...">, so
+ * screen readers pronounce the text in the right language.
+ */
+
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import {
+  detectLocale,
+  isLocale,
+  translate,
+  translateError,
+  translateScaleLabel,
+  translatePollOption,
+} from "./i18n/index.js";
+
+const STORAGE_KEY = "lectureFeedback.locale";
+
+function loadLocale() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return isLocale(saved) ? saved : detectLocale();
+  } catch {
+    return detectLocale();
+  }
+}
+
+const LocaleContext = createContext(null);
+
+export function LocaleProvider({ children }) {
+  const [locale, setLocaleState] = useState(loadLocale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // Only a manual choice is saved, so the detected language keeps following
+  // the browser's settings
+  function setLocale(next) {
+    setLocaleState(next);
+    try {
+      localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+      // Preference just won't survive a refresh
+    }
+  }
+
+  const value = useMemo(
+    () => ({
+      locale,
+      setLocale,
+      t: (key, params) => translate(locale, key, params),
+      translateError: (failure) => translateError(locale, failure),
+      scaleLabel: (text) => translateScaleLabel(locale, text),
+      pollOption: (type, option) => translatePollOption(locale, type, option),
+    }),
+    [locale]
+  );
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+}
+
+export function useLocale() {
+  const value = useContext(LocaleContext);
+  if (!value) {
+    throw new Error("useLocale must be used within a LocaleProvider");
+  }
+  return value;
+}
+
+/** The scale with its preset name and level labels in the chosen language. */
+export function useLocaleScale(scale) {
+  const { locale } = useLocale();
+  return useMemo(
+    () => ({
+      ...scale,
+      name: translateScaleLabel(locale, scale.name),
+      levels: scale.levels.map((level) => ({
+        ...level,
+        label: translateScaleLabel(locale, level.label),
+      })),
+    }),
+    [scale, locale]
+  );
+}
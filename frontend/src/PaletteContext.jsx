@@ -0,0 +1,58 @@
+/**
+ * PaletteContext.jsx — The colour palette this browser shows feedback
+ * levels in: the scale's own colours, a colour-blind-safe palette or a
+ * high-contrast one (see PALETTES in feedbackLevels.js).
+ *
+ * Usage in any component:
+ *   const scale = usePaletteScale(snapshot.scale);   // colours swapped
+ *   const { palette, setPalette } = usePalette();   // the picker
+ *
+ * The choice is kept in localStorage and mirrored to
+ * <html data-palette="...">, which the high-contrast styles key off.
+ */
+
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { PALETTES, applyPalette } from "./feedbackLevels.js";
+
+const STORAGE_KEY = "lectureFeedback.palette";
+
+function loadPalette() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return PALETTES.includes(saved) ? saved : "standard";
+  } catch {
+    return "standard";
+  }
+}
+
+const PaletteContext = createContext(null);
+
+export function PaletteProvider({ children }) {
+  const [palette, setPalette] = useState(loadPalette);
+
+  useEffect(() => {
+    document.documentElement.dataset.palette = palette;
+    try {
+      localStorage.setItem(STORAGE_KEY, palette);
+    } catch {
+      // Preference just won't survive a refresh
+    }
+  }, [palette]);
+
+  const value = useMemo(() => ({ palette, setPalette }), [palette]);
+  return <PaletteContext.Provider value={value}>{children}</PaletteContext.Provider>;
+}
+
+export function usePalette() {
+  const value = useContext(PaletteContext);
+  if (!value) {
+    throw new Error("usePalette must be used within a PaletteProvider");
+  }
+  return value;
+}
+
+/** The scale in the chosen palette's colours. */
+export function usePaletteScale(scale) {
+  const { palette } = usePalette();
+  return useMemo(() => applyPalette(scale, palette), [scale, palette]);
+}
@@ -5,6 +5,7 @@
  * Usage in any component:
  *   const socket = useSocket();
  *   socket.emit("feedback", { code, level: "confused" });
+ *   const { status, retry } = useConnection();   // see below
  *
  * IMPORTANT: The socket is created as a module-level singleton outside of
  * React's render cycle. This avoids a React StrictMode bug where:
@@ -13,9 +14,19 @@
  *   3. StrictMode re-mounts → useRef.current is still set (truthy)
  *      so no new socket is created, but the old one is disconnected
  * By creating the socket at module scope, it's immune to mount/unmount cycles.
+ *
+ * Every socket carries a stable anonymous participant id in its handshake
+ * (`auth.participantId`). It lives in localStorage, so after a Wi-Fi flap or
+ * page refresh the server recognises the student, puts them back into their
+ * session and restores their last feedback level.
+ *
+ * The connection status is "connected", "reconnecting" (the socket dropped
+ * and is trying again) or "offline" (the browser has no network, or the
+ * socket gave up after reconnectionAttempts). Coming back online, or
+ * retry(), starts reconnecting again.
  */
 
-import { createContext, useContext, useEffect } from "react";
+import { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
 import { io } from "socket.io-client";
 
 // ── Module-level singleton ───────────────────────────────────────────────────
@@ -25,7 +36,26 @@ import { io } from "socket.io-client";
 const SOCKET_URL =
   import.meta.env.MODE === "production" ? "" : "http://localhost:5000";
 
+const PARTICIPANT_ID_KEY = "lectureFeedback.participantId";
+
+// crypto.randomUUID is only available on https/localhost, and students often
+// open the app over plain http on the lecture-hall network.
+function generateParticipantId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function loadParticipantId() {
+  let id = localStorage.getItem(PARTICIPANT_ID_KEY);
+  if (!id) {
+    id = generateParticipantId();
+    localStorage.setItem(PARTICIPANT_ID_KEY, id);
+  }
+  return id;
+}
+
 const socket = io(SOCKET_URL, {
+  auth: { participantId: loadParticipantId() },
   autoConnect: true,
   reconnection: true,
   reconnectionAttempts: 10,
@@ -34,6 +64,7 @@ const socket = io(SOCKET_URL, {
 
 // ── Context ──────────────────────────────────────────────────────────────────
 const SocketContext = createContext(null);
+const ConnectionContext = createContext(null);
 
 export function SocketProvider({ children }) {
   // We intentionally do NOT disconnect on unmount — the singleton lives
@@ -42,26 +73,75 @@ export function SocketProvider({ children }) {
   //   - The socket auto-reconnects if the server restarts
   //   - On page unload the browser closes the connection automatically
 
+  const gaveUpRef = useRef(false);
+  const [status, setStatus] = useState(currentStatus);
+
+  function currentStatus() {
+    if (!navigator.onLine) return "offline";
+    if (socket.connected) return "connected";
+    return gaveUpRef.current ? "offline" : "reconnecting";
+  }
+
   useEffect(() => {
-    // Optional: log connection status for debugging
+    const update = () => setStatus(currentStatus());
+
     function onConnect() {
       console.log("[socket] connected:", socket.id);
+      gaveUpRef.current = false;
+      update();
     }
     function onDisconnect(reason) {
       console.log("[socket] disconnected:", reason);
+      update();
+    }
+    function onReconnectFailed() {
+      gaveUpRef.current = true;
+      update();
+    }
+    // The socket only notices a dead network after its ping timeout, and
+    // doesn't retry by itself once it has given up
+    function onOnline() {
+      if (gaveUpRef.current) {
+        gaveUpRef.current = false;
+        socket.connect();
+      }
+      update();
     }
 
     socket.on("connect", onConnect);
     socket.on("disconnect", onDisconnect);
+    socket.io.on("reconnect_attempt", update);
+    socket.io.on("reconnect_failed", onReconnectFailed);
+    window.addEventListener("online", onOnline);
+    window.addEventListener("offline", update);
+    update();
 
     return () => {
       socket.off("connect", onConnect);
       socket.off("disconnect", onDisconnect);
+      socket.io.off("reconnect_attempt", update);
+      socket.io.off("reconnect_failed", onReconnectFailed);
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", update);
     };
   }, []);
 
+  const connection = useMemo(
+    () => ({
+      status,
+      retry() {
+        gaveUpRef.current = false;
+        setStatus(currentStatus());
+        socket.connect();
+      },
+    }),
+    [status]
+  );
+
   return (
-    <SocketContext.Provider value={socket}>{children}</SocketContext.Provider>
+    <SocketContext.Provider value={socket}>
+      <ConnectionContext.Provider value={connection}>{children}</ConnectionContext.Provider>
+    </SocketContext.Provider>
   );
 }
 
@@ -72,3 +152,12 @@ export function useSocket() {
   }
   return s;
 }
+
+/** { status: "connected" | "reconnecting" | "offline", retry() } */
+export function useConnection() {
+  const value = useContext(ConnectionContext);
+  if (!value) {
+    throw new Error("useConnection must be used within a SocketProvider");
+  }
+  return value;
+}
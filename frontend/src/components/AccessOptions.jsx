@@ -0,0 +1,114 @@
+/**
+ * AccessOptions.jsx — Who may join a new session, chosen on JoinPage:
+ *   - An optional passcode students type in when joining
+ *   - An optional class roster (CSV of student IDs or emails, first column)
+ *     that restricts joining to the students on it
+ *   - Asking students for their name
+ *   - Letting staff see each identified student's level (off by default)
+ *
+ * Controlled: `options` is { passcode, roster, rosterFile, askName,
+ * showIndividual }, changed through `onChange`. Sessions stay anonymous and
+ * open unless something is set here; see buildAccess and backend/access.js.
+ */
+
+import { useState } from "react";
+import { useLocale } from "../LocaleContext.jsx";
+
+export const DEFAULT_ACCESS_OPTIONS = {
+  passcode: "",
+  roster: null, // CSV text
+  rosterFile: "",
+  askName: false,
+  showIndividual: false,
+};
+
+/** The `access` sent with "createSession", or undefined for the default. */
+export function buildAccess(options) {
+  const { passcode, roster, askName, showIndividual } = options;
+  if (!passcode.trim() && !roster && !askName) return undefined;
+  return {
+    passcode: passcode.trim() || undefined,
+    roster: roster || undefined,
+    askName,
+    showIndividual: showIndividual && Boolean(roster || askName),
+  };
+}
+
+export default function AccessOptions({ options, onChange }) {
+  const { t, translateError } = useLocale();
+  const [fileError, setFileError] = useState(null);
+  const identifies = Boolean(options.roster) || options.askName;
+
+  function update(changes) {
+    onChange({ ...options, ...changes });
+  }
+
+  function handleRosterFile(e) {
+    const file = e.target.files[0];
+    setFileError(null);
+    if (!file) {
+      update({ roster: null, rosterFile: "" });
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => update({ roster: reader.result, rosterFile: file.name });
+    reader.onerror = () => setFileError({ errorCode: "rosterUnreadable" });
+    reader.readAsText(file);
+  }
+
+  return (
+    <details className="access-options">
+      <summary>{t("access.heading")}</summary>
+
+      <label>
+        {t("access.passcode")}{" "}
+        <input
+          type="text"
+          value={options.passcode}
+          onChange={(e) => update({ passcode: e.target.value })}
+          placeholder={t("access.passcodePlaceholder")}
+          maxLength={32}
+          autoComplete="off"
+        />
+      </label>
+
+      <label>
+        {t("access.roster")}{" "}
+        <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleRosterFile} />
+      </label>
+      <p className="access-hint">
+        {options.rosterFile
+          ? t("access.rosterOnly", { file: options.rosterFile })
+          : t("access.rosterHint")}
+      </p>
+      {fileError && <p className="error-message">{translateError(fileError)}</p>}
+
+      <label className="access-check">
+        <input
+          type="checkbox"
+          checked={options.askName}
+          onChange={(e) => update({ askName: e.target.checked })}
+        />
+        {t("access.askName")}
+      </label>
+
+      <label className="access-check">
+        <input
+          type="checkbox"
+          checked={options.showIndividual && identifies}
+          disabled={!identifies}
+          onChange={(e) => update({ showIndividual: e.target.checked })}
+        />
+        {t("access.showIndividual")}
+      </label>
+      <p className="access-hint">
+        {identifies
+          ? options.showIndividual
+            ? t("access.individualHint")
+            : t("access.attendanceHint")
+          : t("access.anonymousHint")}
+      </p>
+    </details>
+  );
+}
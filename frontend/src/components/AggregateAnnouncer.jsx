@@ -0,0 +1,38 @@
+/**
+ * AggregateAnnouncer.jsx — Tells screen-reader users how the class is doing
+ * without reading out every click: a polite live region with the aggregate
+ * as text (see describeAggregate), updated at most once per
+ * ANNOUNCE_INTERVAL_MS and only when the numbers changed. Not shown.
+ */
+
+import { useState, useEffect, useRef } from "react";
+import { useLocale } from "../LocaleContext.jsx";
+import { describeAggregate } from "../feedbackLevels.js";
+
+const ANNOUNCE_INTERVAL_MS = 30 * 1000;
+
+export default function AggregateAnnouncer({ scale, aggregate }) {
+  const { t } = useLocale();
+  const text = describeAggregate(scale, aggregate, t);
+  // Starts with the current numbers, which aren't announced on mount
+  const [announced, setAnnounced] = useState(text);
+  const lastAnnouncedAt = useRef(Date.now());
+
+  useEffect(() => {
+    if (text === announced) return;
+
+    // Waits out the interval, then reads the latest numbers
+    const delay = Math.max(0, lastAnnouncedAt.current + ANNOUNCE_INTERVAL_MS - Date.now());
+    const timer = setTimeout(() => {
+      lastAnnouncedAt.current = Date.now();
+      setAnnounced(text);
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [text, announced]);
+
+  return (
+    <div className="sr-only" aria-live="polite" aria-atomic="true">
+      {announced}
+    </div>
+  );
+}
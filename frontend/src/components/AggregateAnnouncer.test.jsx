@@ -0,0 +1,58 @@
+/**
+ * AggregateAnnouncer.test.jsx — The dashboard's polite live region: starts
+ * with the current numbers, then reads out the latest ones at most once per
+ * interval, in the dashboard's language.
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { act, screen } from "@testing-library/react";
+import AggregateAnnouncer from "./AggregateAnnouncer.jsx";
+import { useLocaleScale } from "../LocaleContext.jsx";
+import { renderWithProviders, SCALE } from "../test/render.jsx";
+
+const ANNOUNCE_INTERVAL_MS = 30 * 1000;
+
+function renderAnnouncer(aggregate) {
+  const view = renderWithProviders(<AggregateAnnouncer scale={SCALE} aggregate={aggregate} />);
+  return {
+    liveRegion: screen.getByText((_, element) => element.getAttribute("aria-live") === "polite"),
+    update: (next) =>
+      view.rerender(<AggregateAnnouncer scale={SCALE} aggregate={next} />),
+  };
+}
+
+describe("AggregateAnnouncer", () => {
+  it("is a polite, atomic live region with the aggregate as text", () => {
+    const { liveRegion } = renderAnnouncer({ gotit: 2, confused: 1, total: 3 });
+
+    expect(liveRegion).toHaveAttribute("aria-atomic", "true");
+    expect(liveRegion).toHaveTextContent("3 students: 2 Got it, 1 Confused.");
+  });
+
+  it("waits out the interval, then reads the latest numbers", () => {
+    vi.useFakeTimers();
+    const { liveRegion, update } = renderAnnouncer({ gotit: 2, total: 2 });
+
+    update({ gotit: 2, lost: 1, total: 3 });
+    update({ gotit: 1, lost: 2, stale: {}, staleTotal: 1, total: 3 });
+    act(() => vi.advanceTimersByTime(ANNOUNCE_INTERVAL_MS - 1000));
+    expect(liveRegion).toHaveTextContent("2 students: 2 Got it.");
+
+    act(() => vi.advanceTimersByTime(1000));
+    expect(liveRegion).toHaveTextContent(
+      "3 students: 1 Got it, 2 Lost, 1 without recent feedback."
+    );
+  });
+
+  it("speaks the dashboard's language", () => {
+    // As TeacherView passes it: preset labels in the dashboard's language
+    function DashboardAnnouncer({ aggregate }) {
+      return <AggregateAnnouncer scale={useLocaleScale(SCALE)} aggregate={aggregate} />;
+    }
+    renderWithProviders(<DashboardAnnouncer aggregate={{ gotit: 1, total: 1 }} />, {
+      locale: "de",
+    });
+
+    expect(screen.getByText("1 Person: 1 Verstanden.")).toHaveAttribute("aria-live", "polite");
+  });
+});
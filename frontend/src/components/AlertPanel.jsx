@@ -0,0 +1,244 @@
+/**
+ * AlertPanel.jsx — Confusion alerts on the teacher dashboard. The server's
+ * alert engine decides when to alert (see backend/alerts.js); this panel:
+ *   - Shows the latest alert as a banner until dismissed
+ *   - Snoozes alerts for a while, or resumes them
+ *   - Optionally beeps / vibrates when an alert arrives (per browser)
+ *   - Lists the alert history and edits the session's alert settings
+ *
+ * `view` is { settings, snoozedUntil, alerts } as sent in "alertsUpdate";
+ * TeacherView keeps it up to date. Only the owner edits the settings
+ * (`canEditSettings`); co-instructors dismiss and snooze. Listens for "alert"
+ * events itself to play the sound.
+ */
+
+import { useState, useEffect } from "react";
+import { useSocket } from "../SocketContext.jsx";
+import { useLocale } from "../LocaleContext.jsx";
+import { alertLevelsLabel } from "../feedbackLevels.js";
+
+const SOUND_KEY = "lectureFeedback.alertSound";
+const SNOOZE_OPTIONS = [5, 15, 30]; // minutes
+
+const formatPct = (share) => `${Math.round(share * 100)}%`;
+const formatTime = (t) =>
+  new Date(t).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+function loadSoundPreference() {
+  try {
+    return localStorage.getItem(SOUND_KEY) === "on";
+  } catch {
+    return false;
+  }
+}
+
+// Short two-tone beep, plus a vibration on devices that support it
+function playAlertSound() {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const ctx = new AudioContext();
+    [880, 660].forEach((frequency, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = frequency;
+      gain.gain.value = 0.15;
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(ctx.currentTime + i * 0.2);
+      osc.stop(ctx.currentTime + i * 0.2 + 0.15);
+    });
+    setTimeout(() => ctx.close(), 1000);
+  } catch {
+    // No audio available; the banner still shows
+  }
+  navigator.vibrate?.([200, 100, 200]);
+}
+
+function describeAlert(alert, scale, t) {
+  const levels = alertLevelsLabel(scale, ` ${t("alerts.or")} `);
+  if (alert.reason === "rise") {
+    const from = formatPct(alert.fromShare);
+    return t("alerts.rise", { levels, from, to: formatPct(alert.share) });
+  }
+  return t("alerts.share", { share: formatPct(alert.share), levels });
+}
+
+export default function AlertPanel({
+  sessionCode,
+  teacherToken,
+  scale,
+  view,
+  canEditSettings,
+}) {
+  const socket = useSocket();
+  const { t } = useLocale();
+  const [soundOn, setSoundOn] = useState(loadSoundPreference);
+  const [draft, setDraft] = useState(null); // settings form, while open
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    function onAlert() {
+      if (soundOn) playAlertSound();
+    }
+
+    socket.on("alert", onAlert);
+    return () => socket.off("alert", onAlert);
+  }, [socket, soundOn]);
+
+  // Re-render when a snooze runs out
+  const { settings, snoozedUntil, alerts } = view;
+  useEffect(() => {
+    if (!snoozedUntil) return;
+    const timer = setTimeout(() => setNow(Date.now()), snoozedUntil - Date.now());
+    return () => clearTimeout(timer);
+  }, [snoozedUntil]);
+
+  function emitTeacher(event, payload) {
+    socket.emit(event, { code: sessionCode, teacherToken, ...payload });
+  }
+
+  function toggleSound(e) {
+    setSoundOn(e.target.checked);
+    try {
+      localStorage.setItem(SOUND_KEY, e.target.checked ? "on" : "off");
+    } catch {
+      // Preference just won't survive a refresh
+    }
+  }
+
+  function handleSaveSettings(e) {
+    e.preventDefault();
+    emitTeacher("updateAlertSettings", {
+      settings: {
+        threshold: draft.thresholdPct / 100,
+        minParticipants: draft.minParticipants,
+        sustainMs: draft.sustainS * 1000,
+        riseShare: draft.risePct / 100,
+        riseWindowMs: draft.riseWindowS * 1000,
+      },
+    });
+    setDraft(null);
+  }
+
+  function openSettings() {
+    setDraft({
+      thresholdPct: Math.round(settings.threshold * 100),
+      minParticipants: settings.minParticipants,
+      sustainS: Math.round(settings.sustainMs / 1000),
+      risePct: Math.round(settings.riseShare * 100),
+      riseWindowS: Math.round(settings.riseWindowMs / 1000),
+    });
+  }
+
+  const snoozed = snoozedUntil !== null && snoozedUntil > now;
+  const latest = alerts[alerts.length - 1];
+  const showBanner = latest && !latest.snoozed && latest.dismissedAt === null;
+
+  const field = (name, label, props) => (
+    <label>
+      {label}
+      <input
+        type="number"
+        value={draft[name]}
+        onChange={(e) => setDraft({ ...draft, [name]: Number(e.target.value) })}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="alert-panel">
+      {/* Kept mounted so screen readers announce each new alert */}
+      <div aria-live="assertive">
+        {showBanner && (
+          <div className="alert-banner">
+            <span>&#x26A0; {describeAlert(latest, scale, t)}</span>
+            <button
+              className="btn btn-small"
+              onClick={() => emitTeacher("dismissAlert", { alertId: latest.id })}
+            >
+              {t("alerts.dismiss")}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="alert-controls">
+        {snoozed ? (
+          <>
+            <span>{t("alerts.snoozedUntil", { time: formatTime(snoozedUntil) })}</span>
+            <button
+              className="btn btn-link"
+              onClick={() => emitTeacher("snoozeAlerts", { durationMs: 0 })}
+            >
+              {t("alerts.resume")}
+            </button>
+          </>
+        ) : (
+          <>
+            <span>{t("alerts.snooze")}</span>
+            {SNOOZE_OPTIONS.map((minutes) => (
+              <button
+                key={minutes}
+                className="btn btn-small"
+                onClick={() =>
+                  emitTeacher("snoozeAlerts", { durationMs: minutes * 60 * 1000 })
+                }
+              >
+                {t("alerts.minutes", { minutes })}
+              </button>
+            ))}
+          </>
+        )}
+        <label className="alert-sound">
+          <input type="checkbox" checked={soundOn} onChange={toggleSound} />
+          {t("alerts.sound")}
+        </label>
+        {canEditSettings && !draft && (
+          <button className="btn btn-link" onClick={openSettings}>
+            {t("alerts.settings")}
+          </button>
+        )}
+      </div>
+
+      {draft && (
+        <form className="alert-settings" onSubmit={handleSaveSettings}>
+          {field("thresholdPct", t("alerts.threshold"), { min: 5, max: 100 })}
+          {field("sustainS", t("alerts.sustain"), { min: 0, max: 600 })}
+          {field("minParticipants", t("alerts.minParticipants"), { min: 1, max: 1000 })}
+          {field("risePct", t("alerts.riseShare"), { min: 5, max: 100 })}
+          {field("riseWindowS", t("alerts.riseWindow"), { min: 5, max: 600 })}
+          <div className="alert-settings-actions">
+            <button type="submit" className="btn btn-primary btn-small">
+              {t("alerts.save")}
+            </button>
+            <button
+              type="button"
+              className="btn btn-link"
+              onClick={() => setDraft(null)}
+            >
+              {t("alerts.cancel")}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {alerts.length > 0 && (
+        <details className="alert-history">
+          <summary>{t("alerts.history", { count: alerts.length })}</summary>
+          <ul>
+            {alerts
+              .slice()
+              .reverse()
+              .map((alert) => (
+                <li key={alert.id}>
+                  <span className="alert-time">{formatTime(alert.at)}</span>{" "}
+                  {describeAlert(alert, scale, t)}
+                  {alert.snoozed && <small> {t("alerts.whileSnoozed")}</small>}
+                </li>
+              ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
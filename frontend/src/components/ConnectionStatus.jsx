@@ -0,0 +1,26 @@
+/**
+ * ConnectionStatus.jsx — Tells a student whether their clicks reach the
+ * server: connected, reconnecting, or offline with a "Try again" button
+ * (see useConnection in SocketContext.jsx). A polite live region, so screen
+ * readers hear when the connection drops or comes back.
+ */
+
+import { useConnection } from "../SocketContext.jsx";
+import { useLocale } from "../LocaleContext.jsx";
+
+export default function ConnectionStatus() {
+  const { status, retry } = useConnection();
+  const { t } = useLocale();
+
+  return (
+    <div className={`connection-status connection-${status}`} role="status">
+      <span className="connection-dot" aria-hidden="true" />
+      {t(`connection.${status}`)}
+      {status === "offline" && (
+        <button className="btn btn-link" onClick={retry}>
+          {t("connection.retry")}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+/**
+ * CourseListPage.jsx — The instructor's recurring courses:
+ *   - Courses saved in this browser, linking to their dashboards
+ *   - Creating a course with a name and the feedback scale its lectures use
+ *     (POST /api/courses; see backend/courses.js)
+ */
+
+import { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { loadCourses, saveCourse } from "../savedCourses.js";
+import { useLocale } from "../LocaleContext.jsx";
+
+export default function CourseListPage() {
+  const navigate = useNavigate();
+  const { t, translateError, scaleLabel } = useLocale();
+  const [courses] = useState(loadCourses);
+  const [name, setName] = useState("");
+  const [presets, setPresets] = useState([]);
+  const [scale, setScale] = useState("");
+  const [error, setError] = useState(null); // { errorCode, params?, error }
+
+  useEffect(() => {
+    fetch("/api/scales")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setPresets(data.presets);
+        setScale((current) => current || data.defaultPreset);
+      })
+      .catch(() => {});
+  }, []);
+
+  function handleCreate(e) {
+    e.preventDefault();
+    setError(null);
+    fetch("/api/courses", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, scale: scale || undefined }),
+    })
+      .then((res) => res.json().then((data) => ({ ok: res.ok, data })))
+      .then(({ ok, data }) => {
+        if (!ok) {
+          setError(data);
+          return;
+        }
+        saveCourse(data);
+        navigate(`/courses/${data.id}`);
+      })
+      .catch(() => setError({ errorCode: "courseCreateFailed" }));
+  }
+
+  return (
+    <div className="join-page">
+      <section className="join-section">
+        <h2>{t("courseList.heading")}</h2>
+        {courses.length === 0 ? (
+          <p>{t("courseList.empty")}</p>
+        ) : (
+          <ul className="course-list">
+            {courses.map((course) => (
+              <li key={course.id}>
+                <Link to={`/courses/${course.id}`}>{course.name}</Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <div className="divider">
+        <span>{t("join.or")}</span>
+      </div>
+
+      <section className="join-section">
+        <h2>{t("courseList.newHeading")}</h2>
+        <p>{t("courseList.intro")}</p>
+        <form className="course-form" onSubmit={handleCreate}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t("courseList.namePlaceholder")}
+            maxLength={80}
+          />
+          {presets.length > 0 && (
+            <label className="scale-picker">
+              {t("join.scale")}{" "}
+              <select value={scale} onChange={(e) => setScale(e.target.value)}>
+                {presets.map((preset) => (
+                  <option key={preset.id} value={preset.id}>
+                    {scaleLabel(preset.name)} ({preset.levels.map((l) => l.emoji).join(" ")})
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <button type="submit" className="btn btn-primary">
+            {t("courseList.create")}
+          </button>
+        </form>
+        {error && <p className="error-message">{translateError(error)}</p>}
+      </section>
+
+      <Link className="btn btn-link" to="/">
+        {t("app.backToStart")}
+      </Link>
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+/**
+ * CourseView.jsx — Course dashboard comparing a course's lectures:
+ *   - The course's stable join link (+ QR code) for the whole semester
+ *   - Starting today's lecture, which the join link then points at
+ *   - Attendance and average confusion per lecture, as a chart and a table
+ *   - Week-over-week trends
+ *   - The most confusing segments across the course
+ *
+ * `course` is the summary from GET /api/courses/:id (see
+ * backend/courses.js); onStartLecture(title) starts a session in the
+ * course and onRefresh() fetches the summary again. Shown in the
+ * instructor's language, preset scale labels included.
+ */
+
+import { useState } from "react";
+import { QRCodeSVG } from "qrcode.react";
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { useLocale, useLocaleScale } from "../LocaleContext.jsx";
+import { alertLevelsLabel, segmentLabel } from "../feedbackLevels.js";
+
+const formatPct = (share) => `${(share * 100).toFixed(0)}%`;
+const formatDate = (t) => new Date(t).toLocaleDateString();
+
+// "+5%" / "−3%" / "±0" change from the previous week (shares in percentage points)
+function formatChange(change, format) {
+  if (change === null) return "";
+  if (Math.abs(change) < 0.005) return "±0";
+  return `${change > 0 ? "+" : "−"}${format(Math.abs(change))}`;
+}
+
+export default function CourseView({ course, onStartLecture, onRefresh }) {
+  const { t } = useLocale();
+  const [title, setTitle] = useState("");
+  const scale = useLocaleScale(course.scale);
+  const alertLabel = alertLevelsLabel(scale, " + ");
+  const joinUrl = `${window.location.origin}/c/${course.id}`;
+
+  const chartData = course.lectures.map((lecture) => ({
+    name: t("course.chartLecture", { number: lecture.number }),
+    attendance: lecture.attendance,
+    confused: Math.round(lecture.averageConfusedShare * 100),
+  }));
+
+  function handleStart(e) {
+    e.preventDefault();
+    onStartLecture(title);
+  }
+
+  return (
+    <div className="course-view">
+      <div className="session-header">
+        <div className="session-code-display">
+          <span className="label">{t("course.label")}</span>
+          <span className="course-name">{course.name}</span>
+        </div>
+        <div className="qr-code">
+          <QRCodeSVG value={joinUrl} size={100} />
+        </div>
+        <div className="course-join">
+          <span className="label">{t("course.joinAt")}</span>
+          <input type="text" readOnly value={joinUrl} onFocus={(e) => e.target.select()} />
+        </div>
+      </div>
+
+      <form className="course-start" onSubmit={handleStart}>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder={t("course.topicPlaceholder", { number: course.lectures.length + 1 })}
+          maxLength={80}
+        />
+        <button type="submit" className="btn btn-primary">
+          {t("course.startLecture")}
+        </button>
+      </form>
+      {course.activeCode && (
+        <p className="summary-note">
+          {t("course.running", { code: course.activeCode })}
+        </p>
+      )}
+
+      {course.lectures.length === 0 ? (
+        <p className="waiting-message">{t("course.empty")}</p>
+      ) : (
+        <>
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height={280}>
+              <ComposedChart data={chartData}>
+                <XAxis dataKey="name" />
+                <YAxis yAxisId="students" allowDecimals={false} />
+                <YAxis
+                  yAxisId="share"
+                  orientation="right"
+                  domain={[0, 100]}
+                  unit="%"
+                />
+                <Tooltip />
+                <Legend />
+                <Bar
+                  yAxisId="students"
+                  dataKey="attendance"
+                  name={t("course.attendance")}
+                  fill="#90caf9"
+                />
+                <Line
+                  yAxisId="share"
+                  dataKey="confused"
+                  name={t("course.averageSharePct", { levels: alertLabel })}
+                  stroke="#e53935"
+                  strokeWidth={2}
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="course-panel">
+            <h3>{t("course.lectures")}</h3>
+            <table className="course-table">
+              <thead>
+                <tr>
+                  <th>{t("course.number")}</th>
+                  <th>{t("course.date")}</th>
+                  <th>{t("course.topic")}</th>
+                  <th>{t("course.attendance")}</th>
+                  <th>{t("course.averageShare", { levels: alertLabel })}</th>
+                  <th>{t("course.worstSegment")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...course.lectures].reverse().map((lecture) => (
+                  <tr key={lecture.code}>
+                    <td>{lecture.number}</td>
+                    <td>{formatDate(lecture.startedAt)}</td>
+                    <td>{lecture.title || "—"}</td>
+                    <td>{lecture.attendance}</td>
+                    <td>{formatPct(lecture.averageConfusedShare)}</td>
+                    <td>
+                      {lecture.worstSegments[0]
+                        ? `${segmentLabel(lecture.worstSegments[0], t)} (${formatPct(
+                            lecture.worstSegments[0].averageConfusedShare
+                          )})`
+                        : "—"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="course-panel">
+            <h3>{t("course.weekOverWeek")}</h3>
+            <table className="course-table">
+              <thead>
+                <tr>
+                  <th>{t("course.weekOf")}</th>
+                  <th>{t("course.lectures")}</th>
+                  <th>{t("course.averageAttendance")}</th>
+                  <th>{t("course.averageShare", { levels: alertLabel })}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...course.weeks].reverse().map((week) => (
+                  <tr key={week.weekStart}>
+                    <td>{formatDate(week.weekStart)}</td>
+                    <td>{week.lectures}</td>
+                    <td>
+                      {Math.round(week.attendance)}{" "}
+                      <small>{formatChange(week.attendanceChange, Math.round)}</small>
+                    </td>
+                    <td>
+                      {formatPct(week.averageConfusedShare)}{" "}
+                      <small>{formatChange(week.confusedShareChange, formatPct)}</small>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {course.worstSegments.length > 0 && (
+            <div className="course-panel">
+              <h3>{t("course.mostConfusing")}</h3>
+              <ol className="course-worst">
+                {course.worstSegments.map((segment, idx) => (
+                  <li key={idx}>
+                    {segmentLabel(segment, t)}{" "}
+                    <small>{t("course.segmentLecture", { number: segment.lecture })}</small>{" "}
+                    <strong>{formatPct(segment.averageConfusedShare)}</strong>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+        </>
+      )}
+
+      <button className="btn btn-link" onClick={onRefresh}>
+        {t("course.refresh")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+/**
+ * DisplayPanel.jsx — Teacher controls for the projector display:
+ *   - Opens the read-only display in a second window (display link)
+ *   - "Hide numbers until reveal", and the Reveal / Hide again button
+ *
+ * `displayToken` comes with "sessionResumed"; `settings` is
+ * { hideNumbers, revealed } as sent in "displaySettings" (see
+ * backend/display.js), kept up to date by TeacherView. Emits
+ * "updateDisplaySettings" with { code, teacherToken, settings }.
+ */
+
+import { useSocket } from "../SocketContext.jsx";
+import { useLocale } from "../LocaleContext.jsx";
+
+export default function DisplayPanel({
+  sessionCode,
+  teacherToken,
+  displayToken,
+  settings,
+}) {
+  const socket = useSocket();
+  const { t } = useLocale();
+
+  const displayUrl = `${window.location.origin}/display/${sessionCode}?token=${encodeURIComponent(displayToken)}`;
+
+  function update(changes) {
+    socket.emit("updateDisplaySettings", {
+      code: sessionCode,
+      teacherToken,
+      settings: changes,
+    });
+  }
+
+  return (
+    <div className="display-panel">
+      <a
+        className="btn btn-secondary btn-small"
+        href={displayUrl}
+        target={`display-${sessionCode}`}
+        title={t("display.openHint")}
+      >
+        {t("display.open")}
+      </a>
+
+      <label className="display-hide">
+        <input
+          type="checkbox"
+          checked={settings.hideNumbers}
+          onChange={(e) => update({ hideNumbers: e.target.checked })}
+        />
+        {t("display.hideNumbers")}
+      </label>
+
+      {settings.hideNumbers && (
+        <button
+          className="btn btn-primary btn-small"
+          onClick={() => update({ revealed: !settings.revealed })}
+        >
+          {t(settings.revealed ? "display.hideAgain" : "display.reveal")}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+/**
+ * DisplayView.jsx — Read-only projector display for the lecture hall:
+ *   - Join code, join address and a large QR code (and the passcode, if any)
+ *   - Participant count
+ *   - Live pie chart with percentages, and the timeline
+ * in large type, with no teacher controls. While the teacher has "hide
+ * numbers until reveal" on, only the join details and participant count
+ * show until they reveal the breakdown.
+ *
+ * Attached to the session with the display token (see App.jsx), it gets
+ * the same "aggregateUpdate", "historyPoint" and "segmentsUpdate" events as
+ * the teacher dashboard — while the numbers are hidden, only the participant
+ * count. `snapshot` ({ scale, aggregate, history, segments, display,
+ * passcode }) seeds it; a "displayJoined" while mounted (after a reconnect,
+ * or when the teacher changes the display settings) replaces the state.
+ */
+
+import { useState, useEffect } from "react";
+import { QRCodeSVG } from "qrcode.react";
+import { useSocket } from "../SocketContext.jsx";
+import { usePaletteScale } from "../PaletteContext.jsx";
+import { useLocale, useLocaleScale } from "../LocaleContext.jsx";
+import FeedbackPie from "./FeedbackPie.jsx";
+import TimelineChart from "./TimelineChart.jsx";
+import { levelLabel } from "../feedbackLevels.js";
+
+export default function DisplayView({ sessionCode, snapshot }) {
+  const socket = useSocket();
+  const { t } = useLocale();
+  const { passcode } = snapshot;
+  const scale = useLocaleScale(usePaletteScale(snapshot.scale));
+  const [aggregate, setAggregate] = useState(snapshot.aggregate);
+  const [history, setHistory] = useState(snapshot.history);
+  const [segments, setSegments] = useState(snapshot.segments);
+  const [settings, setSettings] = useState(snapshot.display);
+
+  useEffect(() => {
+    function onAggregateUpdate(data) {
+      setAggregate(data);
+    }
+
+    // Same bucketing as on the teacher dashboard: replace the current point
+    function onHistoryPoint(point) {
+      setHistory((prev) => {
+        const last = prev[prev.length - 1];
+        if (last && last.t === point.t) {
+          return [...prev.slice(0, -1), point];
+        }
+        return [...prev, point];
+      });
+    }
+
+    function onDisplayJoined({ aggregate, history, segments, display }) {
+      setAggregate(aggregate);
+      setHistory(history);
+      setSegments(segments);
+      setSettings(display);
+    }
+
+    function onSegmentsUpdate({ segments }) {
+      setSegments(segments);
+    }
+
+    socket.on("aggregateUpdate", onAggregateUpdate);
+    socket.on("historyPoint", onHistoryPoint);
+    socket.on("displayJoined", onDisplayJoined);
+    socket.on("segmentsUpdate", onSegmentsUpdate);
+    return () => {
+      socket.off("aggregateUpdate", onAggregateUpdate);
+      socket.off("historyPoint", onHistoryPoint);
+      socket.off("displayJoined", onDisplayJoined);
+      socket.off("segmentsUpdate", onSegmentsUpdate);
+    };
+  }, [socket]);
+
+  const { total } = aggregate;
+  const hidden = settings.hideNumbers && !settings.revealed;
+  const pct = (val) => (total > 0 ? Math.round((val / total) * 100) : 0);
+
+  const joinHost = window.location.host;
+  const joinUrl = `${window.location.origin}/join/${sessionCode}`;
+
+  return (
+    <div className="display-view">
+      <div className="display-join">
+        <QRCodeSVG value={joinUrl} size={220} />
+        <div>
+          <span className="label">{t("display.joinAt", { host: joinHost })}</span>
+          <span className="code">{sessionCode}</span>
+          {passcode && (
+            <span className="label">
+              {t("teacher.passcode")} <strong className="passcode">{passcode}</strong>
+            </span>
+          )}
+        </div>
+        <div className="display-count">
+          <span className="label">{t("teacher.participants")}</span>
+          <span className="count">{total}</span>
+        </div>
+      </div>
+
+      {hidden ? (
+        <p className="display-hidden">{t("display.hidden")}</p>
+      ) : total === 0 ? (
+        <p className="waiting-message">{t("display.waiting")}</p>
+      ) : (
+        <>
+          <div className="display-mood">
+            <div className="chart-container">
+              <FeedbackPie
+                scale={scale}
+                aggregate={aggregate}
+                height={420}
+                outerRadius={160}
+                showPercentages
+              />
+            </div>
+            <ul className="display-levels">
+              {scale.levels.map((level) => (
+                <li key={level.key} style={{ borderColor: level.color }}>
+                  <span>{levelLabel(level)}</span>
+                  <strong>{pct(aggregate[level.key] || 0)}%</strong>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {history.length >= 2 && (
+            <div className="chart-container">
+              <TimelineChart
+                scale={scale}
+                history={history}
+                segments={segments}
+                height={240}
+                showTable={false}
+              />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+/**
+ * FeedbackPie.jsx — Pie chart of the current aggregate, one slice per level
+ * of the session's scale. Shared by the teacher dashboard and the projector
+ * display.
+ *
+ * Takes the scale and an aggregate { [levelKey]: count, total, staleTotal? }.
+ * Students with stale feedback get one grey slice of their own. Slices are
+ * labelled with counts, or with percentages when `showPercentages` is set.
+ * Screen readers get the same numbers as text (see describeAggregate).
+ */
+
+import {
+  PieChart,
+  Pie,
+  Cell,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { useLocale } from "../LocaleContext.jsx";
+import { levelLabel, describeAggregate, STALE_COLOR } from "../feedbackLevels.js";
+
+export default function FeedbackPie({
+  scale,
+  aggregate,
+  height = 300,
+  outerRadius = 100,
+  showPercentages = false,
+}) {
+  const { t } = useLocale();
+  const { total } = aggregate;
+  const pct = (val) => (total > 0 ? ((val / total) * 100).toFixed(1) : "0.0");
+
+  // Exclude categories with 0 for a cleaner chart
+  const chartData = scale.levels
+    .map((level) => ({
+      name: levelLabel(level),
+      value: aggregate[level.key] || 0,
+      color: level.color,
+    }))
+    .concat({ name: t("charts.stale"), value: aggregate.staleTotal || 0, color: STALE_COLOR })
+    .filter((d) => d.value > 0);
+
+  return (
+    <div
+      role="img"
+      aria-label={t("charts.pieLabel", { description: describeAggregate(scale, aggregate, t) })}
+    >
+      <ResponsiveContainer width="100%" height={height}>
+        <PieChart>
+          <Pie
+            data={chartData}
+            dataKey="value"
+            nameKey="name"
+            cx="50%"
+            cy="50%"
+            outerRadius={outerRadius}
+            label={({ name, value }) =>
+              showPercentages
+                ? `${name}: ${Math.round((value / total) * 100)}%`
+                : `${name}: ${value}`
+            }
+          >
+            {chartData.map((entry, idx) => (
+              <Cell key={idx} fill={entry.color} />
+            ))}
+          </Pie>
+          <Tooltip
+            formatter={(value, name) => [`${value} (${pct(value)}%)`, name]}
+          />
+          <Legend />
+        </PieChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
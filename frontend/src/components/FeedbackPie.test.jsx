@@ -0,0 +1,59 @@
+/**
+ * FeedbackPie.test.jsx — The pie's text equivalent: screen readers get the
+ * same numbers as the chart, stale feedback included, in the dashboard's
+ * language.
+ */
+
+import { describe, it, expect } from "vitest";
+import { screen } from "@testing-library/react";
+import { axe } from "jest-axe";
+import FeedbackPie from "./FeedbackPie.jsx";
+import { useLocaleScale } from "../LocaleContext.jsx";
+import { renderWithProviders, SCALE } from "../test/render.jsx";
+
+// As TeacherView passes it: preset labels in the dashboard's language
+function DashboardPie({ aggregate }) {
+  return <FeedbackPie scale={useLocaleScale(SCALE)} aggregate={aggregate} />;
+}
+
+describe("FeedbackPie", () => {
+  it("describes the current aggregate", () => {
+    renderWithProviders(
+      <FeedbackPie scale={SCALE} aggregate={{ gotit: 5, confused: 3, staleTotal: 2, total: 10 }} />
+    );
+
+    expect(
+      screen.getByRole("img", {
+        name: "Current feedback. 10 students: 5 Got it, 3 Confused, 2 without recent feedback.",
+      })
+    ).toBeInTheDocument();
+  });
+
+  it("says so when nobody has joined", () => {
+    renderWithProviders(<FeedbackPie scale={SCALE} aggregate={{ total: 0 }} />);
+
+    expect(
+      screen.getByRole("img", { name: "Current feedback. No students yet." })
+    ).toBeInTheDocument();
+  });
+
+  it("describes the aggregate in the dashboard's language", () => {
+    renderWithProviders(<DashboardPie aggregate={{ confused: 2, lost: 1, total: 3 }} />, {
+      locale: "de",
+    });
+
+    expect(
+      screen.getByRole("img", {
+        name: "Aktuelles Feedback. 3 Personen: 2 Verwirrt, 1 Abgehängt.",
+      })
+    ).toBeInTheDocument();
+  });
+
+  it("has no detectable accessibility violations", async () => {
+    const { container } = renderWithProviders(
+      <FeedbackPie scale={SCALE} aggregate={{ gotit: 1, lost: 1, total: 2 }} />
+    );
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * FreshnessPanel.jsx — Keeping the dashboard's feedback current (see
+ * backend/freshness.js):
+ *   - "Still with me?" check-ins: every student is asked to confirm or
+ *     update their level within the chosen time; shows who has responded
+ *   - The result of the last check-in
+ *   - The session's staleness policy: old levels fade or reset after a while
+ *
+ * `view` is { settings, checkIn, lastCheckIn } as sent in "freshnessUpdate";
+ * TeacherView keeps it up to date. Only the owner edits the settings
+ * (`canEditSettings`); co-instructors start check-ins too.
+ */
+
+import { useState, useEffect } from "react";
+import { useSocket } from "../SocketContext.jsx";
+import { useLocale } from "../LocaleContext.jsx";
+
+const CHECK_IN_OPTIONS = [30, 60, 120]; // seconds
+const MODES = ["off", "fade", "reset"];
+
+const formatTime = (t) =>
+  new Date(t).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+const formatDuration = (seconds, t) =>
+  seconds < 60
+    ? t("freshness.seconds", { seconds })
+    : t("freshness.minutes", { minutes: seconds / 60 });
+
+export default function FreshnessPanel({ sessionCode, teacherToken, view, canEditSettings }) {
+  const socket = useSocket();
+  const { t } = useLocale();
+  const { settings, checkIn, lastCheckIn } = view;
+  const [maxAgeMin, setMaxAgeMin] = useState(settings.maxAgeMs / 60000);
+  const [now, setNow] = useState(Date.now());
+
+  // Follow changes made from another dashboard
+  useEffect(() => setMaxAgeMin(settings.maxAgeMs / 60000), [settings.maxAgeMs]);
+
+  // Tick the check-in countdown
+  useEffect(() => {
+    if (!checkIn) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [checkIn]);
+
+  function emitTeacher(event, payload) {
+    socket.emit(event, { code: sessionCode, teacherToken, ...payload });
+  }
+
+  function updateSettings(changes) {
+    emitTeacher("updateFreshnessSettings", { settings: changes });
+  }
+
+  function commitMaxAge() {
+    const maxAgeMs = Math.round(maxAgeMin * 60000);
+    if (maxAgeMs !== settings.maxAgeMs) updateSettings({ maxAgeMs });
+  }
+
+  const secondsLeft = checkIn ? Math.max(0, Math.ceil((checkIn.endsAt - now) / 1000)) : 0;
+
+  return (
+    <div className="freshness-panel">
+      <div className="freshness-controls">
+        {checkIn ? (
+          <span className="check-in-status">
+            {t("freshness.checkInStatus", {
+              responded: checkIn.responded,
+              total: checkIn.total,
+              seconds: secondsLeft,
+            })}
+          </span>
+        ) : (
+          <>
+            <span>{t("freshness.askFor")}</span>
+            {CHECK_IN_OPTIONS.map((seconds) => (
+              <button
+                key={seconds}
+                className="btn btn-small"
+                onClick={() => emitTeacher("startCheckIn", { durationMs: seconds * 1000 })}
+              >
+                {formatDuration(seconds, t)}
+              </button>
+            ))}
+          </>
+        )}
+      </div>
+
+      {lastCheckIn && !checkIn && (
+        <p className="check-in-result">
+          {t("freshness.lastCheckIn", {
+            time: formatTime(lastCheckIn.endedAt),
+            responded: lastCheckIn.responded,
+          })}
+          {lastCheckIn.missed > 0 &&
+            t(settings.mode === "reset" ? "freshness.missedReset" : "freshness.missedStale", {
+              missed: lastCheckIn.missed,
+            })}
+        </p>
+      )}
+
+      {canEditSettings && (
+        <div className="freshness-settings">
+          <select
+            value={settings.mode}
+            onChange={(e) => updateSettings({ mode: e.target.value })}
+            aria-label={t("freshness.mode")}
+          >
+            {MODES.map((mode) => (
+              <option key={mode} value={mode}>
+                {t(`freshness.modes.${mode}`)}
+              </option>
+            ))}
+          </select>
+          {settings.mode !== "off" && (
+            <label>
+              <input
+                type="number"
+                min={1}
+                max={120}
+                value={maxAgeMin}
+                onChange={(e) => setMaxAgeMin(Number(e.target.value))}
+                onBlur={commitMaxAge}
+                onKeyDown={(e) => e.key === "Enter" && commitMaxAge()}
+                aria-label={t("freshness.maxAge")}
+              />{" "}
+              {t("freshness.minutesUnit")}
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
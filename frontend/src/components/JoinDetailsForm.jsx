@@ -0,0 +1,82 @@
+/**
+ * JoinDetailsForm.jsx — The extra step before joining a session that asks
+ * for a passcode, a student ID from the class roster and/or a name.
+ *
+ * `requirements` is { passcode, rosterId, name } as sent with "joinError"
+ * (see backend/access.js); `message` is the server's reason, translated,
+ * e.g. "Wrong passcode.". Calls onSubmit({ passcode?, rosterId?, name? }).
+ */
+
+import { useState } from "react";
+import { useLocale } from "../LocaleContext.jsx";
+
+export default function JoinDetailsForm({ sessionCode, requirements, message, onSubmit, onCancel }) {
+  const { t } = useLocale();
+  const [passcode, setPasscode] = useState("");
+  const [rosterId, setRosterId] = useState("");
+  const [name, setName] = useState("");
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSubmit({
+      passcode: requirements.passcode ? passcode : undefined,
+      rosterId: requirements.rosterId ? rosterId : undefined,
+      name: requirements.name ? name : undefined,
+    });
+  }
+
+  return (
+    <form className="join-details" onSubmit={handleSubmit}>
+      <h2>{t("joinDetails.heading", { code: sessionCode })}</h2>
+
+      {requirements.passcode && (
+        <label>
+          {t("joinDetails.passcode")}
+          <input
+            type="text"
+            value={passcode}
+            onChange={(e) => setPasscode(e.target.value)}
+            maxLength={32}
+            autoComplete="off"
+            autoFocus
+          />
+        </label>
+      )}
+
+      {requirements.rosterId && (
+        <label>
+          {t("joinDetails.rosterId")}
+          <input
+            type="text"
+            value={rosterId}
+            onChange={(e) => setRosterId(e.target.value)}
+            maxLength={100}
+            autoComplete="username"
+          />
+        </label>
+      )}
+
+      {requirements.name && (
+        <label>
+          {t("joinDetails.name")}
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={60}
+            autoComplete="name"
+          />
+        </label>
+      )}
+
+      {message && <p className="error-message">{message}</p>}
+
+      <button type="submit" className="btn btn-primary">
+        {t("joinDetails.submit")}
+      </button>
+      <button type="button" className="btn btn-link" onClick={onCancel}>
+        {t("joinDetails.cancel")}
+      </button>
+    </form>
+  );
+}
@@ -2,12 +2,65 @@
  * JoinPage.jsx — Landing page where users choose to start a session
  * (as instructor) or join an existing one (as student) by entering
  * a 6-character session code.
+ *
+ * Instructors pick the feedback scale for the session: one of the presets
+ * served by GET /api/scales, or a custom scale (see ScaleEditor), and who
+ * may join it (see AccessOptions). Recurring courses are set up on
+ * /courses (see CourseListPage).
+ *
+ * Students get the sessions and course links they joined lately on this
+ * device (see recentJoins.js).
  */
 
-import { useState } from "react";
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useLocale } from "../LocaleContext.jsx";
+import { loadRecentSessions, loadRecentCourses } from "../recentJoins.js";
+import ScaleEditor, { draftFromScale, buildScale } from "./ScaleEditor.jsx";
+import AccessOptions, { DEFAULT_ACCESS_OPTIONS, buildAccess } from "./AccessOptions.jsx";
+
+const CUSTOM = "custom";
 
 export default function JoinPage({ onStart, onJoin, error }) {
+  const { t, scaleLabel } = useLocale();
   const [code, setCode] = useState("");
+  const [presets, setPresets] = useState([]);
+  const [scaleChoice, setScaleChoice] = useState("");
+  const [customDraft, setCustomDraft] = useState(null);
+  const [accessOptions, setAccessOptions] = useState(DEFAULT_ACCESS_OPTIONS);
+  const [recentSessions] = useState(loadRecentSessions);
+  const [recentCourses] = useState(loadRecentCourses);
+
+  useEffect(() => {
+    fetch("/api/scales")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setPresets(data.presets);
+        setScaleChoice((current) => current || data.defaultPreset);
+      })
+      .catch(() => {});
+  }, []);
+
+  function handleScaleChange(e) {
+    const choice = e.target.value;
+    if (choice === CUSTOM && !customDraft) {
+      // Start the custom scale from whichever preset was selected
+      const base = presets.find((p) => p.id === scaleChoice) || presets[0];
+      setCustomDraft(draftFromScale(base));
+    }
+    setScaleChoice(choice);
+  }
+
+  function handleStart() {
+    // Without the preset list the server falls back to its default scale
+    const scale = !scaleChoice
+      ? undefined
+      : scaleChoice === CUSTOM
+        ? buildScale(customDraft)
+        : scaleChoice;
+    onStart(scale, buildAccess(accessOptions));
+  }
 
   function handleSubmit(e) {
     e.preventDefault();
@@ -18,36 +71,76 @@ export default function JoinPage({ onStart, onJoin, error }) {
   return (
     <div className="join-page">
       <section className="join-section">
-        <h2>I'm an Instructor</h2>
-        <p>Start a new feedback session for your class.</p>
-        <button className="btn btn-primary" onClick={onStart}>
-          Start Session
+        <h2>{t("join.instructorHeading")}</h2>
+        <p>{t("join.instructorIntro")}</p>
+
+        {presets.length > 0 && (
+          <label className="scale-picker">
+            {t("join.scale")}{" "}
+            <select value={scaleChoice} onChange={handleScaleChange}>
+              {presets.map((preset) => (
+                <option key={preset.id} value={preset.id}>
+                  {scaleLabel(preset.name)} ({preset.levels.map((l) => l.emoji).join(" ")})
+                </option>
+              ))}
+              <option value={CUSTOM}>{t("join.customScale")}</option>
+            </select>
+          </label>
+        )}
+        {scaleChoice === CUSTOM && (
+          <ScaleEditor draft={customDraft} onChange={setCustomDraft} />
+        )}
+
+        <AccessOptions options={accessOptions} onChange={setAccessOptions} />
+
+        <button className="btn btn-primary" onClick={handleStart}>
+          {t("join.startSession")}
         </button>
+        <p className="course-link">
+          {t("join.courseQuestion")} <Link to="/courses">{t("join.courseLink")}</Link>
+        </p>
       </section>
 
       <div className="divider">
-        <span>or</span>
+        <span>{t("join.or")}</span>
       </div>
 
       <section className="join-section">
-        <h2>I'm a Student</h2>
-        <p>Enter the session code shared by your instructor.</p>
+        <h2>{t("join.studentHeading")}</h2>
+        <p>{t("join.studentIntro")}</p>
         <form onSubmit={handleSubmit} className="join-form">
           <input
             type="text"
             value={code}
             onChange={(e) => setCode(e.target.value.toUpperCase())}
-            placeholder="e.g. ABC123"
+            placeholder={t("join.codePlaceholder")}
+            aria-label={t("join.sessionCode")}
             maxLength={6}
             className="code-input"
             autoComplete="off"
             spellCheck={false}
           />
           <button type="submit" className="btn btn-secondary">
-            Join Session
+            {t("join.joinSession")}
           </button>
         </form>
         {error && <p className="error-message">{error}</p>}
+
+        {(recentSessions.length > 0 || recentCourses.length > 0) && (
+          <div className="recent-joins">
+            <span>{t("join.recent")}</span>
+            {recentSessions.map(({ code }) => (
+              <button key={code} className="btn btn-small" onClick={() => onJoin(code)}>
+                {code}
+              </button>
+            ))}
+            {recentCourses.map(({ id, name }) => (
+              <Link key={id} className="btn btn-small" to={`/c/${id}`}>
+                {name}
+              </Link>
+            ))}
+          </div>
+        )}
       </section>
     </div>
   );
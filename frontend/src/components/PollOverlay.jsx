@@ -0,0 +1,91 @@
+/**
+ * PollOverlay.jsx — Shows the instructor's open poll over StudentView.
+ *
+ * - Appears on "pollOpened" and disappears on "pollClosed".
+ * - Each student answers once; the overlay then shows their answer until
+ *   they dismiss it or the poll closes.
+ * - Emits "answerPoll" with { code, pollId, answer } (answer = option index).
+ * - Shows the yes / no poll's options in the student's language.
+ * - Moves keyboard focus into the poll when it opens, and to Close once
+ *   answered (the options are disabled then).
+ */
+
+import { useState, useEffect, useRef } from "react";
+import { useSocket } from "../SocketContext.jsx";
+import { useLocale } from "../LocaleContext.jsx";
+
+export default function PollOverlay({ sessionCode }) {
+  const socket = useSocket();
+  const { t, pollOption } = useLocale();
+  const [poll, setPoll] = useState(null); // { id, type, question, options, answer }
+  const [dismissed, setDismissed] = useState(false);
+  const firstOptionRef = useRef(null);
+  const closeRef = useRef(null);
+
+  useEffect(() => {
+    function onPollOpened({ poll }) {
+      setPoll(poll);
+      setDismissed(false);
+    }
+    function onPollClosed({ pollId }) {
+      setPoll((current) => (current?.id === pollId ? null : current));
+    }
+
+    socket.on("pollOpened", onPollOpened);
+    socket.on("pollClosed", onPollClosed);
+    return () => {
+      socket.off("pollOpened", onPollOpened);
+      socket.off("pollClosed", onPollClosed);
+    };
+  }, [socket]);
+
+  const answered = poll !== null && poll.answer !== null;
+
+  useEffect(() => {
+    (answered ? closeRef : firstOptionRef).current?.focus();
+  }, [poll?.id, answered]);
+
+  if (!poll || dismissed) return null;
+
+  function handleAnswer(answer) {
+    socket.emit("answerPoll", { code: sessionCode, pollId: poll.id, answer });
+    setPoll({ ...poll, answer });
+  }
+
+  return (
+    <div className="poll-overlay" role="dialog" aria-modal="true" aria-labelledby="poll-question">
+      <div className="poll-card">
+        <p className="poll-question" id="poll-question">
+          {poll.question}
+        </p>
+
+        <div className={`poll-options poll-options-${poll.type}`}>
+          {poll.options.map((option, i) => (
+            <button
+              key={i}
+              ref={i === 0 ? firstOptionRef : undefined}
+              className={`poll-option-btn ${poll.answer === i ? "selected" : ""}`}
+              onClick={() => handleAnswer(i)}
+              disabled={answered}
+            >
+              {pollOption(poll.type, option)}
+            </button>
+          ))}
+        </div>
+
+        {answered && (
+          <>
+            <p className="poll-thanks">{t("poll.thanks")}</p>
+            <button
+              ref={closeRef}
+              className="btn btn-link"
+              onClick={() => setDismissed(true)}
+            >
+              {t("poll.close")}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+/**
+ * PollPanel.jsx — Teacher controls for quick polls:
+ *   - Create a multiple-choice, yes/no or 1–5 rating poll
+ *   - Open / close polls (opening one closes any other open poll)
+ *   - Live result bars per option
+ *
+ * Listens for "pollsUpdate" socket events with shape:
+ *   { polls: [{ id, type, question, options, status, counts, responses }] }
+ *
+ * The yes / no poll's options are shown in the instructor's language.
+ */
+
+import { useState, useEffect } from "react";
+import { useSocket } from "../SocketContext.jsx";
+import { useLocale } from "../LocaleContext.jsx";
+
+const POLL_TYPES = ["choice", "yesno", "rating"];
+
+export default function PollPanel({ sessionCode, teacherToken, initialPolls }) {
+  const socket = useSocket();
+  const { t, pollOption } = useLocale();
+  const [polls, setPolls] = useState(initialPolls || []);
+  const [type, setType] = useState("choice");
+  const [question, setQuestion] = useState("");
+  const [optionsText, setOptionsText] = useState("");
+
+  useEffect(() => {
+    function onPollsUpdate({ polls }) {
+      setPolls(polls);
+    }
+    function onSessionResumed({ polls }) {
+      setPolls(polls);
+    }
+
+    socket.on("pollsUpdate", onPollsUpdate);
+    socket.on("sessionResumed", onSessionResumed);
+    return () => {
+      socket.off("pollsUpdate", onPollsUpdate);
+      socket.off("sessionResumed", onSessionResumed);
+    };
+  }, [socket]);
+
+  function emitTeacher(event, payload) {
+    socket.emit(event, { code: sessionCode, teacherToken, ...payload });
+  }
+
+  function handleCreate(e) {
+    e.preventDefault();
+    if (question.trim().length === 0) return;
+
+    // One option per line for multiple choice; other types have fixed options
+    const options = optionsText.split("\n").map((o) => o.trim()).filter(Boolean);
+    emitTeacher("createPoll", { poll: { type, question, options } });
+    setQuestion("");
+    setOptionsText("");
+  }
+
+  return (
+    <div className="poll-panel">
+      <h3>{t("polls.heading")}</h3>
+
+      <form className="poll-form" onSubmit={handleCreate}>
+        <select value={type} onChange={(e) => setType(e.target.value)}>
+          {POLL_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {t(`polls.types.${type}`)}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder={t("polls.question")}
+          maxLength={200}
+        />
+        {type === "choice" && (
+          <textarea
+            value={optionsText}
+            onChange={(e) => setOptionsText(e.target.value)}
+            placeholder={t("polls.optionsPlaceholder")}
+            rows={3}
+          />
+        )}
+        <button type="submit" className="btn btn-primary">
+          {t("polls.add")}
+        </button>
+      </form>
+
+      {polls.length > 0 && (
+        <ul className="poll-list">
+          {polls.map((poll) => (
+            <li key={poll.id} className={`poll-item poll-${poll.status}`}>
+              <div className="poll-item-header">
+                <span className="poll-question">{poll.question}</span>
+                <span className="poll-status">
+                  {t(`polls.statuses.${poll.status}`)} ·{" "}
+                  {t("polls.answers", { count: poll.responses })}
+                </span>
+              </div>
+
+              {poll.status !== "draft" && (
+                <div className="poll-results">
+                  {poll.options.map((option, i) => {
+                    const pct =
+                      poll.responses > 0
+                        ? (poll.counts[i] / poll.responses) * 100
+                        : 0;
+                    return (
+                      <div key={i} className="poll-result-row">
+                        <span className="poll-option">{pollOption(poll.type, option)}</span>
+                        <span className="poll-bar">
+                          <span style={{ width: `${pct}%` }} />
+                        </span>
+                        <span className="poll-count">{poll.counts[i]}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              {poll.status === "draft" && (
+                <button
+                  className="btn btn-secondary btn-small"
+                  onClick={() => emitTeacher("openPoll", { pollId: poll.id })}
+                >
+                  {t("polls.open")}
+                </button>
+              )}
+              {poll.status === "open" && (
+                <button
+                  className="btn btn-small"
+                  onClick={() => emitTeacher("closePoll", { pollId: poll.id })}
+                >
+                  {t("polls.close")}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * QuestionBox.jsx — Lets a student ask anonymous questions and upvote
+ * other students' questions.
+ *
+ * Listens for "questionsUpdate" ({ questions, votedIds?, askedIds? }),
+ * "questionAsked" and "questionError" socket events. The id lists arrive on
+ * join so a returning student can't vote twice or upvote their own question.
+ * Refusals are shown in the student's language (see LocaleContext.jsx).
+ */
+
+import { useState, useEffect } from "react";
+import { useSocket } from "../SocketContext.jsx";
+import { useLocale } from "../LocaleContext.jsx";
+
+const MAX_LENGTH = 280; // matches MAX_QUESTION_LENGTH on the server
+
+export default function QuestionBox({ sessionCode }) {
+  const socket = useSocket();
+  const { t, translateError } = useLocale();
+  const [questions, setQuestions] = useState([]);
+  const [votedIds, setVotedIds] = useState(() => new Set());
+  const [askedIds, setAskedIds] = useState(() => new Set());
+  const [text, setText] = useState("");
+  const [error, setError] = useState(null); // { errorCode, params?, message }
+
+  useEffect(() => {
+    function onQuestionsUpdate({ questions, votedIds, askedIds }) {
+      setQuestions(questions);
+      if (votedIds) setVotedIds(new Set(votedIds));
+      if (askedIds) setAskedIds(new Set(askedIds));
+    }
+    function onQuestionAsked({ questionId }) {
+      setAskedIds((prev) => new Set(prev).add(questionId));
+      setText("");
+      setError(null);
+    }
+    function onQuestionError(failure) {
+      setError(failure);
+    }
+
+    socket.on("questionsUpdate", onQuestionsUpdate);
+    socket.on("questionAsked", onQuestionAsked);
+    socket.on("questionError", onQuestionError);
+    return () => {
+      socket.off("questionsUpdate", onQuestionsUpdate);
+      socket.off("questionAsked", onQuestionAsked);
+      socket.off("questionError", onQuestionError);
+    };
+  }, [socket]);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (text.trim().length === 0) return;
+    socket.emit("askQuestion", { code: sessionCode, text });
+  }
+
+  function handleUpvote(questionId) {
+    socket.emit("upvoteQuestion", { code: sessionCode, questionId });
+    setVotedIds((prev) => new Set(prev).add(questionId));
+  }
+
+  return (
+    <div className="question-box">
+      <form onSubmit={handleSubmit} className="question-form">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={t("questions.placeholder")}
+          maxLength={MAX_LENGTH}
+          rows={2}
+        />
+        <button type="submit" className="btn btn-primary">
+          {t("questions.ask")}
+        </button>
+      </form>
+      {error && <p className="error-message">{translateError(error)}</p>}
+
+      {questions.length > 0 && (
+        <ul className="question-list">
+          {questions.map((q) => {
+            const mine = askedIds.has(q.id);
+            const voted = votedIds.has(q.id);
+            return (
+              <li key={q.id} className="question-item">
+                <button
+                  className={`upvote-btn ${voted ? "voted" : ""}`}
+                  onClick={() => handleUpvote(q.id)}
+                  disabled={mine || voted}
+                  aria-label={t("questions.upvote", { count: q.upvotes })}
+                >
+                  &#x25B2; {q.upvotes}
+                </button>
+                <span className="question-text">
+                  {q.text}
+                  {mine && <small> {t("questions.yours")}</small>}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
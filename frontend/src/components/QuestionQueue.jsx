@@ -0,0 +1,104 @@
+/**
+ * QuestionQueue.jsx — Teacher view of the anonymous student questions,
+ * ranked by upvotes. Each open question can be marked answered or dismissed.
+ *
+ * Listens for "questionQueue" socket events with shape:
+ *   { questions: [{ id, text, upvotes, status, createdAt }] }
+ */
+
+import { useState, useEffect } from "react";
+import { useSocket } from "../SocketContext.jsx";
+import { useLocale } from "../LocaleContext.jsx";
+
+export default function QuestionQueue({ sessionCode, teacherToken, initialQuestions }) {
+  const socket = useSocket();
+  const { t } = useLocale();
+  const [questions, setQuestions] = useState(initialQuestions || []);
+  const [showDone, setShowDone] = useState(false);
+
+  useEffect(() => {
+    function onQuestionQueue({ questions }) {
+      setQuestions(questions);
+    }
+    function onSessionResumed({ questions }) {
+      setQuestions(questions);
+    }
+
+    socket.on("questionQueue", onQuestionQueue);
+    socket.on("sessionResumed", onSessionResumed);
+    return () => {
+      socket.off("questionQueue", onQuestionQueue);
+      socket.off("sessionResumed", onSessionResumed);
+    };
+  }, [socket]);
+
+  function moderate(questionId, status) {
+    socket.emit("moderateQuestion", {
+      code: sessionCode,
+      teacherToken,
+      questionId,
+      status,
+    });
+  }
+
+  const open = questions.filter((q) => q.status === "open");
+  const done = questions.filter((q) => q.status !== "open");
+
+  return (
+    <div className="question-queue">
+      <h3>
+        {t("questionQueue.heading")} {open.length > 0 && <small>({open.length})</small>}
+      </h3>
+
+      {open.length === 0 ? (
+        <p className="waiting-message">{t("questionQueue.none")}</p>
+      ) : (
+        <ul className="question-list">
+          {open.map((q) => (
+            <li key={q.id} className="question-item">
+              <span className="upvote-count">&#x25B2; {q.upvotes}</span>
+              <span className="question-text">{q.text}</span>
+              <span className="question-actions">
+                <button
+                  className="btn btn-secondary btn-small"
+                  onClick={() => moderate(q.id, "answered")}
+                >
+                  {t("questionQueue.answered")}
+                </button>
+                <button
+                  className="btn btn-small"
+                  onClick={() => moderate(q.id, "dismissed")}
+                >
+                  {t("questionQueue.dismiss")}
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {done.length > 0 && (
+        <>
+          <button className="btn btn-link" onClick={() => setShowDone(!showDone)}>
+            {t(showDone ? "questionQueue.hideHandled" : "questionQueue.showHandled", {
+              count: done.length,
+            })}
+          </button>
+          {showDone && (
+            <ul className="question-list question-list-done">
+              {done.map((q) => (
+                <li key={q.id} className="question-item">
+                  <span className="upvote-count">&#x25B2; {q.upvotes}</span>
+                  <span className="question-text">{q.text}</span>
+                  <span className="question-status">
+                    {t(`questionQueue.statuses.${q.status}`)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
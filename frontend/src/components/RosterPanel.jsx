@@ -0,0 +1,83 @@
+/**
+ * RosterPanel.jsx — Who has joined, for sessions with a class roster or
+ * student names:
+ *   - Students who joined, by name and/or student ID
+ *   - Roster students who haven't joined yet
+ *   - Each student's current level, only if the session was started with
+ *     "show me each student's feedback" (faded once it has gone stale)
+ *
+ * `roster` is { joined: Array<{ rosterId, name, level?, stale? }>, missing }
+ * as sent in "rosterUpdate" (see backend/access.js), kept up to date by
+ * TeacherView; `access` is the session's access options as in
+ * "sessionResumed".
+ */
+
+import { useLocale } from "../LocaleContext.jsx";
+import { levelLabel } from "../feedbackLevels.js";
+
+export default function RosterPanel({ scale, roster, access }) {
+  const { t } = useLocale();
+  const { joined, missing } = roster;
+  const levelOf = (key) => scale.levels.find((l) => l.key === key);
+
+  return (
+    <div className="roster-panel">
+      <h3>
+        {t("roster.heading")}{" "}
+        {missing && (
+          <small>{t("roster.joinedOf", { joined: joined.length, size: access.rosterSize })}</small>
+        )}
+      </h3>
+      <p className="access-hint">
+        {access.showIndividual
+          ? t("roster.individualHint")
+          : t("roster.anonymousHint")}
+      </p>
+
+      <div className="roster-columns">
+        <div>
+          <h4>{t("roster.joined", { count: joined.length })}</h4>
+          {joined.length === 0 ? (
+            <p className="roster-empty">{t("roster.nobody")}</p>
+          ) : (
+            <ul className="roster-list">
+              {joined.map((student, idx) => {
+                const level = student.level && levelOf(student.level);
+                return (
+                  <li key={student.rosterId || idx}>
+                    {student.name || student.rosterId}
+                    {student.name && student.rosterId && <small> · {student.rosterId}</small>}
+                    {level && (
+                      <span
+                        className={`roster-level ${student.stale ? "stale" : ""}`}
+                        style={{ borderColor: level.color }}
+                        title={student.stale ? t("charts.stale") : undefined}
+                      >
+                        {levelLabel(level)}
+                      </span>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        {missing && (
+          <div>
+            <h4>{t("roster.notJoined", { count: missing.length })}</h4>
+            {missing.length === 0 ? (
+              <p className="roster-empty">{t("roster.everyone")}</p>
+            ) : (
+              <ul className="roster-list roster-missing">
+                {missing.map((id) => (
+                  <li key={id}>{id}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
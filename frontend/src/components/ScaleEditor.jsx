@@ -0,0 +1,180 @@
+/**
+ * ScaleEditor.jsx — Lets the instructor define a custom feedback scale
+ * before starting a session: 2–7 levels, each with a label, emoji and
+ * color, one default level and any number of alert levels.
+ *
+ * Works on a draft ({ name, levels: [{ label, emoji, color, alert }],
+ * defaultIndex }); buildScale() turns it into the scale shape the server
+ * validates (see backend/scales.js).
+ */
+
+import { useLocale } from "../LocaleContext.jsx";
+
+const MIN_LEVELS = 2;
+const MAX_LEVELS = 7;
+const NEW_LEVEL_COLORS = [
+  "#4CAF50",
+  "#2196F3",
+  "#FF9800",
+  "#F44336",
+  "#9C27B0",
+  "#009688",
+  "#795548",
+];
+
+/** Draft for the editor, starting from an existing scale (e.g. a preset). */
+export function draftFromScale(scale) {
+  return {
+    name: scale.name,
+    levels: scale.levels.map(({ key, label, emoji, color }) => ({
+      label,
+      emoji,
+      color,
+      alert: scale.alertLevels.includes(key),
+    })),
+    defaultIndex: Math.max(
+      0,
+      scale.levels.findIndex((l) => l.key === scale.defaultLevel)
+    ),
+  };
+}
+
+// "Too fast!" → "too_fast"; keys must start with a letter
+function slugify(label) {
+  return label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^[^a-z]+/, "")
+    .slice(0, 20)
+    .replace(/_+$/, "");
+}
+
+/** Scale to send with "createSession", with keys derived from the labels. */
+export function buildScale(draft) {
+  const used = new Set(["total", "t"]);
+  const levels = draft.levels.map((level, i) => {
+    let key = slugify(level.label) || `level${i + 1}`;
+    if (used.has(key)) key = `${key}_${i + 1}`;
+    used.add(key);
+    return {
+      key,
+      label: level.label.trim(),
+      emoji: level.emoji.trim(),
+      color: level.color,
+    };
+  });
+
+  return {
+    name: draft.name,
+    levels,
+    defaultLevel: levels[draft.defaultIndex]?.key,
+    alertLevels: levels.filter((_, i) => draft.levels[i].alert).map((l) => l.key),
+  };
+}
+
+export default function ScaleEditor({ draft, onChange }) {
+  const { t } = useLocale();
+
+  function updateLevel(index, changes) {
+    onChange({
+      ...draft,
+      levels: draft.levels.map((level, i) =>
+        i === index ? { ...level, ...changes } : level
+      ),
+    });
+  }
+
+  function addLevel() {
+    const color = NEW_LEVEL_COLORS[draft.levels.length % NEW_LEVEL_COLORS.length];
+    onChange({
+      ...draft,
+      levels: [...draft.levels, { label: "", emoji: "", color, alert: false }],
+    });
+  }
+
+  function removeLevel(index) {
+    const defaultIndex =
+      draft.defaultIndex > index ? draft.defaultIndex - 1 : draft.defaultIndex;
+    onChange({
+      ...draft,
+      levels: draft.levels.filter((_, i) => i !== index),
+      defaultIndex: Math.min(defaultIndex, draft.levels.length - 2),
+    });
+  }
+
+  return (
+    <div className="scale-editor">
+      <input
+        type="text"
+        value={draft.name}
+        onChange={(e) => onChange({ ...draft, name: e.target.value })}
+        placeholder={t("scaleEditor.name")}
+        maxLength={40}
+        aria-label={t("scaleEditor.name")}
+      />
+
+      <div className="scale-editor-header" aria-hidden="true">
+        <span>{t("scaleEditor.emoji")}</span>
+        <span>{t("scaleEditor.label")}</span>
+        <span>{t("scaleEditor.color")}</span>
+        <span>{t("scaleEditor.start")}</span>
+        <span>{t("scaleEditor.alert")}</span>
+        <span />
+      </div>
+
+      {draft.levels.map((level, i) => (
+        <div key={i} className="scale-editor-row">
+          <input
+            type="text"
+            value={level.emoji}
+            onChange={(e) => updateLevel(i, { emoji: e.target.value })}
+            maxLength={8}
+            aria-label={t("scaleEditor.levelEmoji", { number: i + 1 })}
+          />
+          <input
+            type="text"
+            value={level.label}
+            onChange={(e) => updateLevel(i, { label: e.target.value })}
+            placeholder={t("scaleEditor.levelPlaceholder", { number: i + 1 })}
+            maxLength={24}
+            aria-label={t("scaleEditor.levelLabel", { number: i + 1 })}
+          />
+          <input
+            type="color"
+            value={level.color}
+            onChange={(e) => updateLevel(i, { color: e.target.value })}
+            aria-label={t("scaleEditor.levelColor", { number: i + 1 })}
+          />
+          <input
+            type="radio"
+            name="scale-default-level"
+            checked={draft.defaultIndex === i}
+            onChange={() => onChange({ ...draft, defaultIndex: i })}
+            aria-label={t("scaleEditor.levelStart", { number: i + 1 })}
+          />
+          <input
+            type="checkbox"
+            checked={level.alert}
+            onChange={(e) => updateLevel(i, { alert: e.target.checked })}
+            aria-label={t("scaleEditor.levelAlert", { number: i + 1 })}
+          />
+          <button
+            type="button"
+            className="btn btn-link"
+            onClick={() => removeLevel(i)}
+            disabled={draft.levels.length <= MIN_LEVELS}
+            aria-label={t("scaleEditor.remove", { number: i + 1 })}
+          >
+            &times;
+          </button>
+        </div>
+      ))}
+
+      {draft.levels.length < MAX_LEVELS && (
+        <button type="button" className="btn btn-small" onClick={addLevel}>
+          {t("scaleEditor.add")}
+        </button>
+      )}
+    </div>
+  );
+}
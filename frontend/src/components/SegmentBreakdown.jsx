@@ -0,0 +1,81 @@
+/**
+ * SegmentBreakdown.jsx — Per-segment breakdown of feedback, one row per
+ * topic / slide marker: a stacked bar of the time-weighted level shares
+ * and the share on the scale's alert levels ("45% confused + lost").
+ *
+ * Used live on the dashboard (see SegmentPanel) and in SummaryView.
+ * Takes segment summaries as built by backend/segments.js; segments whose
+ * average is above the session's alert `threshold` are highlighted.
+ */
+
+import { useLocale } from "../LocaleContext.jsx";
+import { alertLevelsLabel, segmentLabel } from "../feedbackLevels.js";
+
+// "4m 05s" style duration
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const m = Math.floor(totalSeconds / 60);
+  const s = totalSeconds % 60;
+  return `${m}m ${String(s).padStart(2, "0")}s`;
+}
+
+const formatPct = (share) => `${(share * 100).toFixed(0)}%`;
+
+export default function SegmentBreakdown({ scale, segments, threshold }) {
+  const { t } = useLocale();
+  const alertLabel = alertLevelsLabel(scale, " + ");
+
+  return (
+    <ul className="segment-list">
+      {segments.map((segment) => (
+        <li
+          key={segment.id}
+          className={`segment-item ${
+            segment.averageConfusedShare > threshold ? "segment-alert" : ""
+          }`}
+        >
+          <div className="segment-header">
+            <span className="segment-label">
+              {segmentLabel(segment, t)}
+              {segment.endedAt === null && <small> {t("segments.current")}</small>}
+            </span>
+            <span className="segment-meta">
+              {t("segments.meta", {
+                duration: formatDuration(segment.durationMs),
+                count: segment.feedbackCount,
+              })}
+            </span>
+          </div>
+
+          <div
+            className="segment-bar"
+            role="img"
+            aria-label={scale.levels
+              .map((l) => `${l.label} ${formatPct(segment.averageShares[l.key] || 0)}`)
+              .join(", ")}
+          >
+            {scale.levels.map((level) => (
+              <span
+                key={level.key}
+                style={{
+                  width: formatPct(segment.averageShares[level.key] || 0),
+                  background: level.color,
+                }}
+              />
+            ))}
+          </div>
+
+          <p className="segment-share">
+            {segment.peakParticipants === 0
+              ? t("segments.noStudents")
+              : t("segments.share", {
+                  share: formatPct(segment.averageConfusedShare),
+                  levels: alertLabel,
+                  peak: formatPct(segment.peakConfusedShare),
+                })}
+          </p>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,100 @@
+/**
+ * SegmentPanel.jsx — Teacher controls for lecture segments:
+ *   - Mark a new topic by name
+ *   - Mark the next slide (number prefilled from the last slide marker)
+ *   - Live per-segment breakdown (see SegmentBreakdown), newest first
+ *
+ * Emits "markSegment" with { code, teacherToken, kind, label?, slide? };
+ * the breakdown comes from TeacherView, which listens for "segmentsUpdate".
+ */
+
+import { useState } from "react";
+import { useSocket } from "../SocketContext.jsx";
+import { useLocale } from "../LocaleContext.jsx";
+import { segmentLabel } from "../feedbackLevels.js";
+import SegmentBreakdown from "./SegmentBreakdown.jsx";
+
+export default function SegmentPanel({
+  sessionCode,
+  teacherToken,
+  scale,
+  segments,
+  threshold,
+}) {
+  const socket = useSocket();
+  const { t } = useLocale();
+  const [topic, setTopic] = useState("");
+  const [slide, setSlide] = useState("");
+
+  const lastSlide = segments.reduce((n, s) => (s.slide ? s.slide : n), 0);
+
+  function mark(marker) {
+    socket.emit("markSegment", { code: sessionCode, teacherToken, ...marker });
+  }
+
+  function handleTopic(e) {
+    e.preventDefault();
+    if (topic.trim().length === 0) return;
+    mark({ kind: "topic", label: topic });
+    setTopic("");
+  }
+
+  function handleSlide(e) {
+    e.preventDefault();
+    mark({ kind: "slide", slide: Number(slide) || lastSlide + 1 });
+    setSlide("");
+  }
+
+  const current = segments[segments.length - 1];
+
+  return (
+    <div className="segment-panel">
+      <h3>
+        {t("segments.heading")}{" "}
+        {current && <small>{t("segments.now", { label: segmentLabel(current, t) })}</small>}
+      </h3>
+
+      <div className="segment-forms">
+        <form className="segment-form" onSubmit={handleTopic}>
+          <input
+            type="text"
+            value={topic}
+            onChange={(e) => setTopic(e.target.value)}
+            placeholder={t("segments.topicPlaceholder")}
+            maxLength={60}
+            aria-label={t("segments.topicName")}
+          />
+          <button type="submit" className="btn btn-secondary btn-small">
+            {t("segments.newTopic")}
+          </button>
+        </form>
+
+        <form className="segment-form" onSubmit={handleSlide}>
+          <input
+            type="number"
+            min={1}
+            value={slide}
+            onChange={(e) => setSlide(e.target.value)}
+            placeholder={String(lastSlide + 1)}
+            aria-label={t("segments.slideNumber")}
+          />
+          <button type="submit" className="btn btn-secondary btn-small">
+            {slide
+              ? t("segments.slide", { number: slide })
+              : t("segments.nextSlide", { number: lastSlide + 1 })}
+          </button>
+        </form>
+      </div>
+
+      {segments.length === 0 ? (
+        <p className="waiting-message">{t("segments.empty")}</p>
+      ) : (
+        <SegmentBreakdown
+          scale={scale}
+          segments={segments.slice().reverse()}
+          threshold={threshold}
+        />
+      )}
+    </div>
+  );
+}
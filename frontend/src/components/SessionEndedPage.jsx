@@ -0,0 +1,31 @@
+/**
+ * SessionEndedPage.jsx — Shown to students (and projector displays) once the
+ * session they were in is over, with the reason from the "sessionEnded"
+ * event (?reason=). Co-instructors get the `staff` variant on
+ * "staffSessionEnded", which says the report went to the session's owner.
+ */
+
+import { Link, useSearchParams } from "react-router-dom";
+import { useLocale } from "../LocaleContext.jsx";
+
+const END_REASONS = ["ended", "teacher-left", "expired", "idle"];
+
+export default function SessionEndedPage({ staff = false }) {
+  const { t } = useLocale();
+  const [params] = useSearchParams();
+  const reason = END_REASONS.includes(params.get("reason")) ? params.get("reason") : "ended";
+  const message = t(`ended.reasons.${reason}`);
+
+  return (
+    <div className="join-page">
+      <section className="join-section">
+        <h2>{t("ended.heading")}</h2>
+        <p>{message}</p>
+        {staff && <p>{t("ended.staffReport")}</p>}
+        <Link className="btn btn-primary" to="/">
+          {t("ended.back")}
+        </Link>
+      </section>
+    </div>
+  );
+}
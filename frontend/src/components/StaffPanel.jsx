@@ -0,0 +1,84 @@
+/**
+ * StaffPanel.jsx — Who's running the session, on every staff dashboard:
+ *   - The owner and the co-instructors currently connected
+ *   - Your own name as the other staff see it (kept per browser)
+ *   - For the owner: the co-instructor invite link
+ *
+ * `staff` is Array<{ role: "owner" | "coInstructor", name, connected }> as
+ * sent in "staffUpdate", kept up to date by TeacherView. `staffToken` is
+ * only given to the owner. Emits "setStaffName" with { code, name }.
+ */
+
+import { useState } from "react";
+import { useSocket } from "../SocketContext.jsx";
+import { useLocale } from "../LocaleContext.jsx";
+import { loadStaffName, saveStaffName } from "../teacherSession.js";
+
+export default function StaffPanel({ sessionCode, staff, staffToken }) {
+  const socket = useSocket();
+  const { t } = useLocale();
+  const [name, setName] = useState(loadStaffName() || "");
+  const [copied, setCopied] = useState(false);
+
+  const inviteUrl =
+    staffToken &&
+    `${window.location.origin}/teach/${sessionCode}?token=${encodeURIComponent(staffToken)}`;
+
+  function handleName(e) {
+    e.preventDefault();
+    saveStaffName(name.trim());
+    socket.emit("setStaffName", { code: sessionCode, name });
+  }
+
+  function copyInvite() {
+    navigator.clipboard
+      ?.writeText(inviteUrl)
+      .then(() => setCopied(true))
+      .catch(() => setCopied(false));
+  }
+
+  return (
+    <div className="staff-panel">
+      <ul className="staff-list">
+        {staff.map((member, idx) => (
+          <li key={idx} className={member.connected ? "connected" : ""}>
+            <span className="staff-dot" aria-hidden="true" />
+            {member.name || t(`staff.roles.${member.role}`)}
+            {member.name && <small> · {t(`staff.roles.${member.role}`)}</small>}
+            {!member.connected && <small> {t("staff.offline")}</small>}
+          </li>
+        ))}
+      </ul>
+
+      <form className="staff-name" onSubmit={handleName}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t("staff.namePlaceholder")}
+          maxLength={40}
+        />
+        <button type="submit" className="btn btn-secondary btn-small">
+          {t("staff.setName")}
+        </button>
+      </form>
+
+      {inviteUrl && (
+        <div className="staff-invite">
+          <span>{t("staff.invite")}</span>
+          <input
+            type="text"
+            readOnly
+            value={inviteUrl}
+            onFocus={(e) => e.target.select()}
+          />
+          {navigator.clipboard && (
+            <button className="btn btn-secondary btn-small" onClick={copyInvite}>
+              {t(copied ? "staff.copied" : "staff.copyLink")}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
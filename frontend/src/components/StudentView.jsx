@@ -1,62 +1,257 @@
 /**
- * StudentView.jsx — Shows four emoji buttons for the student to
- * indicate their current understanding level.
+ * StudentView.jsx — Shows one emoji button per level of the session's
+ * feedback scale for the student to indicate how the lecture is going.
  *
  * - Highlights the currently selected emoji.
+ * - Keyboard shortcuts: 1–n pick the scale's levels in order; the buttons
+ *   stay focusable during the debounce so keyboard focus isn't lost.
  * - Implements client-side debounce (1 second) to prevent spam.
- * - Emits "feedback" socket event with { code, level }.
+ * - Emits "feedback" socket event with { code, level } and shows the level
+ *   as saved only once the server acknowledges it. While the connection is
+ *   down the latest level waits, and is sent again once the server has put
+ *   the student back into the session; a refused level reverts to the last
+ *   saved one. The connection state is shown on top (see ConnectionStatus).
+ * - Anonymous questions with upvoting (see QuestionBox).
+ * - Shows the instructor's open poll as an overlay (see PollOverlay).
+ * - Starts from the level the server last had for this student, and resyncs
+ *   when "joinedSession" comes again after a reconnect (StudentRoute rejoins
+ *   every time, so this holds after outages of any length).
+ * - Tells the student what the staff can see of them (`visibility`, see
+ *   backend/access.js) when the session isn't anonymous.
+ * - Asks "still with me?" with a countdown while the staff run a check-in
+ *   ("checkIn" / "checkInEnded"); confirming emits "confirmLevel", and so
+ *   does sending feedback count as an answer.
+ * - Shows the level faded once it has gone stale (see backend/freshness.js),
+ *   and follows the server when it resets it ("levelUpdate").
+ * - Speaks the student's own language (see LocaleContext.jsx), preset scale
+ *   labels included.
  */
 
-import { useState, useRef, useCallback } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import { useSocket } from "../SocketContext.jsx";
-
-const FEEDBACK_OPTIONS = [
-  { level: "gotit", emoji: "\uD83D\uDE0A", label: "Got it" },
-  { level: "neutral", emoji: "\uD83D\uDE10", label: "Neutral" },
-  { level: "confused", emoji: "\uD83D\uDE15", label: "Confused" },
-  { level: "lost", emoji: "\uD83D\uDE35", label: "Lost" },
-];
+import { useLocale, useLocaleScale } from "../LocaleContext.jsx";
+import PollOverlay from "./PollOverlay.jsx";
+import QuestionBox from "./QuestionBox.jsx";
+import ConnectionStatus from "./ConnectionStatus.jsx";
+import { levelLabel } from "../feedbackLevels.js";
 
 const DEBOUNCE_MS = 1000;
+const ACK_TIMEOUT_MS = 5000; // no acknowledgement by then: send it again
+const RESEND_DELAY_MS = 3000;
+
+// Sessions where the staff see more than anonymous counts tell students so
+const NOTICE_VISIBILITIES = ["attendance", "individual"];
 
-export default function StudentView({ sessionCode, onLeave }) {
+export default function StudentView({
+  sessionCode,
+  scale: sessionScale,
+  initialLevel,
+  initialStale,
+  visibility,
+  onLeave,
+}) {
   const socket = useSocket();
-  const [selected, setSelected] = useState("neutral"); // default state
+  const { t, translateError } = useLocale();
+  const scale = useLocaleScale(sessionScale);
+  const [selected, setSelected] = useState(initialLevel || scale.defaultLevel);
+  const [stale, setStale] = useState(Boolean(initialStale));
   const [disabled, setDisabled] = useState(false);
+  const [checkIn, setCheckIn] = useState(null); // { id, endsAt } until answered or over
+  const [now, setNow] = useState(Date.now);
+  // Of the last level picked: null | "sending" | "queued" | "saved"
+  const [delivery, setDelivery] = useState(null);
+  const [feedbackError, setFeedbackError] = useState(null); // a refused level
   const timerRef = useRef(null);
+  const pendingRef = useRef(null); // level not acknowledged yet
+  const savedRef = useRef(selected); // level the server last applied
+  const resendTimerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(resendTimerRef.current), []);
+
+  // ── Sending feedback ───────────────────────────────────────────────────────
+  // Sends the pending level and waits for the server to acknowledge it. An
+  // answer about an older level is ignored: the newer one is on its way.
+  const sendPending = useCallback(
+    function send() {
+      const level = pendingRef.current;
+      clearTimeout(resendTimerRef.current);
+      if (!level) return;
+      if (!socket.connected) {
+        setDelivery("queued"); // sent again on rejoining
+        return;
+      }
+
+      setDelivery("sending");
+      socket.timeout(ACK_TIMEOUT_MS).emit("feedback", { code: sessionCode, level }, (err, result) => {
+        if (pendingRef.current !== level) return;
+
+        if (err || result.errorCode === "feedbackTooFast") {
+          setDelivery("queued");
+          resendTimerRef.current = setTimeout(send, err ? RESEND_DELAY_MS : result.params.retryMs);
+          return;
+        }
+
+        pendingRef.current = null;
+        if (result.ok) {
+          savedRef.current = level;
+          setDelivery("saved");
+        } else {
+          setSelected(savedRef.current);
+          setDelivery(null);
+          setFeedbackError(result);
+        }
+      });
+    },
+    [socket, sessionCode]
+  );
+
+  // ── Resync after a reconnect ───────────────────────────────────────────────
+  // A level picked while offline wins over the one the server still has
+  useEffect(() => {
+    function onJoinedSession({ level, stale }) {
+      if (pendingRef.current) {
+        sendPending();
+        return;
+      }
+      if (level) {
+        setSelected(level);
+        savedRef.current = level;
+      }
+      setStale(Boolean(stale));
+    }
+
+    socket.on("joinedSession", onJoinedSession);
+    return () => socket.off("joinedSession", onJoinedSession);
+  }, [socket, sendPending]);
+
+  // ── Check-ins and stale levels ─────────────────────────────────────────────
+  useEffect(() => {
+    function onCheckIn({ id, durationMs }) {
+      setCheckIn({ id, endsAt: Date.now() + durationMs });
+      setNow(Date.now());
+    }
+    function onCheckInEnded({ id }) {
+      setCheckIn((current) => (current?.id === id ? null : current));
+    }
+    function onLevelUpdate({ level, stale }) {
+      if (pendingRef.current) return; // about to be replaced anyway
+      setSelected(level);
+      savedRef.current = level;
+      setStale(stale);
+    }
+
+    socket.on("checkIn", onCheckIn);
+    socket.on("checkInEnded", onCheckInEnded);
+    socket.on("levelUpdate", onLevelUpdate);
+    return () => {
+      socket.off("checkIn", onCheckIn);
+      socket.off("checkInEnded", onCheckInEnded);
+      socket.off("levelUpdate", onLevelUpdate);
+    };
+  }, [socket]);
+
+  // Tick the check-in countdown
+  useEffect(() => {
+    if (!checkIn) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [checkIn]);
+
+  function handleConfirm() {
+    socket.emit("confirmLevel", { code: sessionCode });
+    setStale(false);
+    setCheckIn(null);
+  }
 
   const handleClick = useCallback(
     (level) => {
       if (disabled) return;
 
       setSelected(level);
-      socket.emit("feedback", { code: sessionCode, level });
+      setStale(false);
+      setCheckIn(null); // feedback answers a check-in too
+      setFeedbackError(null);
+      pendingRef.current = level;
+      sendPending();
 
       // Client-side debounce: disable buttons for DEBOUNCE_MS
       setDisabled(true);
       timerRef.current = setTimeout(() => setDisabled(false), DEBOUNCE_MS);
     },
-    [disabled, sessionCode, socket]
+    [disabled, sendPending]
   );
 
+  // ── Keyboard shortcuts ─────────────────────────────────────────────────────
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.repeat || e.altKey || e.ctrlKey || e.metaKey) return;
+      // Typing a question, or answering a poll
+      if (e.target.closest?.("input, textarea, select, [contenteditable], [role=dialog]")) {
+        return;
+      }
+
+      const level = scale.levels[Number(e.key) - 1];
+      if (!level) return;
+      e.preventDefault();
+      handleClick(level.key);
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [handleClick, scale.levels]);
+
+  const selectedLevel = scale.levels.find((l) => l.key === selected);
+  const secondsLeft = checkIn ? Math.max(0, Math.ceil((checkIn.endsAt - now) / 1000)) : 0;
+
   return (
     <div className="student-view">
+      <ConnectionStatus />
+
       <p className="session-info">
-        Session: <strong>{sessionCode}</strong>
+        {t("student.session")} <strong>{sessionCode}</strong>
       </p>
 
-      <p className="instruction">How well do you understand?</p>
+      {NOTICE_VISIBILITIES.includes(visibility) && (
+        <p className={`privacy-notice privacy-${visibility}`}>
+          {t(`student.visibility.${visibility}`)}
+        </p>
+      )}
+
+      {/* Kept mounted so screen readers announce the prompt when it appears */}
+      <div aria-live="assertive">
+        {checkIn && selectedLevel && (
+          <div className="check-in-prompt">
+            <p>
+              {t("student.checkInPrompt")}{" "}
+              <span className="check-in-countdown" aria-hidden="true">
+                ({secondsLeft}s)
+              </span>
+            </p>
+            <button className="btn btn-primary" onClick={handleConfirm}>
+              {t("student.checkInConfirm", { level: levelLabel(selectedLevel) })}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <p className="instruction" id="feedback-instruction">
+        {t("student.instruction", { scale: scale.name })}
+      </p>
 
-      <div className="emoji-grid">
-        {FEEDBACK_OPTIONS.map(({ level, emoji, label }) => (
+      <div className="emoji-grid" role="group" aria-labelledby="feedback-instruction">
+        {scale.levels.map(({ key, emoji, label }, idx) => (
           <button
-            key={level}
-            className={`emoji-btn ${selected === level ? "selected" : ""} ${
+            key={key}
+            className={`emoji-btn ${selected === key ? "selected" : ""} ${
+              selected === key && stale ? "stale" : ""
+            } ${selected === key && delivery === "queued" ? "unsent" : ""} ${
               disabled ? "cooldown" : ""
             }`}
-            onClick={() => handleClick(level)}
-            disabled={disabled}
+            onClick={() => handleClick(key)}
+            aria-disabled={disabled}
+            aria-pressed={selected === key}
             aria-label={label}
+            aria-keyshortcuts={String(idx + 1)}
           >
             <span className="emoji" role="img" aria-hidden="true">
               {emoji}
@@ -66,19 +261,39 @@ export default function StudentView({ sessionCode, onLeave }) {
         ))}
       </div>
 
-      {selected && (
-        <p className="current-state">
-          Your current status:{" "}
-          <strong>
-            {FEEDBACK_OPTIONS.find((o) => o.level === selected)?.emoji}{" "}
-            {FEEDBACK_OPTIONS.find((o) => o.level === selected)?.label}
-          </strong>
+      <p className="shortcut-hint">
+        {t("student.shortcutHint", { count: scale.levels.length })}
+      </p>
+
+      {selectedLevel && (
+        <p className="current-state" aria-live="polite">
+          {t("student.currentStatus")} <strong>{levelLabel(selectedLevel)}</strong>
+          {delivery && (
+            <span className={`delivery delivery-${delivery}`}>
+              {" "}
+              · {t(`student.delivery.${delivery}`)}
+            </span>
+          )}
         </p>
       )}
+      {feedbackError && <p className="error-message">{translateError(feedbackError)}</p>}
+
+      {stale && !checkIn && (
+        <p className="stale-notice">
+          {t("student.staleNotice")}{" "}
+          <button className="btn btn-link" onClick={handleConfirm}>
+            {t("student.keepStatus")}
+          </button>
+        </p>
+      )}
+
+      <QuestionBox sessionCode={sessionCode} />
 
       <button className="btn btn-link" onClick={onLeave}>
-        Leave Session
+        {t("student.leave")}
       </button>
+
+      <PollOverlay sessionCode={sessionCode} />
     </div>
   );
 }
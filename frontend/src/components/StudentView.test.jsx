@@ -0,0 +1,102 @@
+/**
+ * StudentView.test.jsx — The student's feedback buttons from the keyboard:
+ * 1–n pick the scale's levels, but not while typing a question or
+ * answering a poll; and the view passes the automated a11y checks.
+ */
+
+import { describe, it, expect } from "vitest";
+import { act, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { axe } from "jest-axe";
+import StudentView from "./StudentView.jsx";
+import { fakeSocket } from "../test/fakeSocket.js";
+import { renderWithProviders, SCALE } from "../test/render.jsx";
+
+function renderStudentView() {
+  return renderWithProviders(
+    <StudentView sessionCode="ABC123" scale={SCALE} initialLevel="neutral" onLeave={() => {}} />
+  );
+}
+
+const feedbackSent = () =>
+  fakeSocket.emit.mock.calls
+    .filter(([event]) => event === "feedback")
+    .map(([, payload]) => payload);
+
+describe("StudentView keyboard shortcuts", () => {
+  it("picks the scale's levels by number", async () => {
+    const user = userEvent.setup();
+    renderStudentView();
+
+    await user.keyboard("3");
+
+    expect(feedbackSent()).toEqual([{ code: "ABC123", level: "confused" }]);
+    expect(screen.getByRole("button", { name: "Confused" })).toHaveAttribute(
+      "aria-pressed",
+      "true"
+    );
+    expect(screen.getByRole("button", { name: "Neutral" })).toHaveAttribute(
+      "aria-pressed",
+      "false"
+    );
+  });
+
+  it("tells assistive technology about the shortcuts", () => {
+    renderStudentView();
+
+    SCALE.levels.forEach((level, idx) => {
+      expect(screen.getByRole("button", { name: level.label })).toHaveAttribute(
+        "aria-keyshortcuts",
+        String(idx + 1)
+      );
+    });
+  });
+
+  it("ignores numbers outside the scale and with modifier keys", async () => {
+    const user = userEvent.setup();
+    renderStudentView();
+
+    await user.keyboard("5");
+    await user.keyboard("{Control>}1{/Control}");
+
+    expect(feedbackSent()).toEqual([]);
+  });
+
+  it("ignores numbers typed into a question", async () => {
+    const user = userEvent.setup();
+    renderStudentView();
+
+    await user.type(screen.getByRole("textbox"), "Why is step 2 needed?");
+
+    expect(feedbackSent()).toEqual([]);
+  });
+
+  it("ignores numbers while a poll is open", async () => {
+    const user = userEvent.setup();
+    renderStudentView();
+
+    act(() =>
+      fakeSocket.receive("pollOpened", {
+        poll: {
+          id: "p1",
+          type: "rating",
+          question: "How clear was the proof?",
+          options: ["1", "2", "3", "4", "5"],
+          answer: null,
+        },
+      })
+    );
+    // The poll takes keyboard focus when it opens
+    expect(screen.getByRole("dialog")).toContainElement(document.activeElement);
+
+    await user.keyboard("2");
+
+    expect(feedbackSent()).toEqual([]);
+  });
+
+  it("has no detectable accessibility violations", async () => {
+    const { container } = renderStudentView();
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
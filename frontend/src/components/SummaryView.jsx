@@ -0,0 +1,188 @@
+/**
+ * SummaryView.jsx — Post-session report shown to the instructor after
+ * ending a session:
+ *   - Duration and peak participant count
+ *   - Average / peak share of the scale's alert levels (e.g. Confused + Lost)
+ *   - Time spent above the alert threshold
+ *   - Timeline of levels over the whole session, with topic / slide markers
+ *   - Per-segment breakdown (see SegmentBreakdown)
+ *   - Results of the polls that were run
+ *   - CSV and JSON downloads (served by GET /api/sessions/:code/report,
+ *     fetched with the token in the Authorization header so it stays out of
+ *     URLs, history and server logs)
+ *
+ * Shown in the instructor's language, preset scale labels included.
+ */
+
+import { useState } from "react";
+import TimelineChart from "./TimelineChart.jsx";
+import SegmentBreakdown from "./SegmentBreakdown.jsx";
+import { usePaletteScale } from "../PaletteContext.jsx";
+import { useLocale, useLocaleScale } from "../LocaleContext.jsx";
+import { alertLevelsLabel } from "../feedbackLevels.js";
+
+// "1h 05m 12s" style duration
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+  return h > 0 ? `${h}h ${pad(m)}m ${pad(s)}s` : `${m}m ${pad(s)}s`;
+}
+
+const formatPct = (share) => `${(share * 100).toFixed(0)}%`;
+
+// The server ended the session rather than the instructor (summary.autoEnd)
+const AUTO_END_REASONS = ["teacher-left", "expired", "idle"];
+
+// Fetch the report in the given format and hand it to the browser as a file
+function downloadReport(code, teacherToken, format) {
+  const query = format === "csv" ? "format=csv" : "download=1";
+  return fetch(`/api/sessions/${code}/report?${query}`, {
+    headers: { Authorization: `Bearer ${teacherToken}` },
+  }).then((res) => {
+    if (!res.ok) {
+      return res
+        .json()
+        .catch(() => ({ errorCode: "reportLoadFailed" }))
+        .then((failure) => Promise.reject(failure));
+    }
+    return res.blob().then((blob) => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `session-${code}-report.${format}`;
+      link.click();
+      // Some browsers still read the URL after click() returns
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    });
+  });
+}
+
+export default function SummaryView({ report, teacherToken, onDone }) {
+  const { t, pollOption, translateError } = useLocale();
+  const [downloadError, setDownloadError] = useState(null);
+  const scale = useLocaleScale(usePaletteScale(report.scale));
+  const alertLabel = alertLevelsLabel(scale, " + ");
+
+  const stats = [
+    { label: t("summary.duration"), value: formatDuration(report.durationMs) },
+    { label: t("summary.peakParticipants"), value: report.peakParticipants },
+    {
+      label: t("summary.averageShare", { levels: alertLabel }),
+      value: formatPct(report.averageConfusedShare),
+    },
+    {
+      label: t("summary.peakShare", { levels: alertLabel }),
+      value: formatPct(report.peakConfusedShare),
+    },
+    {
+      label: t("summary.timeAbove", { share: formatPct(report.alertThreshold) }),
+      value: formatDuration(report.timeAboveThresholdMs),
+    },
+  ];
+
+  function download(format) {
+    setDownloadError(null);
+    downloadReport(report.code, teacherToken, format).catch((failure) =>
+      setDownloadError(failure?.errorCode ? failure : { errorCode: "serverUnreachable" })
+    );
+  }
+
+  return (
+    <div className="summary-view">
+      <h2>{t("summary.heading", { code: report.code })}</h2>
+      {report.course && (
+        <p className="summary-note">
+          {t("teacher.lecture", { course: report.course.name, number: report.course.number })}
+          {report.course.title && `: ${report.course.title}`}
+        </p>
+      )}
+      {AUTO_END_REASONS.includes(report.endReason) && (
+        <p className="summary-note">{t(`summary.autoEnd.${report.endReason}`)}</p>
+      )}
+
+      <div className="stats-grid">
+        {stats.map(({ label, value }) => (
+          <div key={label} className="stat-card">
+            <span className="stat-label">{label}</span>
+            <span className="stat-value">{value}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="chart-container">
+        {report.history.length < 2 ? (
+          <p className="waiting-message">{t("summary.noTimeline")}</p>
+        ) : (
+          <TimelineChart
+            scale={scale}
+            history={report.history}
+            segments={report.segments}
+          />
+        )}
+      </div>
+
+      {report.segments?.length > 0 && (
+        <div className="segment-panel">
+          <h3>{t("segments.heading")}</h3>
+          <SegmentBreakdown
+            scale={scale}
+            segments={report.segments}
+            threshold={report.alertThreshold}
+          />
+        </div>
+      )}
+
+      {report.polls?.length > 0 && (
+        <div className="poll-panel">
+          <h3>{t("polls.results")}</h3>
+          <ul className="poll-list">
+            {report.polls.map((poll) => (
+              <li key={poll.id} className="poll-item">
+                <div className="poll-item-header">
+                  <span className="poll-question">{poll.question}</span>
+                  <span className="poll-status">
+                    {t("polls.answers", { count: poll.responses })}
+                  </span>
+                </div>
+                {poll.options.map((option, i) => (
+                  <div key={i} className="poll-result-row">
+                    <span className="poll-option">{pollOption(poll.type, option)}</span>
+                    <span className="poll-bar">
+                      <span
+                        style={{
+                          width: `${
+                            poll.responses > 0
+                              ? (poll.counts[i] / poll.responses) * 100
+                              : 0
+                          }%`,
+                        }}
+                      />
+                    </span>
+                    <span className="poll-count">{poll.counts[i]}</span>
+                  </div>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="summary-actions">
+        <button className="btn btn-secondary" onClick={() => download("csv")}>
+          {t("summary.downloadCsv")}
+        </button>
+        <button className="btn btn-secondary" onClick={() => download("json")}>
+          {t("summary.downloadJson")}
+        </button>
+      </div>
+      {downloadError && <p className="error-message">{translateError(downloadError)}</p>}
+
+      <button className="btn btn-link" onClick={onDone}>
+        {t(report.course ? "summary.backToCourse" : "app.backToStart")}
+      </button>
+    </div>
+  );
+}
@@ -1,55 +1,83 @@
 /**
  * TeacherView.jsx — Instructor dashboard showing:
- *   - Session code (+ QR code for easy sharing)
+ *   - Session code (+ QR code for easy sharing) and the passcode, if any
+ *   - The course and lecture number, for a course's lecture
  *   - Total participant count
+ *   - Connected staff and the co-instructor invite link (see StaffPanel)
+ *   - Projector display link and its "hide numbers" setting (see DisplayPanel)
+ *   - Joined vs. missing students for roster / named sessions (see RosterPanel)
  *   - Live pie chart of student understanding levels
- *   - Numeric percentage breakdown
- *   - Alert when confused+lost exceeds a threshold
+ *   - Stacked timeline of levels over the session
+ *   - Numeric percentage breakdown, also read out to screen readers every
+ *     so often (see AggregateAnnouncer)
+ *   - Confusion alerts from the server's alert engine (see AlertPanel)
+ *   - "Still with me?" check-ins and the stale feedback policy (see FreshnessPanel)
+ *   - Topic / slide markers with a live per-segment breakdown (see SegmentPanel)
+ *   - Quick polls (see PollPanel)
+ *   - Ranked queue of anonymous student questions (see QuestionQueue)
  *   - End Session button
  *
- * Listens for "aggregateUpdate" socket events with shape:
- *   { gotit, neutral, confused, lost, total }
+ * Co-instructors (snapshot.role "coInstructor") get the same live dashboard
+ * and moderation, but not the display controls, alert or staleness settings
+ * or End Session, which are the owner's.
+ *
+ * Listens for "aggregateUpdate" socket events with one count per level of
+ * the session's scale, counting fresh feedback, plus the stale feedback:
+ * { [levelKey]: count, total, stale: { [levelKey]: count }, staleTotal }
+ * and "historyPoint" events with a bucket timestamp `t`, the level counts,
+ * `total` and `staleTotal`.
+ * "segmentsUpdate" events carry the per-segment breakdown and "alertsUpdate"
+ * events the alert settings and history; "displaySettings" events the
+ * projector display's settings, "staffUpdate" events who's connected,
+ * "rosterUpdate" events who has joined and "freshnessUpdate" events the
+ * check-ins and staleness settings.
+ * `snapshot` ({ role, scale, aggregate, history, segments, alerts, display,
+ * staff, access, roster, course, freshness, staffToken?, displayToken? })
+ * seeds the dashboard when a session is resumed; a "sessionResumed" while mounted
+ * replaces the state the same way.
  */
 
 import { useState, useEffect } from "react";
-import {
-  PieChart,
-  Pie,
-  Cell,
-  Tooltip,
-  Legend,
-  ResponsiveContainer,
-} from "recharts";
 import { QRCodeSVG } from "qrcode.react";
 import { useSocket } from "../SocketContext.jsx";
+import { usePaletteScale } from "../PaletteContext.jsx";
+import { useLocale, useLocaleScale } from "../LocaleContext.jsx";
+import FeedbackPie from "./FeedbackPie.jsx";
+import TimelineChart from "./TimelineChart.jsx";
+import DisplayPanel from "./DisplayPanel.jsx";
+import StaffPanel from "./StaffPanel.jsx";
+import RosterPanel from "./RosterPanel.jsx";
+import PollPanel from "./PollPanel.jsx";
+import SegmentPanel from "./SegmentPanel.jsx";
+import AlertPanel from "./AlertPanel.jsx";
+import FreshnessPanel from "./FreshnessPanel.jsx";
+import AggregateAnnouncer from "./AggregateAnnouncer.jsx";
+import QuestionQueue from "./QuestionQueue.jsx";
+import { levelLabel, STALE_COLOR } from "../feedbackLevels.js";
+
+const EMPTY_AGGREGATE = { total: 0 };
 
-// Color palette matching feedback sentiment
-const COLORS = {
-  gotit: "#4CAF50",    // green
-  neutral: "#2196F3",  // blue
-  confused: "#FF9800", // orange
-  lost: "#F44336",     // red
-};
-
-const LABELS = {
-  gotit: "\uD83D\uDE0A Got it",
-  neutral: "\uD83D\uDE10 Neutral",
-  confused: "\uD83D\uDE15 Confused",
-  lost: "\uD83D\uDE35 Lost",
-};
-
-// Alert if confused + lost exceeds this fraction of total
-const ALERT_THRESHOLD = 0.3;
-
-export default function TeacherView({ sessionCode, onEnd }) {
+export default function TeacherView({
+  sessionCode,
+  teacherToken,
+  snapshot,
+  error,
+  onEnd,
+}) {
   const socket = useSocket();
-  const [aggregate, setAggregate] = useState({
-    gotit: 0,
-    neutral: 0,
-    confused: 0,
-    lost: 0,
-    total: 0,
-  });
+  const { t } = useLocale();
+  const scale = useLocaleScale(usePaletteScale(snapshot.scale));
+  const isOwner = snapshot.role === "owner";
+  const [aggregate, setAggregate] = useState(
+    snapshot?.aggregate || EMPTY_AGGREGATE
+  );
+  const [history, setHistory] = useState(snapshot?.history || []);
+  const [segments, setSegments] = useState(snapshot?.segments || []);
+  const [alertsView, setAlertsView] = useState(snapshot.alerts);
+  const [displaySettings, setDisplaySettings] = useState(snapshot.display);
+  const [staff, setStaff] = useState(snapshot.staff);
+  const [roster, setRoster] = useState(snapshot.roster);
+  const [freshness, setFreshness] = useState(snapshot.freshness);
 
   // ── Listen for real-time aggregate updates ─────────────────────────────────
   useEffect(() => {
@@ -57,34 +85,87 @@ export default function TeacherView({ sessionCode, onEnd }) {
       setAggregate(data);
     }
 
+    // The server re-sends the current bucket's point on every change, so
+    // replace the last point when the timestamps match instead of appending.
+    function onHistoryPoint(point) {
+      setHistory((prev) => {
+        const last = prev[prev.length - 1];
+        if (last && last.t === point.t) {
+          return [...prev.slice(0, -1), point];
+        }
+        return [...prev, point];
+      });
+    }
+
+    // Reconnected while the dashboard was open: catch up on missed changes
+    function onSessionResumed({
+      aggregate,
+      history,
+      segments,
+      alerts,
+      display,
+      staff,
+      roster,
+      freshness,
+    }) {
+      setAggregate(aggregate);
+      setHistory(history);
+      setSegments(segments);
+      setAlertsView(alerts);
+      setDisplaySettings(display);
+      setStaff(staff);
+      setRoster(roster);
+      setFreshness(freshness);
+    }
+
+    function onStaffUpdate({ staff }) {
+      setStaff(staff);
+    }
+
+    function onRosterUpdate({ roster }) {
+      setRoster(roster);
+    }
+
+    function onSegmentsUpdate({ segments }) {
+      setSegments(segments);
+    }
+
+    function onAlertsUpdate(view) {
+      setAlertsView(view);
+    }
+
     socket.on("aggregateUpdate", onAggregateUpdate);
-    return () => socket.off("aggregateUpdate", onAggregateUpdate);
+    socket.on("historyPoint", onHistoryPoint);
+    socket.on("sessionResumed", onSessionResumed);
+    socket.on("segmentsUpdate", onSegmentsUpdate);
+    socket.on("alertsUpdate", onAlertsUpdate);
+    socket.on("displaySettings", setDisplaySettings);
+    socket.on("staffUpdate", onStaffUpdate);
+    socket.on("rosterUpdate", onRosterUpdate);
+    socket.on("freshnessUpdate", setFreshness);
+    return () => {
+      socket.off("aggregateUpdate", onAggregateUpdate);
+      socket.off("historyPoint", onHistoryPoint);
+      socket.off("sessionResumed", onSessionResumed);
+      socket.off("segmentsUpdate", onSegmentsUpdate);
+      socket.off("alertsUpdate", onAlertsUpdate);
+      socket.off("displaySettings", setDisplaySettings);
+      socket.off("staffUpdate", onStaffUpdate);
+      socket.off("rosterUpdate", onRosterUpdate);
+      socket.off("freshnessUpdate", setFreshness);
+    };
   }, [socket]);
 
   // ── Derived data ───────────────────────────────────────────────────────────
-  const { total } = aggregate;
-
-  // Build chart data array (exclude categories with 0 for cleaner chart)
-  const chartData = ["gotit", "neutral", "confused", "lost"]
-    .map((key) => ({
-      name: LABELS[key],
-      value: aggregate[key],
-      color: COLORS[key],
-    }))
-    .filter((d) => d.value > 0);
+  const { total, staleTotal = 0 } = aggregate;
 
   // Percentage helper
   const pct = (val) => (total > 0 ? ((val / total) * 100).toFixed(1) : "0.0");
 
-  // Threshold alert
-  const confusedFraction =
-    total > 0 ? (aggregate.confused + aggregate.lost) / total : 0;
-  const showAlert = total > 0 && confusedFraction > ALERT_THRESHOLD;
-
   // Build a join URL for the QR code (assumes same origin)
   const joinUrl =
     typeof window !== "undefined"
-      ? `${window.location.origin}?code=${sessionCode}`
+      ? `${window.location.origin}/join/${sessionCode}`
       : "";
 
   return (
@@ -92,8 +173,22 @@ export default function TeacherView({ sessionCode, onEnd }) {
       {/* Session info header */}
       <div className="session-header">
         <div className="session-code-display">
-          <span className="label">Session Code</span>
+          <span className="label">{t("teacher.sessionCode")}</span>
           <span className="code">{sessionCode}</span>
+          {snapshot.course && (
+            <span className="label">
+              {t("teacher.lecture", {
+                course: snapshot.course.name,
+                number: snapshot.course.number,
+              })}
+              {snapshot.course.title && `: ${snapshot.course.title}`}
+            </span>
+          )}
+          {snapshot.access.passcode && (
+            <span className="label">
+              {t("teacher.passcode")} <strong className="passcode">{snapshot.access.passcode}</strong>
+            </span>
+          )}
         </div>
 
         {/* QR code for easy mobile joining */}
@@ -104,68 +199,121 @@ export default function TeacherView({ sessionCode, onEnd }) {
         )}
 
         <div className="participant-count">
-          <span className="label">Participants</span>
+          <span className="label">{t("teacher.participants")}</span>
           <span className="count">{total}</span>
         </div>
       </div>
 
-      {/* Alert banner */}
-      {showAlert && (
-        <div className="alert-banner">
-          &#x26A0; {(confusedFraction * 100).toFixed(0)}% of students are
-          Confused or Lost
-        </div>
+      <AggregateAnnouncer scale={scale} aggregate={aggregate} />
+
+      <StaffPanel
+        sessionCode={sessionCode}
+        staff={staff}
+        staffToken={snapshot.staffToken}
+      />
+
+      {isOwner && (
+        <DisplayPanel
+          sessionCode={sessionCode}
+          teacherToken={teacherToken}
+          displayToken={snapshot.displayToken}
+          settings={displaySettings}
+        />
       )}
 
-      {/* Pie chart */}
-      <div className="chart-container">
-        {total === 0 ? (
-          <p className="waiting-message">
-            Waiting for students to join and send feedback...
-          </p>
-        ) : (
-          <ResponsiveContainer width="100%" height={300}>
-            <PieChart>
-              <Pie
-                data={chartData}
-                dataKey="value"
-                nameKey="name"
-                cx="50%"
-                cy="50%"
-                outerRadius={100}
-                label={({ name, value }) => `${name}: ${value}`}
-              >
-                {chartData.map((entry, idx) => (
-                  <Cell key={idx} fill={entry.color} />
-                ))}
-              </Pie>
-              <Tooltip
-                formatter={(value, name) => [`${value} (${pct(value)}%)`, name]}
-              />
-              <Legend />
-            </PieChart>
-          </ResponsiveContainer>
-        )}
+      {roster && <RosterPanel scale={scale} roster={roster} access={snapshot.access} />}
+
+      <AlertPanel
+        sessionCode={sessionCode}
+        teacherToken={teacherToken}
+        scale={scale}
+        view={alertsView}
+        canEditSettings={isOwner}
+      />
+
+      <FreshnessPanel
+        sessionCode={sessionCode}
+        teacherToken={teacherToken}
+        view={freshness}
+        canEditSettings={isOwner}
+      />
+
+      <div className="charts-row">
+        {/* Pie chart */}
+        <div className="chart-container">
+          {total === 0 ? (
+            <p className="waiting-message">{t("teacher.waitingForFeedback")}</p>
+          ) : (
+            <FeedbackPie scale={scale} aggregate={aggregate} />
+          )}
+        </div>
+
+        {/* Timeline of levels over the session */}
+        <div className="chart-container">
+          {history.length < 2 ? (
+            <p className="waiting-message">{t("teacher.waitingForTimeline")}</p>
+          ) : (
+            <TimelineChart scale={scale} history={history} segments={segments} />
+          )}
+        </div>
       </div>
 
       {/* Numeric breakdown */}
       {total > 0 && (
         <div className="stats-grid">
-          {["gotit", "neutral", "confused", "lost"].map((key) => (
-            <div key={key} className="stat-card" style={{ borderColor: COLORS[key] }}>
-              <span className="stat-label">{LABELS[key]}</span>
+          {scale.levels.map((level) => (
+            <div
+              key={level.key}
+              className="stat-card"
+              style={{ borderColor: level.color }}
+            >
+              <span className="stat-label">{levelLabel(level)}</span>
               <span className="stat-value">
-                {aggregate[key]}{" "}
-                <small>({pct(aggregate[key])}%)</small>
+                {aggregate[level.key] || 0}{" "}
+                <small>({pct(aggregate[level.key] || 0)}%)</small>
               </span>
             </div>
           ))}
+          {staleTotal > 0 && (
+            <div className="stat-card stale" style={{ borderColor: STALE_COLOR }}>
+              <span className="stat-label">{t("charts.stale")}</span>
+              <span className="stat-value">
+                {staleTotal} <small>({pct(staleTotal)}%)</small>
+              </span>
+            </div>
+          )}
         </div>
       )}
 
-      <button className="btn btn-danger" onClick={onEnd}>
-        End Session
-      </button>
+      <SegmentPanel
+        sessionCode={sessionCode}
+        teacherToken={teacherToken}
+        scale={scale}
+        segments={segments}
+        threshold={alertsView.settings.threshold}
+      />
+
+      <QuestionQueue
+        sessionCode={sessionCode}
+        teacherToken={teacherToken}
+        initialQuestions={snapshot?.questions}
+      />
+
+      <PollPanel
+        sessionCode={sessionCode}
+        teacherToken={teacherToken}
+        initialPolls={snapshot?.polls}
+      />
+
+      {error && <p className="error-message">{error}</p>}
+
+      {isOwner ? (
+        <button className="btn btn-danger" onClick={onEnd}>
+          {t("teacher.endSession")}
+        </button>
+      ) : (
+        <p className="summary-note">{t("teacher.ownerEnds")}</p>
+      )}
     </div>
   );
 }
@@ -0,0 +1,135 @@
+/**
+ * TimelineChart.jsx — Stacked area chart of feedback levels over time.
+ *
+ * Takes the session's scale and its history as sent by the server: an array of
+ *   { t, [levelKey]: count, total, staleTotal? }
+ * where `t` is the start of each history bucket (ms since epoch); students
+ * with stale feedback are stacked on top in grey.
+ * Optional `segments` (see backend/segments.js) are drawn as labelled
+ * vertical markers where each topic / slide started. Below the chart, the
+ * same history can be opened as a table (newest first) for screen readers
+ * and keyboard users, unless `showTable` is off.
+ */
+
+import {
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { useLocale } from "../LocaleContext.jsx";
+import { levelLabel, segmentLabel, STALE_COLOR } from "../feedbackLevels.js";
+
+// Wall-clock label for x-axis ticks, e.g. "14:05:30"
+const formatTime = (t) =>
+  new Date(t).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+export default function TimelineChart({
+  scale,
+  history,
+  segments = [],
+  height = 300,
+  showTable = true,
+}) {
+  const { t } = useLocale();
+  const hasStale = history.some((point) => point.staleTotal > 0);
+
+  return (
+    <>
+      <div role="img" aria-label={t("charts.timelineLabel")}>
+        <ResponsiveContainer width="100%" height={height}>
+          <AreaChart data={history}>
+            <XAxis
+              dataKey="t"
+              type="number"
+              scale="time"
+              domain={["dataMin", "dataMax"]}
+              tickFormatter={formatTime}
+            />
+            <YAxis allowDecimals={false} />
+            <Tooltip labelFormatter={formatTime} />
+            <Legend />
+            {scale.levels.map((level) => (
+              <Area
+                key={level.key}
+                type="stepAfter"
+                dataKey={level.key}
+                name={levelLabel(level)}
+                stackId="levels"
+                stroke={level.color}
+                fill={level.color}
+                isAnimationActive={false}
+              />
+            ))}
+            {hasStale && (
+              <Area
+                type="stepAfter"
+                dataKey="staleTotal"
+                name={t("charts.stale")}
+                stackId="levels"
+                stroke={STALE_COLOR}
+                fill={STALE_COLOR}
+                isAnimationActive={false}
+              />
+            )}
+            {segments.map((segment) => (
+              <ReferenceLine
+                key={segment.id}
+                x={segment.startedAt}
+                stroke="#555"
+                strokeDasharray="3 3"
+                label={{
+                  value: segmentLabel(segment, t),
+                  position: "insideTopLeft",
+                  fontSize: 11,
+                }}
+              />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+
+      {showTable && (
+        <details className="chart-table">
+          <summary>{t("charts.showTable")}</summary>
+          <div className="chart-table-scroll">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">{t("charts.time")}</th>
+                  {scale.levels.map((level) => (
+                    <th key={level.key} scope="col">
+                      {levelLabel(level)}
+                    </th>
+                  ))}
+                  {hasStale && <th scope="col">{t("charts.stale")}</th>}
+                  <th scope="col">{t("charts.total")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...history].reverse().map((point) => (
+                  <tr key={point.t}>
+                    <th scope="row">{formatTime(point.t)}</th>
+                    {scale.levels.map((level) => (
+                      <td key={level.key}>{point[level.key] || 0}</td>
+                    ))}
+                    {hasStale && <td>{point.staleTotal || 0}</td>}
+                    <td>{point.total}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </details>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,93 @@
+/**
+ * TimelineChart.test.jsx — The timeline's text equivalents: a labelled
+ * chart, and the same history as a table, newest first.
+ */
+
+import { describe, it, expect } from "vitest";
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { axe } from "jest-axe";
+import TimelineChart from "./TimelineChart.jsx";
+import { renderWithProviders, SCALE } from "../test/render.jsx";
+
+const START = new Date(2024, 0, 15, 10, 0, 0).getTime();
+
+const HISTORY = [
+  { t: START, gotit: 3, neutral: 1, total: 4 },
+  { t: START + 5000, gotit: 2, confused: 2, lost: 1, staleTotal: 1, total: 6 },
+];
+
+const formatTime = (t) =>
+  new Date(t).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+async function openTable(user) {
+  await user.click(screen.getByText("Show timeline as a table"));
+  return screen.getByRole("table");
+}
+
+describe("TimelineChart", () => {
+  it("labels the chart", () => {
+    renderWithProviders(<TimelineChart scale={SCALE} history={HISTORY} />);
+
+    expect(
+      screen.getByRole("img", { name: "Timeline of feedback levels over the session" })
+    ).toBeInTheDocument();
+  });
+
+  it("offers the history as a table, newest first", async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<TimelineChart scale={SCALE} history={HISTORY} />);
+
+    const table = await openTable(user);
+    const [header, ...rows] = within(table).getAllByRole("row");
+
+    expect(
+      within(header)
+        .getAllByRole("columnheader")
+        .map((cell) => cell.textContent)
+    ).toEqual([
+      "Time",
+      "😊 Got it",
+      "😐 Neutral",
+      "😕 Confused",
+      "😵 Lost",
+      "No recent feedback",
+      "Total",
+    ]);
+    expect(rows.map((row) => within(row).getByRole("rowheader").textContent)).toEqual([
+      formatTime(START + 5000),
+      formatTime(START),
+    ]);
+    expect(
+      within(rows[0])
+        .getAllByRole("cell")
+        .map((cell) => cell.textContent)
+    ).toEqual(["2", "0", "2", "1", "1", "6"]);
+  });
+
+  it("leaves out the stale column when nothing went stale", async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<TimelineChart scale={SCALE} history={HISTORY.slice(0, 1)} />);
+
+    const table = await openTable(user);
+
+    expect(
+      within(table).queryByRole("columnheader", { name: "No recent feedback" })
+    ).not.toBeInTheDocument();
+  });
+
+  it("has no table on the projector display", () => {
+    renderWithProviders(<TimelineChart scale={SCALE} history={HISTORY} showTable={false} />);
+
+    expect(screen.queryByText("Show timeline as a table")).not.toBeInTheDocument();
+  });
+
+  it("has no detectable accessibility violations", async () => {
+    const user = userEvent.setup();
+    const { container } = renderWithProviders(<TimelineChart scale={SCALE} history={HISTORY} />);
+
+    await openTable(user);
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
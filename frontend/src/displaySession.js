@@ -0,0 +1,23 @@
+/**
+ * displaySession.js — Keeps a projector display's { code, displayToken } in
+ * sessionStorage so the display link's token can be dropped from the
+ * address bar (which is on the projector for everyone to read), and the
+ * display can re-attach with "joinDisplay" after a refresh or reconnect.
+ *
+ * Stored apart from the teacher's session (see teacherSession.js): a window
+ * opened from the dashboard starts with a copy of its sessionStorage.
+ */
+
+const STORAGE_KEY = "lectureFeedback.displaySession";
+
+export function saveDisplaySession(code, displayToken) {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ code, displayToken }));
+}
+
+export function loadDisplaySession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
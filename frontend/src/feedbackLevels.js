@@ -0,0 +1,85 @@
+/**
+ * feedbackLevels.js — Helpers for a session's feedback scale, shared by the
+ * student view, the teacher dashboard and the post-session summary: labels,
+ * colour palettes and text equivalents of the charts.
+ *
+ * Scale shape (sent by the server, see backend/scales.js):
+ *   { name, levels: [{ key, label, emoji, color }], defaultLevel, alertLevels }
+ *
+ * Text helpers take the `t` of useLocale() (see LocaleContext.jsx).
+ */
+
+// Students whose feedback has gone stale (see backend/freshness.js) are
+// shown apart from every level, as charts.stale
+export const STALE_COLOR = "#bdbdbd";
+
+// "😕 Confused" — the label used in charts and legends
+export function levelLabel(level) {
+  return level.emoji ? `${level.emoji} ${level.label}` : level.label;
+}
+
+// "Confused or Lost" — names the alert levels in alert text and stats
+export function alertLevelsLabel(scale, separator) {
+  return scale.levels
+    .filter((level) => scale.alertLevels.includes(level.key))
+    .map((level) => level.label)
+    .join(separator);
+}
+
+// ── Colour palettes ──────────────────────────────────────────────────────────
+// The scale's own colours ("standard") tell levels apart mostly by red vs.
+// green. The other palettes keep every level tellable apart for colour-blind
+// viewers (Okabe–Ito colours): alert levels take the warm colours, the
+// others the cool ones, in scale order. "contrast" also darkens the page's
+// text and borders (see index.css).
+const PALETTE_COLORS = {
+  colorblind: {
+    warm: ["#D55E00", "#E69F00", "#CC79A7", "#F0E442"],
+    cool: ["#0072B2", "#56B4E9", "#009E73", "#999999", "#000000", "#44AA99", "#332288"],
+  },
+  contrast: {
+    warm: ["#A63D00", "#E69F00", "#882255", "#DDCC77"],
+    cool: ["#003F7F", "#56B4E9", "#005A45", "#000000", "#777777", "#44AA99", "#332288"],
+  },
+};
+
+// Named in the UI as app.palettes.<id>
+export const PALETTES = ["standard", "colorblind", "contrast"];
+
+// The scale with its level colours replaced by the palette's
+export function applyPalette(scale, palette) {
+  const colors = PALETTE_COLORS[palette];
+  if (!colors) return scale;
+
+  let warm = 0;
+  let cool = 0;
+  const levels = scale.levels.map((level) => ({
+    ...level,
+    color: scale.alertLevels.includes(level.key)
+      ? colors.warm[warm++ % colors.warm.length]
+      : colors.cool[cool++ % colors.cool.length],
+  }));
+  return { ...scale, levels };
+}
+
+// "12 students: 5 Got it, 3 Confused, 2 without recent feedback" — the
+// aggregate as text, for screen readers
+export function describeAggregate(scale, aggregate, t) {
+  const { total, staleTotal = 0 } = aggregate;
+  if (total === 0) return t("charts.noStudents");
+
+  const parts = scale.levels
+    .filter((level) => aggregate[level.key] > 0)
+    .map((level) => t("charts.levelCount", { count: aggregate[level.key], label: level.label }));
+  if (staleTotal > 0) parts.push(t("charts.staleCount", { count: staleTotal }));
+  return t("charts.aggregate", { count: total, parts: parts.join(", ") });
+}
+
+// "Slide 12: Recursion" — a segment's name in the UI's language. Slide
+// markers are named here; older segments without a `title` keep the
+// server's English label.
+export function segmentLabel(segment, t) {
+  if (segment.kind !== "slide" || segment.title === undefined) return segment.label;
+  const slide = t("segments.slide", { number: segment.slide });
+  return segment.title ? `${slide}: ${segment.title}` : slide;
+}
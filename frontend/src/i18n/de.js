@@ -0,0 +1,460 @@
+/**
+ * de.js — German UI strings (see en.js for the keys; anything missing here
+ * is shown in English)
+ */
+
+export default {
+  app: {
+    title: "Vorlesungs-Feedback",
+    language: "Sprache",
+    colours: "Farben",
+    palettes: {
+      standard: "Standardfarben",
+      colorblind: "Farbenblind-sicher",
+      contrast: "Hoher Kontrast",
+    },
+    joiningSession: "Sitzung {code} wird betreten...",
+    loadingSession: "Sitzung {code} wird geladen...",
+    loadingDisplay: "Anzeige für {code} wird geladen...",
+    loadingCourse: "Kurs wird geladen...",
+    loadingReport: "Bericht wird geladen...",
+    findingLecture: "Die heutige Vorlesung wird gesucht...",
+    tryAgain: "Erneut versuchen",
+    backToStart: "Zurück zum Start",
+  },
+
+  join: {
+    instructorHeading: "Ich bin Lehrende(r)",
+    instructorIntro: "Starten Sie eine neue Feedback-Sitzung für Ihre Veranstaltung.",
+    scale: "Feedback-Skala",
+    customScale: "Eigene…",
+    startSession: "Sitzung starten",
+    courseQuestion: "Unterrichten Sie jede Woche dieselbe Veranstaltung?",
+    courseLink: "Kurs einrichten",
+    or: "oder",
+    studentHeading: "Ich bin Studierende(r)",
+    studentIntro: "Gib den Sitzungscode ein, den deine Lehrkraft geteilt hat.",
+    codePlaceholder: "z. B. ABC123",
+    sessionCode: "Sitzungscode",
+    joinSession: "Sitzung beitreten",
+    recent: "Zuletzt beigetreten:",
+  },
+
+  access: {
+    heading: "Wer beitreten darf",
+    passcode: "Zugangscode (optional)",
+    passcodePlaceholder: "z. B. auf der ersten Folie",
+    roster: "Teilnehmerliste (optional)",
+    rosterOnly: "Nur Studierende aus {file} können beitreten, mit ihrer Matrikelnummer.",
+    rosterHint: "Eine CSV-Datei mit Matrikelnummern oder E-Mail-Adressen in der ersten Spalte.",
+    askName: "Studierende nach ihrem Namen fragen",
+    showIndividual: "Mir das Feedback jeder Person zeigen",
+    individualHint: "Die Studierenden erfahren, dass Sie sehen, wer was gewählt hat.",
+    attendanceHint: "Sie sehen, wer beigetreten ist; das Feedback bleibt anonym.",
+    anonymousHint: "Das Feedback ist anonym.",
+  },
+
+  joinDetails: {
+    heading: "Sitzung {code} beitreten",
+    passcode: "Zugangscode",
+    rosterId: "Matrikelnummer oder E-Mail",
+    name: "Dein Name",
+    submit: "Sitzung beitreten",
+    cancel: "Abbrechen",
+  },
+
+  student: {
+    session: "Sitzung:",
+    visibility: {
+      attendance: "Deine Lehrkraft sieht, dass du beigetreten bist. Dein Feedback bleibt anonym.",
+      individual: "Deine Lehrkraft sieht deinen Namen oder deine Matrikelnummer neben deinem Feedback.",
+    },
+    checkInPrompt: "Noch dabei? Bestätige oder aktualisiere deinen Status",
+    checkInConfirm: "Weiterhin {level}",
+    instruction: "Wie läuft die Vorlesung? ({scale})",
+    shortcutHint: "Tastatur: 1–{count} drücken, um zu wählen.",
+    currentStatus: "Dein aktueller Status:",
+    staleNotice:
+      "Dein Status ist schon etwas älter, deshalb sieht deine Lehrkraft ihn verblasst. Stimmt er noch?",
+    keepStatus: "Ja, beibehalten",
+    delivery: {
+      sending: "Wird gesendet…",
+      queued: "Noch nicht gesendet — wird gesendet, sobald du wieder verbunden bist.",
+      saved: "Gespeichert",
+    },
+    leave: "Sitzung verlassen",
+  },
+
+  connection: {
+    connected: "Verbunden",
+    reconnecting: "Verbindung wird wiederhergestellt…",
+    offline: "Offline",
+    retry: "Erneut versuchen",
+  },
+
+  questions: {
+    placeholder: "Stelle anonym eine Frage...",
+    ask: "Fragen",
+    upvote: "Unterstützen ({count})",
+    yours: "(deine)",
+  },
+
+  poll: {
+    thanks: "Danke, deine Antwort wurde gesendet.",
+    close: "Schließen",
+  },
+
+  ended: {
+    heading: "Die Sitzung ist beendet",
+    reasons: {
+      ended: "Die Lehrkraft hat die Sitzung beendet.",
+      "teacher-left": "Die Sitzung wurde geschlossen, weil die Lehrkraft gegangen ist.",
+      expired: "Die Sitzung hat ihre maximale Dauer erreicht.",
+      idle: "Die Sitzung wurde nach langer Zeit ohne Feedback geschlossen.",
+    },
+    staffReport: "Den Bericht hat die Lehrkraft, die die Sitzung geleitet hat.",
+    back: "Zurück zum Start",
+  },
+
+  teacher: {
+    sessionCode: "Sitzungscode",
+    lecture: "{course} · Vorlesung {number}",
+    passcode: "Zugangscode:",
+    participants: "Teilnehmende",
+    waitingForFeedback: "Warten, bis Studierende beitreten und Feedback geben...",
+    waitingForTimeline: "Der Verlauf erscheint, sobald Feedback eingeht...",
+    endSession: "Sitzung beenden",
+    ownerEnds: "Nur die Eigentümerin oder der Eigentümer kann die Sitzung beenden.",
+  },
+
+  charts: {
+    stale: "Kein aktuelles Feedback",
+    noStudents: "Noch keine Studierenden.",
+    aggregate: {
+      one: "{count} Person: {parts}.",
+      other: "{count} Personen: {parts}.",
+    },
+    levelCount: "{count} {label}",
+    staleCount: "{count} ohne aktuelles Feedback",
+    pieLabel: "Aktuelles Feedback. {description}",
+    timelineLabel: "Verlauf der Feedback-Stufen während der Sitzung",
+    showTable: "Verlauf als Tabelle anzeigen",
+    time: "Zeit",
+    total: "Gesamt",
+  },
+
+  staff: {
+    roles: {
+      owner: "Lehrkraft",
+      coInstructor: "Co-Lehrkraft",
+    },
+    offline: "(offline)",
+    namePlaceholder: "Ihr Name",
+    setName: "Name festlegen",
+    invite: "Co-Lehrkräfte einladen:",
+    copyLink: "Link kopieren",
+    copied: "Kopiert",
+  },
+
+  display: {
+    open: "Beameranzeige öffnen",
+    openHint:
+      "Öffnet die Stimmung im Raum ohne Bedienelemente — ziehen Sie das Fenster auf den Beamer",
+    hideNumbers: "Zahlen bis zur Freigabe verbergen",
+    reveal: "Auf der Anzeige zeigen",
+    hideAgain: "Wieder verbergen",
+    joinAt: "Beitreten unter {host} mit dem Code",
+    hidden: "Die Ergebnisse sind verborgen, bis die Lehrkraft sie freigibt.",
+    waiting: "Warten, bis Studierende beitreten...",
+  },
+
+  roster: {
+    heading: "Kurs",
+    joinedOf: "({joined} von {size} beigetreten)",
+    individualHint: "Den Studierenden wurde gesagt, dass Sie ihr Feedback sehen.",
+    anonymousHint: "Das Feedback bleibt anonym: Sie sehen nur, wer beigetreten ist.",
+    joined: "Beigetreten ({count})",
+    nobody: "Noch niemand.",
+    notJoined: "Nicht beigetreten ({count})",
+    everyone: "Alle sind da.",
+  },
+
+  alerts: {
+    rise: "Plötzlicher Anstieg: {levels} stieg von {from} auf {to}",
+    share: "{share} der Studierenden sind {levels}",
+    or: "oder",
+    dismiss: "Verwerfen",
+    snoozedUntil: "Alarme stumm bis {time}",
+    resume: "Fortsetzen",
+    snooze: "Alarme stummschalten:",
+    minutes: "{minutes} Min.",
+    sound: "Ton / Vibration",
+    settings: "Alarmeinstellungen",
+    threshold: "Alarm ab (%)",
+    sustain: "für mindestens (s)",
+    minParticipants: "bei mindestens (Studierenden)",
+    riseShare: "oder bei einem Anstieg um (%)",
+    riseWindow: "innerhalb von (s)",
+    save: "Speichern",
+    cancel: "Abbrechen",
+    history: "Alarmverlauf ({count})",
+    whileSnoozed: "(während stummgeschaltet)",
+  },
+
+  freshness: {
+    checkInStatus: "Abfrage: {responded} von {total} haben geantwortet · noch {seconds} s",
+    askFor: "„Noch dabei?“ fragen für",
+    seconds: "{seconds} s",
+    minutes: "{minutes} Min.",
+    lastCheckIn: "Letzte Abfrage ({time}): {responded} haben geantwortet",
+    missedReset: ", {missed} nicht — ihr Feedback wurde zurückgesetzt",
+    missedStale: ", {missed} nicht — ihr Feedback wurde als veraltet markiert",
+    modes: {
+      off: "Feedback behalten, bis Studierende es ändern",
+      fade: "Feedback verblassen lassen, wenn älter als",
+      reset: "Feedback zurücksetzen, wenn älter als",
+    },
+    mode: "Veraltetes Feedback",
+    maxAge: "Minuten, bis Feedback veraltet",
+    minutesUnit: "Min.",
+  },
+
+  segments: {
+    heading: "Vorlesungsabschnitte",
+    now: "· jetzt: {label}",
+    topicPlaceholder: "Thema, z. B. Rekursion",
+    topicName: "Name des Themas",
+    newTopic: "Neues Thema",
+    slideNumber: "Foliennummer",
+    slide: "Folie {number}",
+    nextSlide: "Nächste Folie ({number})",
+    empty: "Markieren Sie ein Thema oder eine Folie, um das Feedback nach Abschnitten zu sehen.",
+    current: "(jetzt)",
+    meta: "{duration} · {count}× Feedback",
+    noStudents: "Keine Studierenden in diesem Abschnitt.",
+    share: "{share} {levels} im Durchschnitt (Spitze {peak})",
+  },
+
+  polls: {
+    heading: "Schnellumfragen",
+    types: {
+      choice: "Multiple Choice",
+      yesno: "Ja / Nein",
+      rating: "Bewertung 1–5",
+    },
+    statuses: {
+      draft: "Entwurf",
+      open: "Offen",
+      closed: "Geschlossen",
+    },
+    question: "Frage",
+    optionsPlaceholder: "Eine Option pro Zeile\nz. B. O(n)\nO(n log n)",
+    add: "Umfrage hinzufügen",
+    answers: {
+      one: "{count} Antwort",
+      other: "{count} Antworten",
+    },
+    open: "Öffnen",
+    close: "Schließen",
+    results: "Umfrageergebnisse",
+    yesno: {
+      Yes: "Ja",
+      No: "Nein",
+    },
+  },
+
+  questionQueue: {
+    heading: "Fragen der Studierenden",
+    none: "Keine offenen Fragen.",
+    answered: "Beantwortet",
+    dismiss: "Verwerfen",
+    showHandled: "{count} erledigte anzeigen",
+    hideHandled: "{count} erledigte ausblenden",
+    statuses: {
+      answered: "beantwortet",
+      dismissed: "verworfen",
+    },
+  },
+
+  summary: {
+    heading: "Zusammenfassung der Sitzung {code}",
+    autoEnd: {
+      "teacher-left": "Automatisch beendet: Das Dashboard war zu lange getrennt.",
+      expired: "Automatisch beendet: Die maximale Sitzungsdauer wurde erreicht.",
+      idle: "Automatisch beendet: Lange Zeit kam kein Feedback.",
+    },
+    duration: "Dauer",
+    peakParticipants: "Höchste Teilnehmerzahl",
+    averageShare: "Ø {levels}",
+    peakShare: "Spitze {levels}",
+    timeAbove: "Zeit über {share}",
+    noTimeline: "Es wurde zu wenig Feedback für einen Verlauf aufgezeichnet.",
+    downloadCsv: "CSV herunterladen",
+    downloadJson: "JSON herunterladen",
+    backToCourse: "Zurück zum Kurs",
+  },
+
+  course: {
+    label: "Kurs",
+    joinAt: "Studierende treten bei unter",
+    topicPlaceholder: "Thema der Vorlesung {number} (optional)",
+    startLecture: "Vorlesung starten",
+    running:
+      "Vorlesung {code} läuft; der Beitrittslink führt dorthin, bis sie endet oder Sie die nächste starten.",
+    empty: "Vorlesungen erscheinen hier, sobald sie beendet sind.",
+    chartLecture: "V{number}",
+    attendance: "Anwesenheit",
+    averageShare: "Ø {levels}",
+    averageSharePct: "Ø {levels} (%)",
+    lectures: "Vorlesungen",
+    number: "Nr.",
+    date: "Datum",
+    topic: "Thema",
+    worstSegment: "Schwierigster Abschnitt",
+    weekOverWeek: "Im Wochenvergleich",
+    weekOf: "Woche vom",
+    averageAttendance: "Ø Anwesenheit",
+    mostConfusing: "Die schwierigsten Abschnitte",
+    segmentLecture: "· Vorlesung {number}",
+    refresh: "Aktualisieren",
+  },
+
+  courseList: {
+    heading: "Ihre Kurse",
+    empty: "Kurse, die Sie in diesem Browser anlegen, erscheinen hier.",
+    newHeading: "Neuer Kurs",
+    intro:
+      "Ein Kurs bekommt einen Beitrittslink für das ganze Semester und ein Dashboard, das seine Vorlesungen vergleicht.",
+    namePlaceholder: "z. B. Informatik 1 — Wintersemester",
+    create: "Kurs anlegen",
+  },
+
+  scaleEditor: {
+    name: "Name der Skala",
+    emoji: "Emoji",
+    label: "Bezeichnung",
+    color: "Farbe",
+    start: "Start",
+    alert: "Alarm",
+    levelEmoji: "Emoji der Stufe {number}",
+    levelLabel: "Bezeichnung der Stufe {number}",
+    levelPlaceholder: "Stufe {number}",
+    levelColor: "Farbe der Stufe {number}",
+    levelStart: "Studierende starten auf Stufe {number}",
+    levelAlert: "Stufe {number} zählt für den Alarm",
+    remove: "Stufe {number} entfernen",
+    add: "Stufe hinzufügen",
+  },
+
+  errors: {
+    sessionNotFound: "Sitzung nicht gefunden.",
+    invalidSessionCode: "Ungültiger Sitzungscode.",
+    couldNotJoin: "Beitritt zur Sitzung nicht möglich.",
+    couldNotResume: "Die Sitzung konnte nicht fortgesetzt werden.",
+    invalidDisplayLink: "Dieser Anzeige-Link ist ungültig.",
+    sessionMoving: "Die Sitzung zieht auf einen anderen Server um, bitte gleich erneut versuchen.",
+    adminTokenRequired: "Zum Auflisten der Sitzungen wird der Admin-Token benötigt.",
+    notFound: "Nicht gefunden.",
+    badRequest: "Die Anfrage konnte nicht gelesen werden.",
+    serverError: "Serverfehler.",
+    feedbackTooFast: "Zu viel Feedback auf einmal, versuche es gleich noch einmal.",
+    invalidLevel: "Diese Stufe gibt es auf der Skala dieser Sitzung nicht.",
+    notInSession: "Du bist nicht mehr in dieser Sitzung.",
+    notAuthorized: "Keine Berechtigung, {action}.",
+    ownerOnly: "Nur die Eigentümerin oder der Eigentümer der Sitzung ist berechtigt, {action}.",
+    invalidAccess: "Ungültige Zugangsoptionen.",
+    passcodeLength: "Der Zugangscode muss {min}–{max} Zeichen lang sein.",
+    rosterFormat: "Die Teilnehmerliste muss eine CSV-Datei oder eine Liste von Matrikelnummern sein.",
+    rosterEmpty: "Die Teilnehmerliste enthält keine Matrikelnummern.",
+    rosterTooLarge: "Teilnehmerlisten können bis zu {max} Studierende enthalten.",
+    rosterIdTooLong: "Matrikelnummern dürfen höchstens {max} Zeichen lang sein.",
+    rosterDuplicateId: "Die Matrikelnummer {id} steht mehrfach in der Teilnehmerliste.",
+    individualNeedsIdentity:
+      "Für individuelles Feedback braucht es eine Teilnehmerliste oder die Namen der Studierenden.",
+    passcodeRequired: "Für diese Sitzung wird ein Zugangscode benötigt.",
+    wrongPasscode: "Falscher Zugangscode.",
+    rosterIdRequired: "Gib deine Matrikelnummer ein.",
+    notOnRoster: "Diese Matrikelnummer steht nicht auf der Teilnehmerliste.",
+    nameRequired: "Gib deinen Namen ein.",
+    unknownScalePreset: 'Unbekannte Skalenvorlage „{preset}“.',
+    invalidScale: "Ungültige Feedback-Skala.",
+    scaleLevelCount: "Eine Skala braucht {min}–{max} Stufen.",
+    levelRequired: "Jede Stufe braucht einen Schlüssel und eine Bezeichnung.",
+    invalidLevelKey: 'Ungültiger Stufenschlüssel „{key}“.',
+    levelLabelLength: "Stufenbezeichnungen müssen 1–{max} Zeichen lang sein.",
+    levelEmoji: "Das Emoji einer Stufe muss eine kurze Zeichenkette sein.",
+    levelColor: "Stufenfarben müssen wie #1976d2 aussehen.",
+    duplicateLevelKeys: "Stufenschlüssel müssen eindeutig sein.",
+    invalidDefaultLevel: "Die Standardstufe muss eine der Stufen sein.",
+    invalidAlertLevels: "Alarmstufen müssen Stufen der Skala sein.",
+    webhooksDisabled: "Webhooks pro Sitzung sind auf diesem Server deaktiviert.",
+    webhookUrlCount: "Registrieren Sie 1–{max} Webhook-URLs.",
+    webhookUrlInvalid: "Webhook-URLs müssen http(s)-URLs sein.",
+    courseNameRequired: "Geben Sie dem Kurs einen Namen.",
+    invalidCourse: "Ungültiger Kurs.",
+    courseNotFound: "Kurs nicht gefunden.",
+    noActiveLecture: "Für diesen Kurs läuft gerade keine Vorlesung.",
+    questionCooldown: "Bitte warte {seconds} s, bevor du die nächste Frage stellst.",
+    questionTooShort: "Deine Frage ist zu kurz.",
+    questionTooLong: "Fragen sind auf {max} Zeichen begrenzt.",
+    tooManyOpenQuestions: "Warte, bis einige deiner Fragen beantwortet sind.",
+    invalidPoll: "Ungültige Umfrage.",
+    unknownPollType: "Unbekannter Umfragetyp.",
+    pollQuestionRequired: "Eine Umfrage braucht eine Frage.",
+    pollQuestionTooLong: "Umfragefragen sind auf {max} Zeichen begrenzt.",
+    pollOptionCount: "Multiple-Choice-Umfragen brauchen {min}–{max} Optionen.",
+    pollOptionTooLong: "Optionen sind auf {max} Zeichen begrenzt.",
+    unknownMarkerKind: "Unbekannter Markierungstyp.",
+    tooManyMarkers: "Diese Sitzung hat zu viele Markierungen.",
+    markerLabelTooLong: "Markierungen sind auf {max} Zeichen begrenzt.",
+    slideNumberRequired: "Folienmarkierungen brauchen eine Foliennummer.",
+    topicNameRequired: "Eine Themenmarkierung braucht einen Namen.",
+    invalidAlertSettings: "Ungültige Alarmeinstellungen.",
+    alertSettingRange: 'Die Alarmeinstellung „{name}“ muss zwischen {min} und {max} liegen.',
+    snoozeTooLong: "Alarme können höchstens eine Stunde stummgeschaltet werden.",
+    invalidDisplaySettings: "Ungültige Anzeigeeinstellungen.",
+    displaySettingBoolean: 'Die Anzeigeeinstellung „{name}“ muss wahr oder falsch sein.',
+    invalidStalenessSettings: "Ungültige Einstellungen für veraltetes Feedback.",
+    unknownStalenessMode: "Unbekannter Modus für veraltetes Feedback.",
+    staleAfterRange: "Feedback kann nach {min}–{max} Minuten veralten.",
+    checkInRunning: "Es läuft bereits eine Abfrage.",
+    checkInDuration: "Abfragen dauern {minSeconds} Sekunden bis {maxMinutes} Minuten.",
+
+    notInstructor: "Dieser Browser-Tab gehört nicht zur Lehrkraft dieser Sitzung.",
+    openCourseFirst: "Öffnen Sie den Kurs zuerst über seinen Dashboard-Link.",
+    openDisplayFromDashboard: "Öffnen Sie die Beameranzeige über das Dashboard der Lehrkraft.",
+    courseLoadFailed: "Der Kurs konnte nicht geladen werden.",
+    courseCreateFailed: "Der Kurs konnte nicht erstellt werden.",
+    reportLoadFailed: "Der Bericht konnte nicht geladen werden.",
+    serverUnreachable: "Der Server ist nicht erreichbar.",
+    rosterUnreadable: "Diese Datei konnte nicht gelesen werden.",
+  },
+
+  actions: {
+    endSession: "diese Sitzung zu beenden",
+    createPolls: "Umfragen zu erstellen",
+    openPolls: "Umfragen zu öffnen",
+    closePolls: "Umfragen zu schließen",
+    moderateQuestions: "Fragen zu moderieren",
+    markSegments: "Abschnitte zu markieren",
+    changeAlertSettings: "die Alarmeinstellungen zu ändern",
+    dismissAlerts: "Alarme zu verwerfen",
+    snoozeAlerts: "Alarme stummzuschalten",
+    changeDisplay: "die Anzeige zu ändern",
+    changeStalenessSettings: "die Einstellungen für veraltetes Feedback zu ändern",
+    startCheckIn: "eine Abfrage zu starten",
+  },
+
+  scaleLabels: {
+    Understanding: "Verständnis",
+    "Got it": "Verstanden",
+    Neutral: "Neutral",
+    Confused: "Verwirrt",
+    Lost: "Abgehängt",
+    Pace: "Tempo",
+    "Too slow": "Zu langsam",
+    "Just right": "Genau richtig",
+    "Too fast": "Zu schnell",
+    "Rating 1–5": "Bewertung 1–5",
+  },
+};
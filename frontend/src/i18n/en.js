@@ -0,0 +1,461 @@
+/**
+ * en.js — English UI strings, and the fallback for every other locale
+ *
+ * Keys are grouped by the screen that shows them; `{name}` is filled in
+ * from the params passed to t().
+ *
+ * `errors` translates the server's error codes (see backend/errors.js) plus
+ * a few errors the app raises itself; `actions` the staff actions those
+ * errors name. `scaleLabels` translates the preset scales' names and level
+ * labels, keyed by their English text.
+ */
+
+export default {
+  app: {
+    title: "Lecture Feedback",
+    language: "Language",
+    colours: "Colours",
+    palettes: {
+      standard: "Standard colours",
+      colorblind: "Colour-blind safe",
+      contrast: "High contrast",
+    },
+    joiningSession: "Joining session {code}...",
+    loadingSession: "Loading session {code}...",
+    loadingDisplay: "Loading display for {code}...",
+    loadingCourse: "Loading course...",
+    loadingReport: "Loading report...",
+    findingLecture: "Finding today's lecture...",
+    tryAgain: "Try again",
+    backToStart: "Back to start",
+  },
+
+  join: {
+    instructorHeading: "I'm an Instructor",
+    instructorIntro: "Start a new feedback session for your class.",
+    scale: "Feedback scale",
+    customScale: "Custom…",
+    startSession: "Start Session",
+    courseQuestion: "Teaching the same class every week?",
+    courseLink: "Set up a course",
+    or: "or",
+    studentHeading: "I'm a Student",
+    studentIntro: "Enter the session code shared by your instructor.",
+    codePlaceholder: "e.g. ABC123",
+    sessionCode: "Session code",
+    joinSession: "Join Session",
+    recent: "Recently joined:",
+  },
+
+  access: {
+    heading: "Who can join",
+    passcode: "Passcode (optional)",
+    passcodePlaceholder: "e.g. shown on the first slide",
+    roster: "Class roster (optional)",
+    rosterOnly: "Only students listed in {file} can join, with their student ID.",
+    rosterHint: "A CSV with student IDs or emails in the first column.",
+    askName: "Ask students for their name",
+    showIndividual: "Show me each student's feedback",
+    individualHint: "Students are told you can see who chose what.",
+    attendanceHint: "You'll see who joined; feedback stays anonymous.",
+    anonymousHint: "Feedback is anonymous.",
+  },
+
+  joinDetails: {
+    heading: "Join session {code}",
+    passcode: "Passcode",
+    rosterId: "Student ID or email",
+    name: "Your name",
+    submit: "Join Session",
+    cancel: "Cancel",
+  },
+
+  student: {
+    session: "Session:",
+    visibility: {
+      attendance: "Your instructor can see that you joined. Your feedback stays anonymous.",
+      individual: "Your instructor can see your name or student ID next to your feedback.",
+    },
+    checkInPrompt: "Still with us? Confirm or update your status",
+    checkInConfirm: "Still {level}",
+    instruction: "How is the lecture going? ({scale})",
+    shortcutHint: "Keyboard: press 1–{count} to choose.",
+    currentStatus: "Your current status:",
+    staleNotice:
+      "Your status is a while old, so your instructor sees it faded. Still accurate?",
+    keepStatus: "Yes, keep it",
+    delivery: {
+      sending: "Sending…",
+      queued: "Not sent yet — it will be sent once you're connected again.",
+      saved: "Saved",
+    },
+    leave: "Leave Session",
+  },
+
+  connection: {
+    connected: "Connected",
+    reconnecting: "Reconnecting…",
+    offline: "Offline",
+    retry: "Try again",
+  },
+
+  questions: {
+    placeholder: "Ask a question anonymously...",
+    ask: "Ask",
+    upvote: "Upvote ({count})",
+    yours: "(yours)",
+  },
+
+  poll: {
+    thanks: "Thanks, your answer was sent.",
+    close: "Close",
+  },
+
+  ended: {
+    heading: "Session has ended",
+    reasons: {
+      ended: "The instructor ended the session.",
+      "teacher-left": "The session closed because the instructor left.",
+      expired: "The session reached its maximum length.",
+      idle: "The session closed after a long time without any feedback.",
+    },
+    staffReport: "The report is with the instructor who ran the session.",
+    back: "Back to start",
+  },
+
+  teacher: {
+    sessionCode: "Session Code",
+    lecture: "{course} · Lecture {number}",
+    passcode: "Passcode:",
+    participants: "Participants",
+    waitingForFeedback: "Waiting for students to join and send feedback...",
+    waitingForTimeline: "The timeline will appear as feedback comes in...",
+    endSession: "End Session",
+    ownerEnds: "Only the session owner can end the session.",
+  },
+
+  // Charts and their text equivalents (FeedbackPie, TimelineChart,
+  // AggregateAnnouncer)
+  charts: {
+    stale: "No recent feedback",
+    noStudents: "No students yet.",
+    aggregate: {
+      one: "{count} student: {parts}.",
+      other: "{count} students: {parts}.",
+    },
+    levelCount: "{count} {label}",
+    staleCount: "{count} without recent feedback",
+    pieLabel: "Current feedback. {description}",
+    timelineLabel: "Timeline of feedback levels over the session",
+    showTable: "Show timeline as a table",
+    time: "Time",
+    total: "Total",
+  },
+
+  staff: {
+    roles: {
+      owner: "Instructor",
+      coInstructor: "Co-instructor",
+    },
+    offline: "(offline)",
+    namePlaceholder: "Your name",
+    setName: "Set name",
+    invite: "Invite co-instructors:",
+    copyLink: "Copy link",
+    copied: "Copied",
+  },
+
+  display: {
+    open: "Open projector display",
+    openHint:
+      "Opens the class mood without any controls — drag the window to the projector",
+    hideNumbers: "Hide numbers until reveal",
+    reveal: "Reveal on display",
+    hideAgain: "Hide again",
+    joinAt: "Join at {host} with code",
+    hidden: "Results are hidden until the instructor reveals them.",
+    waiting: "Waiting for students to join...",
+  },
+
+  roster: {
+    heading: "Class",
+    joinedOf: "({joined} of {size} joined)",
+    individualHint: "Students were told you can see their feedback.",
+    anonymousHint: "Feedback stays anonymous: you only see who joined.",
+    joined: "Joined ({count})",
+    nobody: "Nobody yet.",
+    notJoined: "Not joined ({count})",
+    everyone: "Everyone is here.",
+  },
+
+  alerts: {
+    rise: "Sudden rise: {levels} went from {from} to {to}",
+    share: "{share} of students are {levels}",
+    or: "or",
+    dismiss: "Dismiss",
+    snoozedUntil: "Alerts snoozed until {time}",
+    resume: "Resume",
+    snooze: "Snooze alerts:",
+    minutes: "{minutes} min",
+    sound: "Sound / vibration",
+    settings: "Alert settings",
+    threshold: "Alert above (%)",
+    sustain: "for at least (s)",
+    minParticipants: "with at least (students)",
+    riseShare: "or on a rise of (%)",
+    riseWindow: "within (s)",
+    save: "Save",
+    cancel: "Cancel",
+    history: "Alert history ({count})",
+    whileSnoozed: "(while snoozed)",
+  },
+
+  freshness: {
+    checkInStatus: "Check-in: {responded} of {total} responded · {seconds}s left",
+    askFor: "Ask “Still with me?” for",
+    seconds: "{seconds} s",
+    minutes: "{minutes} min",
+    lastCheckIn: "Last check-in ({time}): {responded} responded",
+    missedReset: ", {missed} didn't — their feedback was reset",
+    missedStale: ", {missed} didn't — their feedback was marked stale",
+    modes: {
+      off: "Keep feedback until students change it",
+      fade: "Fade feedback older than",
+      reset: "Reset feedback older than",
+    },
+    mode: "Stale feedback",
+    maxAge: "Minutes until feedback goes stale",
+    minutesUnit: "min",
+  },
+
+  segments: {
+    heading: "Lecture segments",
+    now: "· now: {label}",
+    topicPlaceholder: "Topic, e.g. Recursion",
+    topicName: "Topic name",
+    newTopic: "New topic",
+    slideNumber: "Slide number",
+    slide: "Slide {number}",
+    nextSlide: "Next slide ({number})",
+    empty: "Mark a topic or slide to see feedback broken down by segment.",
+    current: "(now)",
+    meta: "{duration} · {count} feedback",
+    noStudents: "No students during this segment.",
+    share: "{share} {levels} on average (peak {peak})",
+  },
+
+  polls: {
+    heading: "Quick polls",
+    types: {
+      choice: "Multiple choice",
+      yesno: "Yes / No",
+      rating: "Rating 1–5",
+    },
+    statuses: {
+      draft: "Draft",
+      open: "Open",
+      closed: "Closed",
+    },
+    question: "Question",
+    optionsPlaceholder: "One option per line\ne.g. O(n)\nO(n log n)",
+    add: "Add poll",
+    answers: {
+      one: "{count} answer",
+      other: "{count} answers",
+    },
+    open: "Open",
+    close: "Close",
+    results: "Poll results",
+    // The yes / no poll's options, keyed by what the server sends
+    yesno: {
+      Yes: "Yes",
+      No: "No",
+    },
+  },
+
+  questionQueue: {
+    heading: "Student questions",
+    none: "No open questions.",
+    answered: "Answered",
+    dismiss: "Dismiss",
+    showHandled: "Show {count} handled",
+    hideHandled: "Hide {count} handled",
+    statuses: {
+      answered: "answered",
+      dismissed: "dismissed",
+    },
+  },
+
+  summary: {
+    heading: "Session {code} summary",
+    autoEnd: {
+      "teacher-left": "Ended automatically: the dashboard was disconnected for too long.",
+      expired: "Ended automatically: the maximum session length was reached.",
+      idle: "Ended automatically: no feedback was received for a long time.",
+    },
+    duration: "Duration",
+    peakParticipants: "Peak participants",
+    averageShare: "Avg. {levels}",
+    peakShare: "Peak {levels}",
+    timeAbove: "Time above {share}",
+    noTimeline: "Not enough feedback was recorded to draw a timeline.",
+    downloadCsv: "Download CSV",
+    downloadJson: "Download JSON",
+    backToCourse: "Back to course",
+  },
+
+  course: {
+    label: "Course",
+    joinAt: "Students join at",
+    topicPlaceholder: "Lecture {number} topic (optional)",
+    startLecture: "Start Lecture",
+    running:
+      "Lecture {code} is running; the join link points at it until it ends or you start the next one.",
+    empty: "Lectures show up here once they have ended.",
+    chartLecture: "L{number}",
+    attendance: "Attendance",
+    averageShare: "Avg. {levels}",
+    averageSharePct: "Avg. {levels} (%)",
+    lectures: "Lectures",
+    number: "#",
+    date: "Date",
+    topic: "Topic",
+    worstSegment: "Worst segment",
+    weekOverWeek: "Week over week",
+    weekOf: "Week of",
+    averageAttendance: "Avg. attendance",
+    mostConfusing: "Most confusing segments",
+    segmentLecture: "· lecture {number}",
+    refresh: "Refresh",
+  },
+
+  courseList: {
+    heading: "Your courses",
+    empty: "Courses you create in this browser show up here.",
+    newHeading: "New course",
+    intro:
+      "A course gets one join link for the whole semester and a dashboard comparing its lectures.",
+    namePlaceholder: "e.g. CS 101 — Fall",
+    create: "Create Course",
+  },
+
+  scaleEditor: {
+    name: "Scale name",
+    emoji: "Emoji",
+    label: "Label",
+    color: "Color",
+    start: "Start",
+    alert: "Alert",
+    levelEmoji: "Level {number} emoji",
+    levelLabel: "Level {number} label",
+    levelPlaceholder: "Level {number}",
+    levelColor: "Level {number} color",
+    levelStart: "Students start at level {number}",
+    levelAlert: "Level {number} counts toward the alert",
+    remove: "Remove level {number}",
+    add: "Add level",
+  },
+
+  errors: {
+    // From the server (backend/errors.js)
+    sessionNotFound: "Session not found.",
+    invalidSessionCode: "Invalid session code.",
+    couldNotJoin: "Could not join session.",
+    couldNotResume: "Could not resume session.",
+    invalidDisplayLink: "This display link is not valid.",
+    sessionMoving: "Session is moving to another server, try again shortly.",
+    adminTokenRequired: "Listing sessions needs the admin token.",
+    notFound: "Not found.",
+    badRequest: "The request could not be read.",
+    serverError: "Server error.",
+    feedbackTooFast: "Feedback is coming in too fast, try again in a moment.",
+    invalidLevel: "That level isn't on this session's scale.",
+    notInSession: "You're not in this session any more.",
+    notAuthorized: "Not authorized to {action}.",
+    ownerOnly: "Only the session owner can {action}.",
+    invalidAccess: "Invalid access options.",
+    passcodeLength: "The passcode must be {min}–{max} characters.",
+    rosterFormat: "The roster must be a CSV file or a list of student IDs.",
+    rosterEmpty: "The roster has no student IDs.",
+    rosterTooLarge: "Rosters can have up to {max} students.",
+    rosterIdTooLong: "Student IDs can be up to {max} characters.",
+    rosterDuplicateId: "The roster lists the student ID {id} more than once.",
+    individualNeedsIdentity: "Showing individual feedback needs a roster or student names.",
+    passcodeRequired: "This session needs a passcode.",
+    wrongPasscode: "Wrong passcode.",
+    rosterIdRequired: "Enter your student ID.",
+    notOnRoster: "That student ID isn't on the class roster.",
+    nameRequired: "Enter your name.",
+    unknownScalePreset: 'Unknown scale preset "{preset}".',
+    invalidScale: "Invalid feedback scale.",
+    scaleLevelCount: "A scale needs {min}–{max} levels.",
+    levelRequired: "Every level needs a key and label.",
+    invalidLevelKey: 'Invalid level key "{key}".',
+    levelLabelLength: "Level labels must be 1–{max} characters.",
+    levelEmoji: "Level emoji must be a short string.",
+    levelColor: "Level colors must look like #1976d2.",
+    duplicateLevelKeys: "Level keys must be unique.",
+    invalidDefaultLevel: "The default level must be one of the levels.",
+    invalidAlertLevels: "Alert levels must be levels of the scale.",
+    webhooksDisabled: "Per-session webhooks are disabled on this server.",
+    webhookUrlCount: "Register 1–{max} webhook URLs.",
+    webhookUrlInvalid: "Webhook URLs must be http(s) URLs.",
+    courseNameRequired: "Give the course a name.",
+    invalidCourse: "Invalid course.",
+    courseNotFound: "Course not found.",
+    noActiveLecture: "No lecture is running for this course right now.",
+    questionCooldown: "Please wait {seconds}s before asking another question.",
+    questionTooShort: "Your question is too short.",
+    questionTooLong: "Questions are limited to {max} characters.",
+    tooManyOpenQuestions: "Wait for some of your questions to be answered first.",
+    invalidPoll: "Invalid poll.",
+    unknownPollType: "Unknown poll type.",
+    pollQuestionRequired: "A poll needs a question.",
+    pollQuestionTooLong: "Poll questions are limited to {max} characters.",
+    pollOptionCount: "Multiple-choice polls need {min}–{max} options.",
+    pollOptionTooLong: "Options are limited to {max} characters.",
+    unknownMarkerKind: "Unknown marker type.",
+    tooManyMarkers: "This session has too many markers.",
+    markerLabelTooLong: "Marker labels are limited to {max} characters.",
+    slideNumberRequired: "Slide markers need a slide number.",
+    topicNameRequired: "A topic marker needs a name.",
+    invalidAlertSettings: "Invalid alert settings.",
+    alertSettingRange: 'Alert setting "{name}" must be between {min} and {max}.',
+    snoozeTooLong: "Alerts can be snoozed for up to an hour.",
+    invalidDisplaySettings: "Invalid display settings.",
+    displaySettingBoolean: 'Display setting "{name}" must be true or false.',
+    invalidStalenessSettings: "Invalid staleness settings.",
+    unknownStalenessMode: "Unknown staleness mode.",
+    staleAfterRange: "Feedback can go stale after {min}–{max} minutes.",
+    checkInRunning: "A check-in is already running.",
+    checkInDuration: "Check-ins last {minSeconds} seconds to {maxMinutes} minutes.",
+
+    // Raised by the app itself
+    notInstructor: "This browser tab isn't the instructor of that session.",
+    openCourseFirst: "Open the course with its dashboard link first.",
+    openDisplayFromDashboard: "Open the projector display from the instructor dashboard.",
+    courseLoadFailed: "Could not load the course.",
+    courseCreateFailed: "Could not create the course.",
+    reportLoadFailed: "Could not load the report.",
+    serverUnreachable: "Could not reach the server.",
+    rosterUnreadable: "Could not read that file.",
+  },
+
+  actions: {
+    endSession: "end this session",
+    createPolls: "create polls",
+    openPolls: "open polls",
+    closePolls: "close polls",
+    moderateQuestions: "moderate questions",
+    markSegments: "mark segments",
+    changeAlertSettings: "change alert settings",
+    dismissAlerts: "dismiss alerts",
+    snoozeAlerts: "snooze alerts",
+    changeDisplay: "change the display",
+    changeStalenessSettings: "change staleness settings",
+    startCheckIn: "start a check-in",
+  },
+
+  // English is what the server sends already
+  scaleLabels: {},
+};
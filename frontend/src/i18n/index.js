@@ -0,0 +1,88 @@
+/**
+ * i18n/index.js — The UI's message catalogues and looking strings up in them
+ *
+ * Every browser picks its own language (see LocaleContext.jsx), so students
+ * in one session can each use a different one. Text the staff typed in —
+ * custom scales, poll questions, markers — is shown as written; the preset
+ * scales are translated through `scaleLabels`, and the yes / no poll's
+ * options through `polls.yesno`.
+ *
+ * Server refusals arrive as { errorCode, params?, message | error } (see
+ * backend/errors.js) and are translated by errorCode; codes this app
+ * doesn't know yet fall back to the server's English text.
+ */
+
+import en from "./en.js";
+import de from "./de.js";
+
+export const LOCALES = [
+  { id: "en", label: "English" },
+  { id: "de", label: "Deutsch" },
+];
+
+const CATALOGUES = { en, de };
+
+export const DEFAULT_LOCALE = "en";
+
+// The first of the browser's preferred languages we have, e.g. "de-AT" → "de"
+export function detectLocale() {
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const base = String(tag || "").toLowerCase().split("-")[0];
+    if (CATALOGUES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function isLocale(id) {
+  return Object.hasOwn(CATALOGUES, id ?? "");
+}
+
+function lookup(catalogue, key) {
+  return key.split(".").reduce((node, part) => node?.[part], catalogue);
+}
+
+function format(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+/**
+ * The string at `key` ("student.leave") in the locale, else in English.
+ * Entries with plural forms ({ one, other, ... }) pick theirs by
+ * `params.count`, following the locale's plural rules.
+ */
+export function translate(locale, key, params = {}) {
+  let template = lookup(CATALOGUES[locale], key) ?? lookup(en, key);
+  if (template && typeof template === "object" && typeof params.count === "number") {
+    template = template[new Intl.PluralRules(locale).select(params.count)] ?? template.other;
+  }
+  return typeof template === "string" ? format(template, params) : key;
+}
+
+/** A server refusal, or an app error ({ errorCode, params? }), as text. */
+export function translateError(locale, failure) {
+  const { errorCode, params = {} } = failure;
+  const fallback = failure.message ?? failure.error ?? "";
+  if (!errorCode || typeof lookup(en.errors, errorCode) !== "string") return fallback;
+
+  const localized = params.action
+    ? { ...params, action: translate(locale, `actions.${params.action}`) }
+    : params;
+  return translate(locale, `errors.${errorCode}`, localized);
+}
+
+/** A preset scale's name or level label in the locale; custom text as is. */
+export function translateScaleLabel(locale, text) {
+  const labels = CATALOGUES[locale].scaleLabels;
+  return Object.hasOwn(labels, text) ? labels[text] : text;
+}
+
+/**
+ * A poll option as shown: the server's fixed yes / no options in the
+ * locale, options the staff typed in as written.
+ */
+export function translatePollOption(locale, type, option) {
+  return type === "yesno" ? translate(locale, `polls.yesno.${option}`) : option;
+}
@@ -1,13 +1,33 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
+import { BrowserRouter } from "react-router-dom";
 import App from "./App.jsx";
 import { SocketProvider } from "./SocketContext.jsx";
+import { PaletteProvider } from "./PaletteContext.jsx";
+import { LocaleProvider } from "./LocaleContext.jsx";
 import "./index.css";
 
+// Keeps the app shell on the device for flaky Wi-Fi (see public/sw.js).
+// Browsers allow service workers on https and localhost only; in development
+// Vite serves files the worker doesn't know about.
+if (import.meta.env.PROD && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("/sw.js")
+      .catch((err) => console.warn("[sw] registration failed:", err));
+  });
+}
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <SocketProvider>
-      <App />
+      <LocaleProvider>
+        <PaletteProvider>
+          <BrowserRouter>
+            <App />
+          </BrowserRouter>
+        </PaletteProvider>
+      </LocaleProvider>
     </SocketProvider>
   </React.StrictMode>
 );
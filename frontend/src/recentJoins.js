@@ -0,0 +1,49 @@
+/**
+ * recentJoins.js — The sessions and course join links this browser used
+ * lately, newest first, so JoinPage can offer them again (say, after the
+ * app is launched from the home screen). Kept in localStorage:
+ *   sessions: Array<{ code, joinedAt }>, only while they can still be running
+ *   courses:  Array<{ id, name, joinedAt }>, the /c/:id links of a semester
+ */
+
+const SESSIONS_KEY = "lectureFeedback.recentSessions";
+const COURSES_KEY = "lectureFeedback.recentCourses";
+const MAX_RECENT = 5;
+// The server's default MAX_SESSION_MS: older sessions are over
+const SESSION_MAX_AGE_MS = 4 * 60 * 60 * 1000;
+
+function load(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch {
+    return [];
+  }
+}
+
+// Puts the entry first, replacing an older one with the same `idKey`
+function remember(key, idKey, entry) {
+  const others = load(key).filter((item) => item[idKey] !== entry[idKey]);
+  const list = [{ ...entry, joinedAt: Date.now() }, ...others].slice(0, MAX_RECENT);
+  try {
+    localStorage.setItem(key, JSON.stringify(list));
+  } catch {
+    // Just won't be offered next time
+  }
+}
+
+export function loadRecentSessions() {
+  const cutoff = Date.now() - SESSION_MAX_AGE_MS;
+  return load(SESSIONS_KEY).filter((session) => session.joinedAt > cutoff);
+}
+
+export function rememberSession(code) {
+  remember(SESSIONS_KEY, "code", { code });
+}
+
+export function loadRecentCourses() {
+  return load(COURSES_KEY);
+}
+
+export function rememberCourse({ id, name }) {
+  remember(COURSES_KEY, "id", { id, name });
+}
@@ -0,0 +1,33 @@
+/**
+ * savedCourses.js — Keeps the courses this browser created (or opened with
+ * a dashboard link) as Array<{ id, name, courseToken }> in localStorage.
+ *
+ * Courses last a semester, so unlike the per-tab teacher session (see
+ * teacherSession.js) the course token survives closing the browser.
+ */
+
+const STORAGE_KEY = "lectureFeedback.courses";
+
+export function loadCourses() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function loadCourse(id) {
+  return loadCourses().find((course) => course.id === id) || null;
+}
+
+/** Add a course, or update the name / token of one already saved. */
+export function saveCourse({ id, name, courseToken }) {
+  const others = loadCourses().filter((course) => course.id !== id);
+  const saved = loadCourse(id);
+  const entry = { id, name: name ?? saved?.name ?? id, courseToken };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...others, entry]));
+  } catch {
+    // Course just won't be listed next time
+  }
+}
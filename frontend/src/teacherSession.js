@@ -0,0 +1,47 @@
+/**
+ * teacherSession.js — Keeps the teacher's { code, teacherToken } in
+ * sessionStorage so a refreshed or reconnected tab can reclaim its session
+ * with the "resumeSession" socket event.
+ *
+ * sessionStorage is per-tab, so opening the app in another tab doesn't
+ * hijack the dashboard. Co-instructors keep the staff token here the same
+ * way.
+ *
+ * The name the other staff see is kept in localStorage instead, so it
+ * carries over to the next session.
+ */
+
+const STORAGE_KEY = "lectureFeedback.teacherSession";
+const NAME_KEY = "lectureFeedback.staffName";
+
+export function saveTeacherSession(code, teacherToken) {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ code, teacherToken }));
+}
+
+export function loadTeacherSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function clearTeacherSession() {
+  sessionStorage.removeItem(STORAGE_KEY);
+}
+
+export function loadStaffName() {
+  try {
+    return localStorage.getItem(NAME_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function saveStaffName(name) {
+  try {
+    localStorage.setItem(NAME_KEY, name);
+  } catch {
+    // Name just won't survive a refresh
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * fakeSocket.js — Stands in for the Socket.io client in component tests
+ * (setup.js mocks socket.io-client's io() to return it), so SocketContext
+ * and the components run unchanged without a server.
+ *
+ *   fakeSocket.emit                  // vi.fn(): what the app sent
+ *   fakeSocket.receive(event, data)  // as if the server had sent it
+ *   resetFakeSocket()                // between tests, see setup.js
+ */
+
+import { vi } from "vitest";
+
+const handlers = new Map(); // event → Set<handler>
+
+export const fakeSocket = {
+  id: "test-socket",
+  connected: true,
+  on(event, handler) {
+    if (!handlers.has(event)) handlers.set(event, new Set());
+    handlers.get(event).add(handler);
+    return fakeSocket;
+  },
+  off(event, handler) {
+    handlers.get(event)?.delete(handler);
+    return fakeSocket;
+  },
+  emit: vi.fn(),
+  // Acknowledgement timeouts don't matter here: same socket, same emit
+  timeout: () => fakeSocket,
+  connect: vi.fn(),
+  io: { on() {}, off() {} },
+
+  receive(event, data) {
+    for (const handler of handlers.get(event) || []) handler(data);
+  },
+};
+
+export function resetFakeSocket() {
+  handlers.clear();
+  fakeSocket.connected = true;
+  fakeSocket.emit.mockReset();
+  fakeSocket.connect.mockReset();
+}
@@ -0,0 +1,42 @@
+/**
+ * render.jsx — Renders a component the way the app does, inside the
+ * socket, language and palette providers (see main.jsx), plus the scale
+ * the tests use.
+ *
+ *   const { container, rerender } = renderWithProviders(<StudentView ... />);
+ *   renderWithProviders(<FeedbackPie ... />, { locale: "de" });
+ */
+
+import { render } from "@testing-library/react";
+import { SocketProvider } from "../SocketContext.jsx";
+import { LocaleProvider } from "../LocaleContext.jsx";
+import { PaletteProvider } from "../PaletteContext.jsx";
+
+// The "understanding" preset (see backend/scales.js)
+export const SCALE = {
+  name: "Understanding",
+  levels: [
+    { key: "gotit", label: "Got it", emoji: "😊", color: "#4CAF50" },
+    { key: "neutral", label: "Neutral", emoji: "😐", color: "#2196F3" },
+    { key: "confused", label: "Confused", emoji: "😕", color: "#FF9800" },
+    { key: "lost", label: "Lost", emoji: "😵", color: "#F44336" },
+  ],
+  defaultLevel: "neutral",
+  alertLevels: ["confused", "lost"],
+};
+
+function Providers({ children }) {
+  return (
+    <SocketProvider>
+      <LocaleProvider>
+        <PaletteProvider>{children}</PaletteProvider>
+      </LocaleProvider>
+    </SocketProvider>
+  );
+}
+
+// rerender() keeps the providers too
+export function renderWithProviders(ui, { locale = "en" } = {}) {
+  localStorage.setItem("lectureFeedback.locale", locale);
+  return render(ui, { wrapper: Providers });
+}
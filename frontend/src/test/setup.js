@@ -0,0 +1,34 @@
+/**
+ * setup.js — Runs before every component test file (see vite.config.js):
+ *   - DOM matchers (jest-dom) and accessibility checks (jest-axe's
+ *     toHaveNoViolations)
+ *   - socket.io-client replaced by fakeSocket.js
+ *   - ResizeObserver, which recharts needs and jsdom lacks
+ *   - A clean DOM, socket and localStorage after each test
+ */
+
+import "@testing-library/jest-dom/vitest";
+import { afterEach, expect, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+import { toHaveNoViolations } from "jest-axe";
+import { resetFakeSocket } from "./fakeSocket.js";
+
+expect.extend(toHaveNoViolations);
+
+vi.mock("socket.io-client", async () => {
+  const { fakeSocket } = await import("./fakeSocket.js");
+  return { io: () => fakeSocket };
+});
+
+globalThis.ResizeObserver ??= class ResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+afterEach(() => {
+  cleanup();
+  resetFakeSocket();
+  localStorage.clear();
+  vi.useRealTimers();
+});
@@ -11,6 +11,14 @@ export default defineConfig({
         target: "http://localhost:5000",
         ws: true,
       },
+      "/api": {
+        target: "http://localhost:5000",
+      },
     },
   },
+  // Component tests (npm test); see src/test/setup.js
+  test: {
+    environment: "jsdom",
+    setupFiles: ["./src/test/setup.js"],
+  },
 });